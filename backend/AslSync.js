@@ -0,0 +1,230 @@
+// Keeps the state machines of a runner in step with a directory of
+// *.asl.json files, so editing a definition in the repo makes it runnable
+// right away. Each file <name>.asl.json is the state machine <name>: a
+// missing machine is created and a machine whose definition differs from
+// the file is updated. Removing a file leaves its machine alone.
+//
+// The directory is watched for changes and rescanned every
+// aslSync.intervalSeconds, which also brings back machines after a runner
+// restart. Calls go through StepFunctionsAPI with the aslSync.profile
+// profile, so they show up in the API log and refresh the response cache.
+
+const fs = require("fs");
+const path = require("path");
+const APIType = require("../util/APIType");
+const StepFunctionsAPI = require("./StepFunctionsAPI");
+const { config, usesEmulator } = require("./config");
+const { ApiError, normalizeError } = require("./errors");
+
+const SUFFIX = ".asl.json";
+// Editors often write a file in several steps; wait for them to settle
+const DEBOUNCE_MS = 300;
+const DEFAULT_ENDPOINT = "http://localhost:8083";
+const DEFAULT_ROLE_ARN = "arn:aws:iam::123456789012:role/asl-sync";
+
+const files = new Map();
+const debounceTimers = new Map();
+let queue = Promise.resolve();
+let lastSyncAt = null;
+let error = null;
+
+function getDirectory() {
+  return path.resolve(config.aslSync.directory);
+}
+
+function getProfile() {
+  const name = config.aslSync.profile;
+  if (!name) {
+    return { name: "ASL sync", endpoint: DEFAULT_ENDPOINT };
+  }
+  const profile = config.profiles.find(candidate => candidate.name === name);
+  if (!profile) {
+    throw new Error(`aslSync.profile ${name} is not a configured profile`);
+  }
+  return profile;
+}
+
+function call(type, param, paginate) {
+  return StepFunctionsAPI.invoke(type, {
+    profile: getProfile(),
+    param,
+    paginate,
+    cache: false
+  });
+}
+
+function setStatus(fileName, fields) {
+  const now = new Date().toISOString();
+  const previous = files.get(fileName) || {
+    file: fileName,
+    name: fileName.slice(0, -SUFFIX.length),
+    stateMachineArn: null,
+    changedAt: null
+  };
+  const changed = fields.status === "created" || fields.status === "updated";
+  files.set(
+    fileName,
+    Object.assign({}, previous, { message: null }, fields, {
+      checkedAt: now,
+      changedAt: changed ? now : previous.changedAt
+    })
+  );
+}
+
+function sameDefinition(a, b) {
+  return JSON.stringify(JSON.parse(a)) === JSON.stringify(JSON.parse(b));
+}
+
+async function syncFile(fileName) {
+  const name = fileName.slice(0, -SUFFIX.length);
+  const file = path.join(getDirectory(), fileName);
+  if (!fs.existsSync(file)) {
+    const previous = files.get(fileName);
+    setStatus(fileName, {
+      status: "removed",
+      message:
+        previous && previous.stateMachineArn
+          ? "The file was removed; its state machine was left in place"
+          : "The file was removed"
+    });
+    return;
+  }
+  const definition = fs.readFileSync(file, "utf8");
+  try {
+    JSON.parse(definition);
+  } catch (err) {
+    setStatus(fileName, {
+      status: "error",
+      message: `Not valid JSON: ${err.message}`
+    });
+    return;
+  }
+
+  try {
+    const { stateMachines } = await call(APIType.LIST_STATE_MACHINES, {}, true);
+    const existing = stateMachines.find(candidate => candidate.name === name);
+    if (!existing) {
+      const created = await call(APIType.CREATE_STATE_MACHINE, {
+        name,
+        definition,
+        roleArn: config.aslSync.roleArn || DEFAULT_ROLE_ARN
+      });
+      setStatus(fileName, {
+        status: "created",
+        stateMachineArn: created.stateMachineArn
+      });
+      return;
+    }
+    const { stateMachineArn } = existing;
+    const described = await call(APIType.DESCRIBE_STATE_MACHINE, {
+      stateMachineArn
+    });
+    if (sameDefinition(described.definition, definition)) {
+      setStatus(fileName, { status: "in-sync", stateMachineArn });
+      return;
+    }
+    await call(APIType.UPDATE_STATE_MACHINE, { stateMachineArn, definition });
+    setStatus(fileName, { status: "updated", stateMachineArn });
+  } catch (err) {
+    setStatus(fileName, {
+      status: "error",
+      message: normalizeError(err).message
+    });
+  }
+}
+
+// Syncs run one at a time, so two quick saves cannot both create a machine
+function enqueue(fileName) {
+  queue = queue.then(() => syncFile(fileName)).catch(() => {});
+  return queue;
+}
+
+// Syncs every file in the directory, and notes the ones that went away.
+// Rejects when no directory is configured.
+function syncAll() {
+  if (!config.aslSync.directory) {
+    return Promise.reject(
+      new ApiError(
+        "AslSyncNotConfigured",
+        "ASL sync is not configured; set aslSync.directory or ASL_SYNC_DIR",
+        409
+      )
+    );
+  }
+  let names;
+  try {
+    names = fs
+      .readdirSync(getDirectory())
+      .filter(name => name.slice(-SUFFIX.length) === SUFFIX);
+    error = null;
+  } catch (err) {
+    error = `Unable to read ${getDirectory()}: ${err.message}`;
+    return queue;
+  }
+  files.forEach((status, fileName) => {
+    if (names.indexOf(fileName) < 0 && status.status !== "removed") {
+      names.push(fileName);
+    }
+  });
+  names.forEach(enqueue);
+  return queue.then(() => {
+    lastSyncAt = new Date().toISOString();
+  });
+}
+
+function onChange(eventType, fileName) {
+  if (!fileName || fileName.slice(-SUFFIX.length) !== SUFFIX) {
+    return;
+  }
+  clearTimeout(debounceTimers.get(fileName));
+  debounceTimers.set(
+    fileName,
+    setTimeout(() => {
+      debounceTimers.delete(fileName);
+      enqueue(fileName);
+    }, DEBOUNCE_MS)
+  );
+}
+
+// Starts watching when aslSync.directory is set; does nothing otherwise
+function start() {
+  if (!config.aslSync.directory) {
+    return;
+  }
+  getProfile();
+  syncAll();
+  try {
+    fs.watch(getDirectory(), onChange);
+  } catch (err) {
+    error = `Unable to watch ${getDirectory()}: ${err.message}`;
+  }
+  setInterval(syncAll, config.aslSync.intervalSeconds * 1000).unref();
+}
+
+function describeTarget() {
+  const profile = getProfile();
+  return usesEmulator(profile)
+    ? "built-in emulator"
+    : profile.endpoint || "AWS";
+}
+
+// What the ASL Sync page shows: one entry per file with its last outcome
+function getStatus() {
+  const enabled = !!config.aslSync.directory;
+  return {
+    enabled,
+    directory: enabled ? getDirectory() : null,
+    target: enabled ? describeTarget() : null,
+    lastSyncAt,
+    error,
+    files: Array.from(files.values()).sort((a, b) =>
+      a.file.localeCompare(b.file)
+    )
+  };
+}
+
+module.exports = {
+  start,
+  syncAll,
+  getStatus
+};
@@ -0,0 +1,158 @@
+// In-memory log of the Step Functions calls made through the /api proxy.
+// It is a ring buffer: once AUDIT_LOG_SIZE entries are kept, the oldest is
+// dropped for each new one. Credentials are never recorded, only the name,
+// endpoint and region of the profile a call was made with.
+//
+// Responses are trimmed before they are kept: lists to their first
+// AUDIT_LOG_MAX_ITEMS items and strings, such as definitions, inputs and
+// outputs, to AUDIT_LOG_MAX_STRING_LENGTH characters. itemCounts still has
+// the full length of each list in the response.
+
+const DEFAULT_SIZE = 500;
+const DEFAULT_LIST_LIMIT = 100;
+const DEFAULT_MAX_ITEMS = 50;
+const DEFAULT_MAX_STRING_LENGTH = 4096;
+
+const size = Number(process.env.AUDIT_LOG_SIZE) || DEFAULT_SIZE;
+const maxItems = Number(process.env.AUDIT_LOG_MAX_ITEMS) || DEFAULT_MAX_ITEMS;
+const maxStringLength =
+  Number(process.env.AUDIT_LOG_MAX_STRING_LENGTH) || DEFAULT_MAX_STRING_LENGTH;
+const entries = [];
+let nextId = 1;
+
+function describeProfile(profile) {
+  return {
+    name: profile.name || null,
+    endpoint: profile.endpoint || null,
+    region: profile.region || null,
+    credentialSource: (profile.credentials || {}).source || "default"
+  };
+}
+
+// Returns a copy of value within the limits above; trimmed.truncated is set
+// when anything was cut
+function trim(value, trimmed) {
+  if (typeof value === "string" && value.length > maxStringLength) {
+    trimmed.truncated = true;
+    return `${value.slice(0, maxStringLength)}…`;
+  }
+  if (Array.isArray(value)) {
+    if (value.length > maxItems) {
+      trimmed.truncated = true;
+    }
+    return value.slice(0, maxItems).map(item => trim(item, trimmed));
+  }
+  if (value && value.constructor === Object) {
+    return Object.keys(value).reduce(
+      (result, key) =>
+        Object.assign(result, { [key]: trim(value[key], trimmed) }),
+      {}
+    );
+  }
+  return value;
+}
+
+function countItems(response) {
+  return Object.keys(response || {})
+    .filter(key => Array.isArray(response[key]))
+    .reduce(
+      (counts, key) => Object.assign(counts, { [key]: response[key].length }),
+      {}
+    );
+}
+
+function record({
+  operation,
+  profile,
+  param,
+  paginate,
+  response,
+  error,
+  durationMs,
+  cached,
+  replayOf
+}) {
+  const trimmed = { truncated: false };
+  const entry = {
+    id: nextId++,
+    timestamp: new Date().toISOString(),
+    operation,
+    profile: describeProfile(profile),
+    param,
+    paginate: paginate || null,
+    status: error ? "error" : "success",
+    response: error ? null : trim(response, trimmed),
+    itemCounts: error ? null : countItems(response),
+    responseTruncated: trimmed.truncated,
+    error: error || null,
+    durationMs,
+    cached: !!cached,
+    replayOf: replayOf || null
+  };
+  entries.push(entry);
+  if (entries.length > size) {
+    entries.shift();
+  }
+  return entry;
+}
+
+// The list view leaves out params and response bodies, which can be large
+function summarize(entry) {
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    operation: entry.operation,
+    endpoint: entry.profile.endpoint,
+    profileName: entry.profile.name,
+    status: entry.status,
+    errorCode: entry.error ? entry.error.code : null,
+    httpStatus: entry.error ? entry.error.status : 200,
+    durationMs: entry.durationMs,
+    cached: entry.cached,
+    replayOf: entry.replayOf
+  };
+}
+
+function matches(entry, filter) {
+  if (filter.operation && entry.operation !== filter.operation) {
+    return false;
+  }
+  if (filter.status && entry.status !== filter.status) {
+    return false;
+  }
+  if (filter.endpoint && entry.profile.endpoint !== filter.endpoint) {
+    return false;
+  }
+  if (filter.search) {
+    const text = JSON.stringify([entry.param, entry.error]).toLowerCase();
+    return text.indexOf(filter.search.toLowerCase()) >= 0;
+  }
+  return true;
+}
+
+// Newest first. filter takes operation, status ("success" or "error"),
+// endpoint, search (matched against params and errors) and limit.
+function list(filter = {}) {
+  const limit = Number(filter.limit) || DEFAULT_LIST_LIMIT;
+  const matching = entries.filter(entry => matches(entry, filter)).reverse();
+  return {
+    entries: matching.slice(0, limit).map(summarize),
+    total: matching.length,
+    capacity: size
+  };
+}
+
+function get(id) {
+  return entries.find(entry => entry.id === id) || null;
+}
+
+function clear() {
+  entries.length = 0;
+}
+
+module.exports = {
+  record,
+  list,
+  get,
+  clear
+};
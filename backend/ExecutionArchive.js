@@ -0,0 +1,296 @@
+// Keeps finished executions, with their describeExecution result and full
+// history, in archive.directory (EXECUTION_ARCHIVE_DIR), so they can still
+// be looked at after the in-memory runner restarted. Each execution is one
+// JSON file; index.json lists them all without their histories.
+//
+// Executions get archived once the dashboard sees them finish: runs started
+// or stopped through it, and runs a list or describeExecution showed
+// running, are polled every archive.pollSeconds until they do. A finished
+// execution is also archived when describeExecution is called for it, but
+// not merely for showing up finished in a list, which would fetch the full
+// history of every old run on the page. Retention: archives older than
+// archive.maxAgeDays and all but the newest archive.maxExecutions are
+// deleted.
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const APIType = require("../util/APIType");
+const StepFunctionsAPI = require("./StepFunctionsAPI");
+const { config } = require("./config");
+const { ApiError } = require("./errors");
+
+const INDEX_FILE = "index.json";
+const TERMINAL_STATUSES = ["SUCCEEDED", "FAILED", "TIMED_OUT", "ABORTED"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Archived executions by getKey(), without their histories
+let index = null;
+// Executions to poll until they finish, with the profile to poll them with
+const pending = new Map();
+// Keys of the executions waiting in queue, so polls do not pile up behind a
+// slow runner
+const queued = new Set();
+let queue = Promise.resolve();
+
+function getDirectory() {
+  return path.resolve(config.archive.directory);
+}
+
+function getKey(profileKey, executionArn) {
+  return `${profileKey}\n${executionArn}`;
+}
+
+function getFileName(key) {
+  return `${crypto
+    .createHash("sha1")
+    .update(key)
+    .digest("hex")}.json`;
+}
+
+function loadIndex() {
+  if (index) {
+    return index;
+  }
+  index = new Map();
+  if (!config.archive.directory) {
+    return index;
+  }
+  const file = path.join(getDirectory(), INDEX_FILE);
+  if (fs.existsSync(file)) {
+    try {
+      JSON.parse(fs.readFileSync(file, "utf8")).forEach(entry =>
+        index.set(getKey(entry.profileKey, entry.executionArn), entry)
+      );
+    } catch (err) {
+      console.error(`Ignoring archive index ${file}: ${err.message}`);
+    }
+  }
+  return index;
+}
+
+function saveIndex() {
+  fs.writeFileSync(
+    path.join(getDirectory(), INDEX_FILE),
+    JSON.stringify(Array.from(loadIndex().values()))
+  );
+}
+
+function isTerminal(execution) {
+  return TERMINAL_STATUSES.indexOf(execution.status) >= 0;
+}
+
+// Deletes what falls outside the retention settings. Returns whether
+// anything went.
+function prune() {
+  const entries = Array.from(loadIndex().entries()).sort(
+    (a, b) =>
+      new Date(b[1].archivedAt) - new Date(a[1].archivedAt) ||
+      new Date(b[1].startDate) - new Date(a[1].startDate)
+  );
+  const oldest = Date.now() - config.archive.maxAgeDays * DAY_MS;
+  const expired = entries.filter(
+    ([, entry], position) =>
+      (config.archive.maxExecutions > 0 &&
+        position >= config.archive.maxExecutions) ||
+      (config.archive.maxAgeDays > 0 && new Date(entry.archivedAt) < oldest)
+  );
+  expired.forEach(([key, entry]) => {
+    index.delete(key);
+    fs.unlink(path.join(getDirectory(), entry.file), () => {});
+  });
+  return expired.length > 0;
+}
+
+// paginate stops at its item limit; keep going until the last page
+async function getFullHistory(stepfunctions, executionArn) {
+  const events = [];
+  let nextToken = null;
+  do {
+    const page = await StepFunctionsAPI.paginate(
+      stepfunctions,
+      APIType.GET_EXECUTION_HISTORY,
+      { executionArn, nextToken },
+      {}
+    );
+    events.push(...page.events);
+    nextToken = page.truncated ? page.nextToken : null;
+  } while (nextToken);
+  return events;
+}
+
+async function archive(profile, profileKey, executionArn) {
+  const key = getKey(profileKey, executionArn);
+  if (loadIndex().has(key)) {
+    pending.delete(key);
+    return;
+  }
+  const stepfunctions = StepFunctionsAPI.createClient(profile);
+  const execution = await stepfunctions
+    .describeExecution({ executionArn })
+    .promise();
+  if (!isTerminal(execution)) {
+    return;
+  }
+  const events = await getFullHistory(stepfunctions, executionArn);
+  const entry = {
+    file: getFileName(key),
+    profileKey,
+    executionArn,
+    stateMachineArn: execution.stateMachineArn,
+    name: execution.name,
+    status: execution.status,
+    startDate: execution.startDate,
+    stopDate: execution.stopDate,
+    archivedAt: new Date().toISOString()
+  };
+  fs.mkdirSync(getDirectory(), { recursive: true });
+  fs.writeFileSync(
+    path.join(getDirectory(), entry.file),
+    JSON.stringify({ archivedAt: entry.archivedAt, execution, events })
+  );
+  index.set(key, JSON.parse(JSON.stringify(entry)));
+  pending.delete(key);
+  prune();
+  saveIndex();
+}
+
+// Archives run one at a time, so a long list does not flood the runner.
+// A failed attempt leaves the execution to the next poll, unless the runner
+// no longer knows it. An execution already waiting is not queued again.
+function enqueue(profile, profileKey, executionArn) {
+  const key = getKey(profileKey, executionArn);
+  if (queued.has(key)) {
+    return queue;
+  }
+  queued.add(key);
+  queue = queue
+    .then(() => archive(profile, profileKey, executionArn))
+    .catch(err => {
+      if (err.code === "ExecutionDoesNotExist") {
+        pending.delete(key);
+      } else {
+        console.error(`Unable to archive ${executionArn}: ${err.message}`);
+      }
+    })
+    .then(() => queued.delete(key));
+  return queue;
+}
+
+function track(profile, profileKey, executionArn) {
+  const key = getKey(profileKey, executionArn);
+  if (!loadIndex().has(key)) {
+    pending.set(key, { profile, profileKey, executionArn });
+  }
+}
+
+// listed is true for executions from a list: finished ones are only
+// archived when they were seen running before
+function see(profile, profileKey, execution, listed) {
+  const key = getKey(profileKey, execution.executionArn);
+  if (loadIndex().has(key)) {
+    return;
+  }
+  if (!isTerminal(execution)) {
+    track(profile, profileKey, execution.executionArn);
+  } else if (!listed || pending.has(key)) {
+    enqueue(profile, profileKey, execution.executionArn);
+  }
+}
+
+// Listener for every successful StepFunctionsAPI call
+function observe({ profile, profileKey, operation, param, data }) {
+  switch (operation) {
+    case APIType.START_EXECUTION:
+      track(profile, profileKey, data.executionArn);
+      break;
+    case APIType.STOP_EXECUTION:
+      track(profile, profileKey, param.executionArn);
+      break;
+    case APIType.DESCRIBE_EXECUTION:
+      see(profile, profileKey, data);
+      break;
+    case APIType.LIST_EXECUTIONS:
+      data.executions.forEach(execution =>
+        see(profile, profileKey, execution, true)
+      );
+      break;
+    default:
+  }
+}
+
+function pollPending() {
+  pending.forEach(({ profile, profileKey, executionArn }) =>
+    enqueue(profile, profileKey, executionArn)
+  );
+  if (prune()) {
+    saveIndex();
+  }
+}
+
+// Archived executions of the profile's backend, newest first, optionally
+// only those of stateMachineArn
+function list(profile, stateMachineArn) {
+  const profileKey = StepFunctionsAPI.getProfileKey(profile);
+  return Array.from(loadIndex().values())
+    .filter(
+      entry =>
+        entry.profileKey === profileKey &&
+        (!stateMachineArn || entry.stateMachineArn === stateMachineArn)
+    )
+    .sort((a, b) => new Date(b.startDate) - new Date(a.startDate))
+    .map(entry => ({
+      executionArn: entry.executionArn,
+      stateMachineArn: entry.stateMachineArn,
+      name: entry.name,
+      status: entry.status,
+      startDate: entry.startDate,
+      stopDate: entry.stopDate,
+      archivedAt: entry.archivedAt
+    }));
+}
+
+function notArchived(executionArn) {
+  return new ApiError(
+    "ExecutionNotArchived",
+    `Execution ${executionArn} is not in the archive`,
+    404
+  );
+}
+
+// Returns { archivedAt, execution, events }
+function get(profile, executionArn) {
+  const key = getKey(StepFunctionsAPI.getProfileKey(profile), executionArn);
+  const entry = loadIndex().get(key);
+  if (!entry) {
+    throw notArchived(executionArn);
+  }
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(getDirectory(), entry.file), "utf8")
+    );
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+    // Deleted behind the index's back
+    index.delete(key);
+    saveIndex();
+    throw notArchived(executionArn);
+  }
+}
+
+// Starts archiving when archive.directory is set; does nothing otherwise
+function start() {
+  if (!config.archive.directory) {
+    return;
+  }
+  StepFunctionsAPI.onSuccess(observe);
+  setInterval(pollPending, config.archive.pollSeconds * 1000).unref();
+}
+
+module.exports = {
+  start,
+  list,
+  get
+};
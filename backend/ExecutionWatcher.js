@@ -0,0 +1,324 @@
+const crypto = require("crypto");
+const StepFunctionsAPI = require("./StepFunctionsAPI");
+const { checkEndpoint, usesEmulator } = require("./config");
+const { ApiError, normalizeError, sendError } = require("./errors");
+
+const POLL_INTERVAL = 2000;
+const HEARTBEAT_INTERVAL = 15000;
+// listExecutions returns the newest executions first, so watching the first
+// page is enough to see new runs and the status of recent ones.
+const EXECUTION_PAGE_SIZE = 100;
+const HISTORY_PAGE_SIZE = 1000;
+// The most history events one poll fetches
+const MAX_NEW_EVENTS = 1000;
+// How long a stream token stays valid after it was issued or last used
+const STREAM_TOKEN_TTL = 10 * 60 * 1000;
+const TERMINAL_EVENT_TYPES = [
+  "ExecutionSucceeded",
+  "ExecutionFailed",
+  "ExecutionTimedOut",
+  "ExecutionAborted"
+];
+
+// One watcher per profile and resource, shared by every open stream
+const watchers = new Map();
+// Profiles by stream token, so credentials never have to go in a stream URL
+const streamTokens = new Map();
+
+function getWatcher(key, createPoll) {
+  let watcher = watchers.get(key);
+  if (!watcher) {
+    watcher = {
+      listeners: new Set(),
+      state: null,
+      done: false,
+      timer: null
+    };
+    watcher.poll = createPoll(watcher);
+    watchers.set(key, watcher);
+    schedule(key, watcher, 0);
+  }
+  return watcher;
+}
+
+function schedule(key, watcher, delay) {
+  watcher.timer = setTimeout(() => {
+    watcher
+      .poll()
+      .catch(err => emit(watcher, "apiError", normalizeError(err)))
+      .then(() => {
+        if (watchers.get(key) === watcher && !watcher.done) {
+          schedule(key, watcher, POLL_INTERVAL);
+        }
+      });
+  }, delay);
+}
+
+function emit(watcher, event, data) {
+  watcher.listeners.forEach(listener => listener(event, data));
+}
+
+function subscribe(key, createPoll, listener, sendSnapshot) {
+  const watcher = getWatcher(key, createPoll);
+  watcher.listeners.add(listener);
+  if (watcher.state) {
+    sendSnapshot(watcher, listener);
+  }
+  return () => {
+    watcher.listeners.delete(listener);
+    if (watcher.listeners.size === 0) {
+      clearTimeout(watcher.timer);
+      watchers.delete(key);
+    }
+  };
+}
+
+function watchExecutions(profile, stateMachineArn, listener) {
+  const key = `executions:${StepFunctionsAPI.getProfileKey(
+    profile
+  )}:${stateMachineArn}`;
+  const stepfunctions = StepFunctionsAPI.createClient(profile);
+
+  const createPoll = watcher => () =>
+    stepfunctions
+      .listExecutions({ stateMachineArn, maxResults: EXECUTION_PAGE_SIZE })
+      .promise()
+      .then(data => {
+        const previous = watcher.state || {};
+        const current = {};
+        data.executions.forEach(execution => {
+          current[execution.executionArn] = execution;
+          const known = previous[execution.executionArn];
+          if (!known || known.status !== execution.status) {
+            emit(watcher, "execution", execution);
+          }
+        });
+        watcher.state = Object.assign({}, previous, current);
+      });
+
+  const sendSnapshot = ({ state }, send) => {
+    Object.keys(state).forEach(arn => send("execution", state[arn]));
+  };
+
+  return subscribe(key, createPoll, listener, sendSnapshot);
+}
+
+// Pages through the history newest first until it reaches an event that was
+// already seen, so each poll only transfers new events. At most
+// MAX_NEW_EVENTS are fetched, the newest ones, so a subscriber far behind
+// cannot pull a whole long history through the stream.
+function fetchNewEvents(stepfunctions, executionArn, lastEventId) {
+  const events = [];
+
+  function fetchPage(nextToken) {
+    const param = {
+      executionArn,
+      reverseOrder: true,
+      maxResults: Math.min(HISTORY_PAGE_SIZE, MAX_NEW_EVENTS - events.length)
+    };
+    if (nextToken) {
+      param.nextToken = nextToken;
+    }
+    return stepfunctions
+      .getExecutionHistory(param)
+      .promise()
+      .then(data => {
+        const fresh = data.events.filter(event => event.id > lastEventId);
+        events.push(...fresh);
+        if (
+          data.nextToken &&
+          fresh.length === data.events.length &&
+          events.length < MAX_NEW_EVENTS
+        ) {
+          return fetchPage(data.nextToken);
+        }
+        return events.reverse();
+      });
+  }
+
+  return fetchPage(null);
+}
+
+// Streams the events after afterEventId. The shared watcher starts after the
+// afterEventId of its first subscriber; a later subscriber that is further
+// behind gets the events in between fetched for it once.
+function watchHistory(profile, executionArn, afterEventId, listener) {
+  const key = `history:${StepFunctionsAPI.getProfileKey(
+    profile
+  )}:${executionArn}`;
+  const stepfunctions = StepFunctionsAPI.createClient(profile);
+
+  const createPoll = watcher => {
+    watcher.since = afterEventId;
+    return () => {
+      const known = watcher.state || [];
+      const lastEventId = known.length
+        ? known[known.length - 1].id
+        : watcher.since;
+      return fetchNewEvents(stepfunctions, executionArn, lastEventId).then(
+        events => {
+          watcher.state = known.concat(events);
+          if (events.length > 0) {
+            emit(watcher, "history", { executionArn, events });
+          }
+          if (events.some(e => TERMINAL_EVENT_TYPES.indexOf(e.type) >= 0)) {
+            watcher.done = true;
+            emit(watcher, "complete", { executionArn });
+          }
+        }
+      );
+    };
+  };
+
+  // Each subscriber only gets events past the last one it was sent
+  let lastSentId = afterEventId;
+  const send = (event, data) => {
+    if (event !== "history") {
+      return listener(event, data);
+    }
+    const events = data.events.filter(e => e.id > lastSentId);
+    if (events.length > 0) {
+      lastSentId = events[events.length - 1].id;
+      listener("history", { executionArn, events });
+    }
+  };
+
+  const sendSnapshot = ({ state, done }, send) => {
+    send("history", { executionArn, events: state });
+    if (done) {
+      send("complete", { executionArn });
+    }
+  };
+
+  const watcher = watchers.get(key);
+  if (watcher && watcher.since > afterEventId) {
+    const since = watcher.since;
+    fetchNewEvents(stepfunctions, executionArn, afterEventId)
+      .then(events => {
+        const missed = events.filter(e => e.id <= since);
+        if (missed.length > 0) {
+          listener("history", { executionArn, events: missed });
+        }
+      })
+      .catch(err => listener("apiError", normalizeError(err)));
+  }
+
+  return subscribe(key, createPoll, send, sendSnapshot);
+}
+
+// POST /api/stream/token { profile } answers { token } to open streams for
+// profile with. A token lasts STREAM_TOKEN_TTL past its last use, which
+// covers EventSource reconnecting.
+function createStreamToken(profile) {
+  profile = profile || {};
+  if (!usesEmulator(profile)) {
+    checkEndpoint(profile.endpoint);
+  }
+  const now = Date.now();
+  streamTokens.forEach((entry, token) => {
+    if (entry.expiresAt < now) {
+      streamTokens.delete(token);
+    }
+  });
+  const token = crypto.randomBytes(24).toString("hex");
+  streamTokens.set(token, { profile, expiresAt: now + STREAM_TOKEN_TTL });
+  return { token };
+}
+
+function parseProfile(query) {
+  if (query.token) {
+    const entry = streamTokens.get(query.token);
+    if (!entry || entry.expiresAt < Date.now()) {
+      streamTokens.delete(query.token);
+      throw new ApiError(
+        "InvalidStreamToken",
+        "The stream token is unknown or expired",
+        401
+      );
+    }
+    entry.expiresAt = Date.now() + STREAM_TOKEN_TTL;
+    return entry.profile;
+  }
+  if (!query.profile) {
+    return { endpoint: query.endpoint };
+  }
+  let profile;
+  try {
+    profile = JSON.parse(query.profile);
+  } catch (err) {
+    throw new ApiError("InvalidProfile", "profile is not valid JSON", 400);
+  }
+  // Secrets in a URL end up in browser history and access logs
+  if ((profile.credentials || {}).source === "static") {
+    throw new ApiError(
+      "InvalidProfile",
+      "Profiles with static credentials need a token from /api/stream/token",
+      400
+    );
+  }
+  return profile;
+}
+
+// GET /api/stream/executions?token=...&stateMachineArn=...&executionArn=...
+// (or profile=<JSON> instead of token, for profiles without static keys)
+// Server-Sent Events stream with these event types:
+//   execution  an execution of stateMachineArn was started or changed status
+//   history    new history events of executionArn
+//   complete   executionArn reached a terminal state
+//   apiError   a poll failed; the body is the usual error envelope contents
+function stream(req, res) {
+  let profile;
+  try {
+    profile = parseProfile(req.query);
+    if (!usesEmulator(profile)) {
+      checkEndpoint(profile.endpoint);
+    }
+  } catch (err) {
+    return sendError(res, err);
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  const unsubscribers = [];
+
+  if (req.query.stateMachineArn) {
+    unsubscribers.push(
+      watchExecutions(profile, req.query.stateMachineArn, send)
+    );
+  }
+  if (req.query.executionArn) {
+    unsubscribers.push(
+      watchHistory(
+        profile,
+        req.query.executionArn,
+        Number(req.query.afterEventId) || 0,
+        send
+      )
+    );
+  }
+
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    HEARTBEAT_INTERVAL
+  );
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+}
+
+module.exports = {
+  createStreamToken,
+  stream,
+  watchExecutions,
+  watchHistory
+};
@@ -0,0 +1,139 @@
+// The Step Functions Local mock config file: test cases that map Task states
+// to canned responses. Starting an execution of "<stateMachineArn>#<test
+// case>" makes the runner answer those states from the file instead of
+// calling Lambda, SQS and the like:
+//
+//   {
+//     "StateMachines": {
+//       "Checkout": {
+//         "TestCases": { "PaymentRetried": { "Charge": "ThrottledThenOk" } }
+//       }
+//     },
+//     "MockedResponses": {
+//       "ThrottledThenOk": {
+//         "0-1": { "Throw": { "Error": "Lambda.TooManyRequestsException", "Cause": "" } },
+//         "2": { "Return": { "StatusCode": 200, "Payload": {} } }
+//       }
+//     }
+//   }
+//
+// Keys under a mocked response are the attempt numbers, from 0, they apply
+// to. The file lives at mockConfigFile (SFN_MOCK_CONFIG, the variable the
+// runner reads too), so pointing both at the same path shares it; the
+// runner only reads it on startup. The built-in emulator reads it for
+// every execution.
+
+const fs = require("fs");
+const path = require("path");
+const { config } = require("./config");
+const { ApiError } = require("./errors");
+const { ATTEMPTS_PATTERN } = require("./emulator/mocks");
+
+function getFile() {
+  return path.resolve(config.mockConfigFile);
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkResponse(name, response, problems) {
+  if (!isObject(response) || Object.keys(response).length === 0) {
+    problems.push(`Mocked response ${name} needs at least one attempt`);
+    return;
+  }
+  Object.keys(response).forEach(attempts => {
+    const where = `Mocked response ${name}, attempts ${attempts}`;
+    const match = ATTEMPTS_PATTERN.exec(attempts);
+    if (!match || (match[2] !== undefined && +match[2] < +match[1])) {
+      problems.push(`${where}: attempts must be a number or a range like 1-3`);
+    }
+    const step = response[attempts];
+    const kinds = isObject(step)
+      ? ["Return", "Throw"].filter(kind => step[kind] !== undefined)
+      : [];
+    if (kinds.length !== 1) {
+      problems.push(`${where}: give either Return or Throw`);
+    } else if (
+      kinds[0] === "Throw" &&
+      (!isObject(step.Throw) || typeof step.Throw.Error !== "string")
+    ) {
+      problems.push(`${where}: Throw needs an Error`);
+    }
+  });
+}
+
+// Lists what is wrong with a mock config document, so a broken file never
+// reaches the runner, which refuses to start with one
+function validate(document) {
+  const problems = [];
+  if (!isObject(document)) {
+    return ["The mock config must be an object"];
+  }
+  const stateMachines = document.StateMachines || {};
+  const responses = document.MockedResponses || {};
+  if (!isObject(stateMachines) || !isObject(responses)) {
+    return ["StateMachines and MockedResponses must be objects"];
+  }
+  Object.keys(stateMachines).forEach(machine => {
+    const testCases = (stateMachines[machine] || {}).TestCases;
+    if (!isObject(testCases)) {
+      problems.push(`State machine ${machine} needs a TestCases object`);
+      return;
+    }
+    Object.keys(testCases).forEach(testCase => {
+      const states = testCases[testCase];
+      if (!isObject(states)) {
+        problems.push(`Test case ${machine}#${testCase} must be an object`);
+        return;
+      }
+      Object.keys(states).forEach(state => {
+        if (!responses[states[state]]) {
+          problems.push(
+            `Test case ${machine}#${testCase} uses unknown mocked response ${states[state]} for state ${state}`
+          );
+        }
+      });
+    });
+  });
+  Object.keys(responses).forEach(name =>
+    checkResponse(name, responses[name], problems)
+  );
+  return problems;
+}
+
+function load() {
+  const file = getFile();
+  if (!fs.existsSync(file)) {
+    return { StateMachines: {}, MockedResponses: {} };
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new ApiError(
+      "InvalidMockConfig",
+      `Unable to read ${file}: ${err.message}`,
+      500
+    );
+  }
+}
+
+function save(document) {
+  const problems = validate(document);
+  if (problems.length > 0) {
+    throw new ApiError("InvalidMockConfig", problems.join("; "), 400);
+  }
+  const normalized = {
+    StateMachines: document.StateMachines || {},
+    MockedResponses: document.MockedResponses || {}
+  };
+  fs.writeFileSync(getFile(), `${JSON.stringify(normalized, null, 2)}\n`);
+  return normalized;
+}
+
+module.exports = {
+  getFile,
+  validate,
+  load,
+  save
+};
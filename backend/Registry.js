@@ -0,0 +1,190 @@
+// Persistent record of the state machines and activities created through
+// the dashboard, so they can be created again when a runner that keeps
+// everything in memory restarts. Entries are kept per backend (see
+// StepFunctionsAPI.getProfileKey) in registry.file (DASHBOARD_REGISTRY):
+//
+//   {
+//     "<profile key>": {
+//       "stateMachines": {
+//         "Checkout": { "definition": "...", "roleArn": "...", "tags": [] }
+//       },
+//       "activities": { "Approve": { "tags": [] } }
+//     }
+//   }
+//
+// Resources are kept by name, which is what survives a restart; their ARNs
+// are derived from the region and account of whatever recreates them.
+
+const fs = require("fs");
+const path = require("path");
+const APIType = require("../util/APIType");
+const { config } = require("./config");
+
+// The createStateMachine params worth replaying, besides name and tags
+const STATE_MACHINE_FIELDS = [
+  "definition",
+  "roleArn",
+  "type",
+  "loggingConfiguration",
+  "tracingConfiguration"
+];
+
+let backends = null;
+
+function getFile() {
+  return path.resolve(config.registry.file);
+}
+
+function load() {
+  if (backends) {
+    return backends;
+  }
+  backends = {};
+  // Without a file nothing is registered, so nothing is offered back
+  if (!config.registry.file) {
+    return backends;
+  }
+  const file = getFile();
+  if (fs.existsSync(file)) {
+    try {
+      backends = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      // A broken registry must not take the proxy down with it
+      console.error(`Ignoring registry ${file}: ${err.message}`);
+    }
+  }
+  return backends;
+}
+
+function persist() {
+  if (!config.registry.file) {
+    return;
+  }
+  fs.writeFileSync(getFile(), `${JSON.stringify(backends, null, 2)}\n`);
+}
+
+function getBackend(profileKey) {
+  const all = load();
+  if (!all[profileKey]) {
+    all[profileKey] = { stateMachines: {}, activities: {} };
+  }
+  return all[profileKey];
+}
+
+// arn:aws:states:<region>:<account>:<stateMachine|activity>:<name>
+function parseArn(arn) {
+  const parts = String(arn || "").split(":");
+  if (parts.length !== 7) {
+    return null;
+  }
+  const kind = { stateMachine: "stateMachines", activity: "activities" }[
+    parts[5]
+  ];
+  return kind ? { kind, name: parts[6] } : null;
+}
+
+function pick(source, fields) {
+  const result = {};
+  fields.forEach(field => {
+    if (source[field] !== undefined && source[field] !== null) {
+      result[field] = source[field];
+    }
+  });
+  return result;
+}
+
+function mergeTags(current, added) {
+  const keys = added.map(tag => tag.key);
+  return current.filter(tag => keys.indexOf(tag.key) < 0).concat(added);
+}
+
+// Applies a successful call to the registry. Returns whether it changed.
+function apply(backend, operation, param) {
+  const resource = parseArn(
+    param.stateMachineArn || param.activityArn || param.resourceArn
+  );
+  const entry = resource && backend[resource.kind][resource.name];
+  switch (operation) {
+    case APIType.CREATE_STATE_MACHINE:
+      backend.stateMachines[param.name] = Object.assign(
+        pick(param, STATE_MACHINE_FIELDS),
+        { tags: param.tags || [] }
+      );
+      return true;
+    case APIType.CREATE_ACTIVITY:
+      backend.activities[param.name] = { tags: param.tags || [] };
+      return true;
+    case APIType.UPDATE_STATE_MACHINE:
+      if (!entry) {
+        return false;
+      }
+      Object.assign(entry, pick(param, STATE_MACHINE_FIELDS));
+      return true;
+    case APIType.DELETE_STATE_MACHINE:
+    case APIType.DELETE_ACTIVITY:
+      if (!entry) {
+        return false;
+      }
+      delete backend[resource.kind][resource.name];
+      return true;
+    case APIType.TAG_RESOURCE:
+      if (!entry) {
+        return false;
+      }
+      entry.tags = mergeTags(entry.tags, param.tags);
+      return true;
+    case APIType.UNTAG_RESOURCE:
+      if (!entry) {
+        return false;
+      }
+      entry.tags = entry.tags.filter(tag => param.tagKeys.indexOf(tag.key) < 0);
+      return true;
+    default:
+      return false;
+  }
+}
+
+// Called by StepFunctionsAPI for every successful call
+function record(profileKey, operation, param) {
+  if (
+    !config.registry.file ||
+    !apply(getBackend(profileKey), operation, param)
+  ) {
+    return;
+  }
+  try {
+    persist();
+  } catch (err) {
+    console.error(`Unable to save the registry: ${err.message}`);
+  }
+}
+
+// The params to create a registered resource again with
+function list(profileKey) {
+  const backend = load()[profileKey] || { stateMachines: {}, activities: {} };
+  return {
+    stateMachines: Object.keys(backend.stateMachines).map(name =>
+      Object.assign({ name }, backend.stateMachines[name])
+    ),
+    activities: Object.keys(backend.activities).map(name =>
+      Object.assign({ name }, backend.activities[name])
+    )
+  };
+}
+
+// Drops resources that should no longer be recreated, e.g. ones deleted
+// on the runner behind the dashboard's back
+function forget(profileKey, names) {
+  const backend = getBackend(profileKey);
+  ["stateMachines", "activities"].forEach(kind =>
+    (names[kind] || []).forEach(name => delete backend[kind][name])
+  );
+  persist();
+}
+
+module.exports = {
+  getFile,
+  record,
+  list,
+  forget
+};
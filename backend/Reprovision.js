@@ -0,0 +1,122 @@
+// Compares a runner with the Registry and creates again what it lost, e.g.
+// after Step Functions Local restarted and forgot everything. All calls go
+// through StepFunctionsAPI.invoke with the caller's profile and role, so a
+// read-only user can check but not recreate.
+
+const APIType = require("../util/APIType");
+const Registry = require("./Registry");
+const StepFunctionsAPI = require("./StepFunctionsAPI");
+const { ApiError, normalizeError } = require("./errors");
+
+function listNames(type, key, body, role) {
+  return StepFunctionsAPI.invoke(
+    type,
+    { profile: body.profile, paginate: true, cache: false },
+    { role }
+  ).then(data => data[key].map(item => item.name));
+}
+
+// Resolves with what the registry holds for the profile and which of it the
+// runner is missing. The runner is only asked when there is something to
+// compare.
+async function check(body, role) {
+  const profileKey = StepFunctionsAPI.getProfileKey(
+    StepFunctionsAPI.getProfile(body)
+  );
+  const registered = Registry.list(profileKey);
+  const result = {
+    registered: {
+      stateMachines: registered.stateMachines.length,
+      activities: registered.activities.length
+    },
+    missing: { stateMachines: [], activities: [] }
+  };
+  if (registered.stateMachines.length > 0) {
+    const names = await listNames(
+      APIType.LIST_STATE_MACHINES,
+      "stateMachines",
+      body,
+      role
+    );
+    result.missing.stateMachines = registered.stateMachines
+      .filter(stateMachine => names.indexOf(stateMachine.name) < 0)
+      .map(stateMachine => stateMachine.name);
+  }
+  if (registered.activities.length > 0) {
+    const names = await listNames(
+      APIType.LIST_ACTIVITIES,
+      "activities",
+      body,
+      role
+    );
+    result.missing.activities = registered.activities
+      .filter(activity => names.indexOf(activity.name) < 0)
+      .map(activity => activity.name);
+  }
+  return result;
+}
+
+// Creates the missing resources with the names, definitions and tags they
+// were registered with. One failure does not stop the rest; each is
+// reported with the usual error envelope.
+async function restore(body, role) {
+  const profile = StepFunctionsAPI.getProfile(body);
+  const registered = Registry.list(StepFunctionsAPI.getProfileKey(profile));
+  const { missing } = await check(body, role);
+  const result = {
+    restored: { stateMachines: [], activities: [] },
+    failed: []
+  };
+
+  async function create(kind, type, param) {
+    try {
+      await StepFunctionsAPI.invoke(type, { profile, param }, { role });
+      result.restored[kind].push(param.name);
+    } catch (err) {
+      result.failed.push({
+        kind,
+        name: param.name,
+        error: normalizeError(err)
+      });
+    }
+  }
+
+  // Activities first, since state machines may reference them
+  for (const activity of registered.activities) {
+    if (missing.activities.indexOf(activity.name) >= 0) {
+      await create("activities", APIType.CREATE_ACTIVITY, activity);
+    }
+  }
+  for (const stateMachine of registered.stateMachines) {
+    if (missing.stateMachines.indexOf(stateMachine.name) >= 0) {
+      await create("stateMachines", APIType.CREATE_STATE_MACHINE, stateMachine);
+    }
+  }
+  return result;
+}
+
+// body.stateMachines and body.activities name what to stop recreating
+function forget(body) {
+  ["stateMachines", "activities"].forEach(kind => {
+    if (body[kind] !== undefined && !Array.isArray(body[kind])) {
+      throw new ApiError(
+        "ValidationError",
+        `${kind} must be an array of names`,
+        400
+      );
+    }
+  });
+  Registry.forget(
+    StepFunctionsAPI.getProfileKey(StepFunctionsAPI.getProfile(body)),
+    {
+      stateMachines: body.stateMachines,
+      activities: body.activities
+    }
+  );
+}
+
+module.exports = {
+  check,
+  restore,
+  forget
+};
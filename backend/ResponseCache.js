@@ -0,0 +1,161 @@
+// Short-lived cache of read operations, so pages that load the same lists
+// on mount do not each wait for a slow runner. Entries are keyed by the
+// profile's backend, the operation and its params, and expire after
+// cache.ttlSeconds. Successful mutating calls drop the entries they affect.
+
+const { config } = require("./config");
+
+const TERMINAL_STATUSES = ["SUCCEEDED", "FAILED", "TIMED_OUT", "ABORTED"];
+const TERMINAL_EVENT_TYPES = [
+  "ExecutionSucceeded",
+  "ExecutionFailed",
+  "ExecutionTimedOut",
+  "ExecutionAborted"
+];
+
+// Read operations, each with a test for responses that are safe to reuse.
+// A running execution changes all the time, so only finished ones are kept,
+// and only lists without running executions.
+const CACHEABLE = {
+  describeActivity: () => true,
+  describeStateMachine: () => true,
+  listActivities: () => true,
+  listExecutions: data =>
+    data.executions.every(execution => execution.status !== "RUNNING"),
+  listStateMachines: () => true,
+  listTagsForResource: () => true,
+  describeExecution: data => TERMINAL_STATUSES.indexOf(data.status) >= 0,
+  getExecutionHistory: data =>
+    data.events.some(event => TERMINAL_EVENT_TYPES.indexOf(event.type) >= 0)
+};
+
+// What each mutating operation makes stale: the operation whose entries to
+// drop, and optionally the param naming the resource they must be about
+const INVALIDATES = {
+  createStateMachine: [{ operation: "listStateMachines" }],
+  updateStateMachine: [
+    { operation: "listStateMachines" },
+    { operation: "describeStateMachine", resource: "stateMachineArn" }
+  ],
+  deleteStateMachine: [
+    { operation: "listStateMachines" },
+    { operation: "describeStateMachine", resource: "stateMachineArn" },
+    { operation: "listExecutions", resource: "stateMachineArn" },
+    { operation: "listTagsForResource", resource: "stateMachineArn" }
+  ],
+  startExecution: [
+    { operation: "listExecutions", resource: "stateMachineArn" }
+  ],
+  stopExecution: [{ operation: "listExecutions" }],
+  sendTaskSuccess: [{ operation: "listExecutions" }],
+  sendTaskFailure: [{ operation: "listExecutions" }],
+  createActivity: [{ operation: "listActivities" }],
+  deleteActivity: [
+    { operation: "listActivities" },
+    { operation: "describeActivity", resource: "activityArn" },
+    { operation: "listTagsForResource", resource: "activityArn" }
+  ],
+  tagResource: [{ operation: "listTagsForResource", resource: "resourceArn" }],
+  untagResource: [{ operation: "listTagsForResource", resource: "resourceArn" }]
+};
+
+// The param that names the resource a cached entry is about
+const RESOURCE_PARAMS = [
+  "stateMachineArn",
+  "activityArn",
+  "executionArn",
+  "resourceArn"
+];
+
+const entries = new Map();
+
+function isEnabled() {
+  return config.cache.ttlSeconds > 0;
+}
+
+function getKey(profileKey, operation, body) {
+  return JSON.stringify([
+    profileKey,
+    operation,
+    body.param || {},
+    body.paginate || null
+  ]);
+}
+
+function getResource(param) {
+  const key = RESOURCE_PARAMS.find(name => param && param[name]);
+  return key ? param[key] : null;
+}
+
+// Returns the cached response, or undefined on a miss
+function get(profileKey, operation, body) {
+  if (!isEnabled() || !CACHEABLE[operation]) {
+    return undefined;
+  }
+  const key = getKey(profileKey, operation, body);
+  const entry = entries.get(key);
+  if (!entry) {
+    return undefined;
+  }
+  if (entry.expires <= Date.now()) {
+    entries.delete(key);
+    return undefined;
+  }
+  return entry.data;
+}
+
+function store(profileKey, operation, body, data) {
+  if (!isEnabled() || !CACHEABLE[operation] || !CACHEABLE[operation](data)) {
+    return;
+  }
+  const key = getKey(profileKey, operation, body);
+  entries.delete(key);
+  entries.set(key, {
+    profileKey,
+    operation,
+    resource: getResource(body.param),
+    data,
+    expires: Date.now() + config.cache.ttlSeconds * 1000
+  });
+  // Maps iterate in insertion order, so the first entry is the oldest
+  if (entries.size > config.cache.maxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+// Mock test case runs start "<stateMachineArn>#<test case>", which is
+// still about the state machine
+function getBaseArn(arn) {
+  return typeof arn === "string" ? arn.split("#")[0] : arn;
+}
+
+// Drops the entries a successful call to operation made stale
+function invalidate(profileKey, operation, param) {
+  const rules = INVALIDATES[operation];
+  if (!rules) {
+    return;
+  }
+  entries.forEach((entry, key) => {
+    const stale = rules.some(
+      rule =>
+        entry.profileKey === profileKey &&
+        entry.operation === rule.operation &&
+        (!rule.resource ||
+          entry.resource === getBaseArn((param || {})[rule.resource]))
+    );
+    if (stale) {
+      entries.delete(key);
+    }
+  });
+}
+
+function clear() {
+  entries.clear();
+}
+
+module.exports = {
+  get,
+  store,
+  invalidate,
+  clear
+};
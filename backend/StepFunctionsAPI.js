@@ -1,16 +1,348 @@
 const AWS = require("aws-sdk");
+const APIType = require("../util/APIType");
+const AuditLog = require("./AuditLog");
+const MockConfig = require("./MockConfig");
+const Registry = require("./Registry");
+const { checkOperation } = require("./auth");
+const ResponseCache = require("./ResponseCache");
+const { config, checkEndpoint, usesEmulator } = require("./config");
+const { getEmulator } = require("./emulator");
+const { ApiError, normalizeError, sendError } = require("./errors");
+const { checkParams, checkRequest } = require("./validation");
 
-function call(type, req, res) {
-    const stepfunctions = new AWS.StepFunctions({
-        region: "us-east-1",
-        endpoint: req.body.endpoint
+const DEFAULT_REGION = "us-east-1";
+
+// Operations that return a nextToken, mapped to the key holding their items
+const PAGINATED_OPERATIONS = {
+  getExecutionHistory: "events",
+  listActivities: "activities",
+  listExecutions: "executions",
+  listStateMachines: "stateMachines"
+};
+// Step Functions rejects a maxResults above 1000
+const MAX_PAGE_SIZE = 1000;
+// Upper bound for a single paginated request, so one call cannot pull an
+// unbounded history into memory
+const MAX_PAGINATED_ITEMS = 10000;
+// A batch covers at most one page of the largest page size, and runs a few
+// calls at a time so a long list does not flood the runner
+const MAX_BATCH_ITEMS = 1000;
+const DEFAULT_BATCH_CONCURRENCY = 5;
+const MAX_BATCH_CONCURRENCY = 20;
+const OPERATION_NAMES = Object.keys(APIType).map(key => APIType[key]);
+
+// Called with { profile, profileKey, operation, param, data } after every
+// successful call that reached the runner
+const successListeners = [];
+
+// Requests made before connection profiles existed only send an endpoint.
+function getProfile(body) {
+  return body.profile || { endpoint: body.endpoint };
+}
+
+// Identifies the backend and identity a profile talks to. Secrets are left
+// out; the access key id is enough to tell identities apart.
+function getProfileKey(profile) {
+  const credentials = profile.credentials || {};
+  return JSON.stringify([
+    usesEmulator(profile) ? "emulator" : "runner",
+    profile.endpoint || null,
+    profile.region || DEFAULT_REGION,
+    profile.accountId || null,
+    credentials.source || "default",
+    credentials.profileName || credentials.accessKeyId || null
+  ]);
+}
+
+function getCredentials(credentials) {
+  switch ((credentials || {}).source) {
+    case "static":
+      return new AWS.Credentials(
+        credentials.accessKeyId,
+        credentials.secretAccessKey,
+        credentials.sessionToken || null
+      );
+    case "shared":
+      return new AWS.SharedIniFileCredentials({
+        profile: credentials.profileName || "default"
+      });
+    default:
+      // Fall back to the SDK's default provider chain
+      return undefined;
+  }
+}
+
+// Returns an AWS.StepFunctions client for the profile, or the built-in
+// emulator in emulator mode. Throws an EndpointNotAllowed ApiError for
+// endpoints outside the allowlist.
+function createClient(profile) {
+  if (usesEmulator(profile)) {
+    return getEmulator({
+      region: profile.region,
+      accountId: profile.accountId,
+      timeScale: config.emulator.timeScale,
+      loadMockConfig: MockConfig.load
+    });
+  }
+  checkEndpoint(profile.endpoint);
+  const options = {
+    region: profile.region || DEFAULT_REGION,
+    endpoint: profile.endpoint || undefined
+  };
+  const credentials = getCredentials(profile.credentials);
+  if (credentials) {
+    options.credentials = credentials;
+  }
+  return new AWS.StepFunctions(options);
+}
+
+// Follows nextToken until maxItems items are collected or the runner has no
+// more pages. The response keeps the last nextToken and sets truncated when
+// there are items left, so the caller can continue from there.
+function paginate(stepfunctions, type, param, options) {
+  const key = PAGINATED_OPERATIONS[type];
+  const maxItems = Math.min(
+    options.maxItems || MAX_PAGINATED_ITEMS,
+    MAX_PAGINATED_ITEMS
+  );
+  const items = [];
+
+  function fetchPage(nextToken) {
+    const pageParam = Object.assign({}, param, {
+      maxResults: Math.min(MAX_PAGE_SIZE, maxItems - items.length)
+    });
+    if (nextToken) {
+      pageParam.nextToken = nextToken;
+    } else {
+      delete pageParam.nextToken;
+    }
+    return stepfunctions[type](pageParam)
+      .promise()
+      .then(data => {
+        items.push(...data[key]);
+        if (data.nextToken && items.length < maxItems) {
+          return fetchPage(data.nextToken);
+        }
+        return Object.assign({}, data, {
+          [key]: items,
+          nextToken: data.nextToken,
+          truncated: !!data.nextToken
+        });
       });
-      stepfunctions[type](req.body.param)
-        .promise()
-        .then(data => res.send(data))
-        .catch(err => res.status(err.statusCode).send(err));
+  }
+
+  return fetchPage(param.nextToken);
+}
+
+// Runs one operation for an /api request body ({ profile, param, paginate })
+// and records it in the audit log. Callers with options.role "read-only" may
+// only read, and the profile, paginate and param are checked against their
+// schemas first. Read operations are answered from the response cache
+// unless body.cache is false, and resources created through it are kept in
+// the Registry. Resolves with the SDK response; options.onLog receives the
+// log entry once the call has settled.
+function invoke(type, body, options = {}) {
+  const profile = getProfile(body);
+  const profileKey = getProfileKey(profile);
+  const param = body.param || {};
+  const started = Date.now();
+  const onLog = options.onLog || (() => {});
+  const log = (response, error, cached) =>
+    onLog(
+      AuditLog.record({
+        operation: type,
+        profile,
+        param,
+        paginate: body.paginate,
+        response,
+        error: error && normalizeError(error),
+        durationMs: Date.now() - started,
+        cached,
+        replayOf: options.replayOf
+      })
+    );
+
+  let stepfunctions;
+  try {
+    checkOperation(options.role, type);
+    checkRequest(profile, body.paginate);
+    checkParams(type, param);
+    stepfunctions = createClient(profile);
+  } catch (err) {
+    log(null, err);
+    return Promise.reject(err);
+  }
+
+  // Only after the checks, so the cache never answers a call they would
+  // have turned away
+  const cached =
+    body.cache === false
+      ? undefined
+      : ResponseCache.get(profileKey, type, body);
+  if (cached !== undefined) {
+    log(cached, null, true);
+    return Promise.resolve(cached);
+  }
+
+  const request =
+    body.paginate && PAGINATED_OPERATIONS[type]
+      ? paginate(stepfunctions, type, param, body.paginate)
+      : stepfunctions[type](param).promise();
+
+  return request.then(
+    data => {
+      ResponseCache.invalidate(profileKey, type, param);
+      ResponseCache.store(profileKey, type, body, data);
+      Registry.record(profileKey, type, param);
+      successListeners.forEach(listener =>
+        listener({ profile, profileKey, operation: type, param, data })
+      );
+      log(data);
+      return data;
+    },
+    err => {
+      log(null, err);
+      throw err;
+    }
+  );
+}
+
+// For modules that need StepFunctionsAPI themselves, which keeps them out of
+// invoke's requires
+function onSuccess(listener) {
+  successListeners.push(listener);
+}
+
+// X-Cache tells whether the response came from the response cache
+function call(type, req, res) {
+  invoke(type, req.body, {
+    role: req.auth.role,
+    onLog: entry => res.set("X-Cache", entry.cached ? "HIT" : "MISS")
+  })
+    .then(data => res.send(data))
+    .catch(err => sendError(res, err));
+}
+
+// Sends a logged call again with the caller's profile, which holds the
+// credentials the log leaves out. Answers with the new log entry, whether
+// the call succeeded or not.
+function replay(req, res) {
+  const entry = AuditLog.get(Number(req.params.id));
+  if (!entry) {
+    return sendError(
+      res,
+      new ApiError(
+        "AuditEntryNotFound",
+        `No audit log entry ${req.params.id}`,
+        404
+      )
+    );
+  }
+  const body = {
+    profile: getProfile(req.body),
+    param: entry.param,
+    paginate: entry.paginate,
+    cache: false
+  };
+  let replayed = null;
+  const sendEntry = () => res.send(replayed);
+  invoke(entry.operation, body, {
+    role: req.auth.role,
+    replayOf: entry.id,
+    onLog: logged => (replayed = logged)
+  }).then(sendEntry, sendEntry);
+}
+
+function checkBatch(body) {
+  const items = body.items;
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(
+      "InvalidBatch",
+      "items must be a non-empty array of { operation, param }",
+      400
+    );
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    throw new ApiError(
+      "InvalidBatch",
+      `A batch takes at most ${MAX_BATCH_ITEMS} items, got ${items.length}`,
+      400
+    );
+  }
+}
+
+function runBatchItem(item, profile, role) {
+  if (!item || OPERATION_NAMES.indexOf(item.operation) < 0) {
+    return Promise.reject(
+      new ApiError(
+        "UnknownOperation",
+        `Unknown operation ${item && item.operation}`,
+        400
+      )
+    );
+  }
+  return invoke(
+    item.operation,
+    {
+      profile,
+      param: item.param,
+      paginate: item.paginate,
+      cache: item.cache
+    },
+    { role }
+  );
+}
+
+// Runs body.items ({ operation, param, paginate, cache }) with the request's
+// profile, at most body.concurrency at a time. Answers with one result per
+// item, in order: { data } on success or { error } with the usual envelope.
+// A failing item does not stop the others.
+function batch(req, res) {
+  try {
+    checkBatch(req.body);
+  } catch (err) {
+    return sendError(res, err);
+  }
+  const profile = getProfile(req.body);
+  const items = req.body.items;
+  const concurrency = Math.min(
+    Math.max(Number(req.body.concurrency) || DEFAULT_BATCH_CONCURRENCY, 1),
+    MAX_BATCH_CONCURRENCY
+  );
+  const results = new Array(items.length);
+  let next = 0;
+
+  function worker() {
+    if (next >= items.length) {
+      return Promise.resolve();
+    }
+    const index = next++;
+    return runBatchItem(items[index], profile, req.auth.role)
+      .then(
+        data => (results[index] = { data }),
+        err => (results[index] = { error: normalizeError(err) })
+      )
+      .then(worker);
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+    workers.push(worker());
+  }
+  Promise.all(workers)
+    .then(() => res.send({ results }))
+    .catch(err => sendError(res, err));
 }
 
 module.exports = {
-  call
-}
\ No newline at end of file
+  PAGINATED_OPERATIONS,
+  batch,
+  call,
+  createClient,
+  getProfile,
+  getProfileKey,
+  invoke,
+  onSuccess,
+  paginate,
+  replay
+};
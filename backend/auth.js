@@ -0,0 +1,203 @@
+// Optional authentication for the UI and the /api routes. It is off unless
+// config.auth has tokens or users. A caller then proves who they are with
+//
+//   Authorization: Bearer <token>      scripts and other tools
+//   Authorization: Basic <user:pass>   browsers, through their login prompt
+//   the dashboard_token cookie         browsers, after signing in at /login
+//
+// and gets the role of the matching credential. "admin" may do anything;
+// "read-only" may look around but not call operations that change state
+// (see READ_ONLY_OPERATIONS) or clear the audit log.
+
+const crypto = require("crypto");
+const APIType = require("../util/APIType");
+const { config } = require("./config");
+const { ApiError, sendError } = require("./errors");
+
+const COOKIE_NAME = "dashboard_token";
+const REALM = "Step Functions dashboard";
+const READ_ONLY_OPERATIONS = [
+  APIType.DESCRIBE_ACTIVITY,
+  APIType.DESCRIBE_EXECUTION,
+  APIType.DESCRIBE_STATE_MACHINE,
+  APIType.GET_EXECUTION_HISTORY,
+  APIType.LIST_ACTIVITIES,
+  APIType.LIST_EXECUTIONS,
+  APIType.LIST_STATE_MACHINES,
+  APIType.LIST_TAGS_FOR_RESOURCE
+];
+
+function isEnabled() {
+  return config.auth.tokens.length > 0 || config.auth.users.length > 0;
+}
+
+// Compares digests so the time taken does not depend on where the strings
+// first differ
+function safeEqual(a, b) {
+  const digest = value =>
+    crypto
+      .createHash("sha256")
+      .update(String(value))
+      .digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function findToken(token) {
+  const match = config.auth.tokens.find(candidate =>
+    safeEqual(candidate.token, token)
+  );
+  return match ? { user: null, role: match.role } : null;
+}
+
+function findUser(encoded) {
+  const decoded = Buffer.from(encoded, "base64").toString();
+  const colon = decoded.indexOf(":");
+  if (colon < 0) {
+    return null;
+  }
+  const username = decoded.slice(0, colon);
+  const password = decoded.slice(colon + 1);
+  const match = config.auth.users.find(
+    candidate =>
+      candidate.username === username && safeEqual(candidate.password, password)
+  );
+  return match ? { user: username, role: match.role } : null;
+}
+
+function readCookie(req, name) {
+  const cookies = (req.headers.cookie || "").split(";");
+  for (let i = 0; i < cookies.length; i++) {
+    const [key, ...value] = cookies[i].trim().split("=");
+    if (key === name) {
+      return decodeURIComponent(value.join("="));
+    }
+  }
+  return null;
+}
+
+// Returns { user, role } for the request's credentials, or null
+function identify(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, value] = header.split(" ");
+  if (scheme === "Bearer" && value) {
+    return findToken(value);
+  }
+  if (scheme === "Basic" && value) {
+    return findUser(value);
+  }
+  const cookie = readCookie(req, COOKIE_NAME);
+  return cookie ? findToken(cookie) : null;
+}
+
+// Express middleware: sets req.auth, or turns the request away. API calls
+// get the error envelope; page loads get the browser's login prompt with
+// basic auth, or the /login page with tokens only.
+function authenticate(req, res, next) {
+  if (!isEnabled()) {
+    req.auth = { user: null, role: "admin" };
+    return next();
+  }
+  req.auth = identify(req);
+  if (req.auth) {
+    return next();
+  }
+  const basic = config.auth.users.length > 0;
+  if (basic) {
+    res.set("WWW-Authenticate", `Basic realm="${REALM}"`);
+  }
+  if (req.path.indexOf("/api/") === 0) {
+    return sendError(
+      res,
+      new ApiError("Unauthorized", "Sign in to use the dashboard API", 401)
+    );
+  }
+  if (basic) {
+    // Cancelling the prompt shows this body, so token holders can still sign in
+    return res
+      .status(401)
+      .send(
+        config.auth.tokens.length > 0
+          ? loginPage()
+          : "Sign in to use the dashboard"
+      );
+  }
+  res.redirect("/login");
+}
+
+// Throws the ApiError a read-only caller gets for a call that changes state
+function checkOperation(role, operation) {
+  if (role === "read-only" && READ_ONLY_OPERATIONS.indexOf(operation) < 0) {
+    throw new ApiError(
+      "Forbidden",
+      `The read-only role may not call ${operation}`,
+      403
+    );
+  }
+}
+
+// Express middleware for routes only admins may use
+function requireAdmin(req, res, next) {
+  if (req.auth && req.auth.role === "admin") {
+    return next();
+  }
+  sendError(res, new ApiError("Forbidden", "Only admins may do this", 403));
+}
+
+function loginPage(message) {
+  return `<!DOCTYPE html>
+<html>
+  <head><title>Sign in · ${REALM}</title></head>
+  <body style="font-family: sans-serif; max-width: 360px; margin: 80px auto">
+    <h2>${REALM}</h2>
+    ${message ? `<p style="color: #c0392b">${message}</p>` : ""}
+    <form method="post" action="/login">
+      <label>Access token <input type="password" name="token" autofocus></label>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`;
+}
+
+function showLogin(req, res) {
+  res.send(loginPage());
+}
+
+// Checks the posted token and keeps it in an HttpOnly cookie, which the
+// browser then sends with every page load, fetch and event stream
+function login(req, res) {
+  const token = (req.body || {}).token || "";
+  if (!findToken(token)) {
+    return res.status(401).send(loginPage("That token is not valid."));
+  }
+  res.cookie(COOKIE_NAME, token, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure
+  });
+  res.redirect("/");
+}
+
+function logout(req, res) {
+  res.clearCookie(COOKIE_NAME);
+  res.redirect(config.auth.tokens.length > 0 ? "/login" : "/");
+}
+
+// What /api/config tells the browser about the caller
+function describe(req) {
+  return {
+    enabled: isEnabled(),
+    user: req.auth ? req.auth.user : null,
+    role: req.auth ? req.auth.role : null
+  };
+}
+
+module.exports = {
+  READ_ONLY_OPERATIONS,
+  authenticate,
+  checkOperation,
+  requireAdmin,
+  showLogin,
+  login,
+  logout,
+  describe
+};
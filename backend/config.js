@@ -0,0 +1,287 @@
+// Server-side settings, read once at startup from dashboard.config.json in
+// the working directory, or from the file named by DASHBOARD_CONFIG:
+//
+//   {
+//     "allowedEndpoints": ["localhost", "http://stepfunctions-local:8083"],
+//     "allowAwsEndpoints": false,
+//     "profiles": [
+//       { "name": "Shared runner", "endpoint": "http://runner:8083", "region": "us-east-1" }
+//     ],
+//     "mode": "runner",
+//     "emulator": { "timeScale": 1 },
+//     "cache": { "ttlSeconds": 5, "maxEntries": 500 },
+//     "mockConfigFile": "MockConfigFile.json",
+//     "aslSync": { "directory": "statemachines", "profile": "Shared runner" },
+//     "registry": { "file": "dashboard.registry.json", "autoRestore": false },
+//     "archive": { "directory": "execution-archive", "maxAgeDays": 30, "maxExecutions": 1000 },
+//     "auth": {
+//       "tokens": [{ "token": "s3cret", "role": "admin" }],
+//       "users": [{ "username": "qa", "password": "pw", "role": "read-only" }]
+//     }
+//   }
+//
+// ALLOWED_ENDPOINTS (comma-separated) and ALLOW_AWS_ENDPOINTS=true override
+// the file. An allowedEndpoints entry is either a host name, which allows any
+// port and protocol on that host, or a URL, which must match exactly. The
+// endpoints of the configured profiles are always allowed.
+//
+// mode "emulator" (or DASHBOARD_MODE=emulator) sends every call to the
+// built-in emulator instead of a runner; profiles can also opt in one by one
+// with "mode": "emulator". emulator.timeScale (EMULATOR_TIME_SCALE) scales
+// Wait states and Retry intervals, e.g. 0 to skip them.
+//
+// cache.ttlSeconds (CACHE_TTL_SECONDS) is how long read operations are
+// answered from the response cache; 0 turns the cache off.
+//
+// mockConfigFile (SFN_MOCK_CONFIG) is where mock test cases are kept, see
+// backend/MockConfig.
+//
+// aslSync.directory (ASL_SYNC_DIR) turns on syncing *.asl.json files into
+// the runner of aslSync.profile, see backend/AslSync.
+//
+// registry.file (DASHBOARD_REGISTRY) keeps the state machines and activities
+// created through the dashboard, to recreate them after a runner restart;
+// with registry.autoRestore (REGISTRY_AUTO_RESTORE=true) the UI does so
+// without asking. See backend/Registry.
+//
+// archive.directory (EXECUTION_ARCHIVE_DIR) keeps finished executions and
+// their histories past a runner restart, for archive.maxAgeDays
+// (ARCHIVE_MAX_AGE_DAYS) and at most archive.maxExecutions
+// (ARCHIVE_MAX_EXECUTIONS); 0 means no limit. See backend/ExecutionArchive.
+//
+// auth is off until a token or user is configured, see backend/auth.
+// DASHBOARD_TOKEN and DASHBOARD_READ_ONLY_TOKEN add tokens, and
+// DASHBOARD_BASIC_AUTH and DASHBOARD_READ_ONLY_BASIC_AUTH ("user:password")
+// add users, with the admin and read-only roles respectively.
+
+const fs = require("fs");
+const path = require("path");
+const { ApiError } = require("./errors");
+
+const CONFIG_FILE = "dashboard.config.json";
+const DEFAULT_ALLOWED_ENDPOINTS = ["localhost", "127.0.0.1", "[::1]"];
+const ROLES = ["admin", "read-only"];
+
+function readConfigFile() {
+  const file = path.resolve(process.env.DASHBOARD_CONFIG || CONFIG_FILE);
+  if (!fs.existsSync(file)) {
+    if (process.env.DASHBOARD_CONFIG) {
+      throw new Error(`Config file ${file} does not exist`);
+    }
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Unable to read ${file}: ${err.message}`);
+  }
+}
+
+function splitList(value) {
+  return value
+    .split(",")
+    .map(item => item.trim())
+    .filter(item => item !== "");
+}
+
+function splitUser(value, role) {
+  const colon = value.indexOf(":");
+  if (colon <= 0) {
+    throw new Error("Basic auth users must be given as user:password");
+  }
+  return {
+    username: value.slice(0, colon),
+    password: value.slice(colon + 1),
+    role
+  };
+}
+
+function loadAuth(file) {
+  const auth = {
+    tokens: (file.tokens || []).slice(),
+    users: (file.users || []).slice()
+  };
+  const env = process.env;
+  if (env.DASHBOARD_TOKEN) {
+    auth.tokens.push({ token: env.DASHBOARD_TOKEN, role: "admin" });
+  }
+  if (env.DASHBOARD_READ_ONLY_TOKEN) {
+    auth.tokens.push({
+      token: env.DASHBOARD_READ_ONLY_TOKEN,
+      role: "read-only"
+    });
+  }
+  if (env.DASHBOARD_BASIC_AUTH) {
+    auth.users.push(splitUser(env.DASHBOARD_BASIC_AUTH, "admin"));
+  }
+  if (env.DASHBOARD_READ_ONLY_BASIC_AUTH) {
+    auth.users.push(splitUser(env.DASHBOARD_READ_ONLY_BASIC_AUTH, "read-only"));
+  }
+  auth.tokens.concat(auth.users).forEach(credential => {
+    credential.role = credential.role || "admin";
+    if (ROLES.indexOf(credential.role) < 0) {
+      throw new Error(
+        `Unknown role ${credential.role}, expected admin or read-only`
+      );
+    }
+  });
+  return auth;
+}
+
+function load() {
+  const file = readConfigFile();
+  const config = {
+    allowedEndpoints: file.allowedEndpoints || DEFAULT_ALLOWED_ENDPOINTS,
+    allowAwsEndpoints: !!file.allowAwsEndpoints,
+    profiles: file.profiles || [],
+    mode: file.mode || "runner",
+    emulator: Object.assign({ timeScale: 1 }, file.emulator),
+    cache: Object.assign({ ttlSeconds: 5, maxEntries: 500 }, file.cache),
+    mockConfigFile: file.mockConfigFile || "MockConfigFile.json",
+    aslSync: Object.assign(
+      { directory: null, profile: null, roleArn: null, intervalSeconds: 30 },
+      file.aslSync
+    ),
+    registry: Object.assign(
+      { file: "dashboard.registry.json", autoRestore: false },
+      file.registry
+    ),
+    archive: Object.assign(
+      {
+        directory: "execution-archive",
+        maxAgeDays: 30,
+        maxExecutions: 1000,
+        pollSeconds: 10
+      },
+      file.archive
+    ),
+    auth: loadAuth(file.auth || {})
+  };
+  if (process.env.ALLOWED_ENDPOINTS) {
+    config.allowedEndpoints = splitList(process.env.ALLOWED_ENDPOINTS);
+  }
+  if (process.env.ALLOW_AWS_ENDPOINTS) {
+    config.allowAwsEndpoints = process.env.ALLOW_AWS_ENDPOINTS === "true";
+  }
+  if (process.env.DASHBOARD_MODE) {
+    config.mode = process.env.DASHBOARD_MODE;
+  }
+  if (process.env.EMULATOR_TIME_SCALE) {
+    config.emulator.timeScale = Number(process.env.EMULATOR_TIME_SCALE);
+  }
+  if (process.env.SFN_MOCK_CONFIG) {
+    config.mockConfigFile = process.env.SFN_MOCK_CONFIG;
+  }
+  if (process.env.ASL_SYNC_DIR) {
+    config.aslSync.directory = process.env.ASL_SYNC_DIR;
+  }
+  if (process.env.DASHBOARD_REGISTRY) {
+    config.registry.file = process.env.DASHBOARD_REGISTRY;
+  }
+  if (process.env.REGISTRY_AUTO_RESTORE) {
+    config.registry.autoRestore = process.env.REGISTRY_AUTO_RESTORE === "true";
+  }
+  if (process.env.EXECUTION_ARCHIVE_DIR) {
+    config.archive.directory = process.env.EXECUTION_ARCHIVE_DIR;
+  }
+  if (process.env.ARCHIVE_MAX_AGE_DAYS) {
+    config.archive.maxAgeDays = Number(process.env.ARCHIVE_MAX_AGE_DAYS);
+  }
+  if (process.env.ARCHIVE_MAX_EXECUTIONS) {
+    config.archive.maxExecutions = Number(process.env.ARCHIVE_MAX_EXECUTIONS);
+  }
+  if (process.env.CACHE_TTL_SECONDS) {
+    config.cache.ttlSeconds = Number(process.env.CACHE_TTL_SECONDS);
+  }
+  if (["runner", "emulator"].indexOf(config.mode) < 0) {
+    throw new Error(`Unknown mode ${config.mode}, expected runner or emulator`);
+  }
+  return config;
+}
+
+const config = load();
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function matchesEntry(url, entry) {
+  const allowed = parseUrl(entry);
+  if (allowed) {
+    return allowed.origin === url.origin;
+  }
+  return url.hostname === entry.toLowerCase();
+}
+
+function isEndpointAllowed(endpoint) {
+  if (!endpoint) {
+    return config.allowAwsEndpoints;
+  }
+  const url = parseUrl(endpoint);
+  if (!url) {
+    return false;
+  }
+  const entries = config.allowedEndpoints.concat(
+    config.profiles.map(profile => profile.endpoint).filter(Boolean)
+  );
+  return entries.some(entry => matchesEntry(url, entry));
+}
+
+// Throws the ApiError every route answers with for a disallowed endpoint
+function checkEndpoint(endpoint) {
+  if (!isEndpointAllowed(endpoint)) {
+    throw new ApiError(
+      "EndpointNotAllowed",
+      endpoint
+        ? `Endpoint ${endpoint} is not in the dashboard's allowed endpoints`
+        : "The AWS endpoints are not allowed by the dashboard configuration",
+      403
+    );
+  }
+}
+
+// What the browser may know: no credentials beyond their source
+function getPublicConfig() {
+  return {
+    allowedEndpoints: config.allowedEndpoints,
+    allowAwsEndpoints: config.allowAwsEndpoints,
+    mode: config.mode,
+    registry: {
+      enabled: !!config.registry.file,
+      autoRestore: !!config.registry.autoRestore
+    },
+    archive: {
+      enabled: !!config.archive.directory,
+      maxAgeDays: config.archive.maxAgeDays,
+      maxExecutions: config.archive.maxExecutions
+    },
+    profiles: config.profiles.map(profile => ({
+      name: profile.name,
+      mode: profile.mode || "runner",
+      endpoint: profile.endpoint || "",
+      region: profile.region,
+      accountId: profile.accountId || "",
+      credentials: {
+        source: (profile.credentials || {}).source || "default",
+        profileName: (profile.credentials || {}).profileName
+      }
+    }))
+  };
+}
+
+// Whether calls made with profile go to the built-in emulator
+function usesEmulator(profile) {
+  return config.mode === "emulator" || profile.mode === "emulator";
+}
+
+module.exports = {
+  config,
+  usesEmulator,
+  isEndpointAllowed,
+  checkEndpoint,
+  getPublicConfig
+};
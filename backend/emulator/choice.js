@@ -0,0 +1,103 @@
+// Evaluates Choice state rules. Every comparison operator also has a
+// "...Path" form that compares against another value from the input.
+
+const { getPath, hasPath } = require("./paths");
+
+function isTimestamp(value) {
+  return typeof value === "string" && !isNaN(Date.parse(value));
+}
+
+// Glob match for StringMatches: "*" matches anything, "\*" a literal star
+function matchesPattern(value, pattern) {
+  const source = pattern
+    .split(/(\\\*|\*)/)
+    .map(part => {
+      if (part === "*") {
+        return ".*";
+      }
+      if (part === "\\*") {
+        return "\\*";
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`).test(value);
+}
+
+const COMPARISONS = {
+  StringEquals: (a, b) => typeof a === "string" && a === b,
+  StringLessThan: (a, b) => typeof a === "string" && a < b,
+  StringGreaterThan: (a, b) => typeof a === "string" && a > b,
+  StringLessThanEquals: (a, b) => typeof a === "string" && a <= b,
+  StringGreaterThanEquals: (a, b) => typeof a === "string" && a >= b,
+  StringMatches: (a, b) => typeof a === "string" && matchesPattern(a, b),
+  NumericEquals: (a, b) => typeof a === "number" && a === b,
+  NumericLessThan: (a, b) => typeof a === "number" && a < b,
+  NumericGreaterThan: (a, b) => typeof a === "number" && a > b,
+  NumericLessThanEquals: (a, b) => typeof a === "number" && a <= b,
+  NumericGreaterThanEquals: (a, b) => typeof a === "number" && a >= b,
+  BooleanEquals: (a, b) => typeof a === "boolean" && a === b,
+  TimestampEquals: (a, b) => isTimestamp(a) && Date.parse(a) === Date.parse(b),
+  TimestampLessThan: (a, b) => isTimestamp(a) && Date.parse(a) < Date.parse(b),
+  TimestampGreaterThan: (a, b) =>
+    isTimestamp(a) && Date.parse(a) > Date.parse(b),
+  TimestampLessThanEquals: (a, b) =>
+    isTimestamp(a) && Date.parse(a) <= Date.parse(b),
+  TimestampGreaterThanEquals: (a, b) =>
+    isTimestamp(a) && Date.parse(a) >= Date.parse(b)
+};
+
+const TYPE_TESTS = {
+  IsNull: value => value === null,
+  IsBoolean: value => typeof value === "boolean",
+  IsNumeric: value => typeof value === "number",
+  IsString: value => typeof value === "string",
+  IsTimestamp: isTimestamp
+};
+
+function evaluateRule(rule, input) {
+  if (rule.And) {
+    return rule.And.every(child => evaluateRule(child, input));
+  }
+  if (rule.Or) {
+    return rule.Or.some(child => evaluateRule(child, input));
+  }
+  if (rule.Not) {
+    return !evaluateRule(rule.Not, input);
+  }
+
+  if (rule.IsPresent !== undefined) {
+    return hasPath(input, rule.Variable) === rule.IsPresent;
+  }
+
+  const present = hasPath(input, rule.Variable);
+  const value = present ? getPath(input, rule.Variable) : undefined;
+
+  const typeTest = Object.keys(TYPE_TESTS).find(key => key in rule);
+  if (typeTest) {
+    return present && TYPE_TESTS[typeTest](value) === rule[typeTest];
+  }
+
+  const operator = Object.keys(rule).find(
+    key => COMPARISONS[key.replace(/Path$/, "")]
+  );
+  if (!operator || !present) {
+    return false;
+  }
+  const expected =
+    operator.slice(-4) === "Path"
+      ? getPath(input, rule[operator])
+      : rule[operator];
+  return COMPARISONS[operator.replace(/Path$/, "")](value, expected);
+}
+
+// Returns the Next of the first matching rule, or the Default
+function chooseNext(state, input) {
+  const match = (state.Choices || []).find(rule => evaluateRule(rule, input));
+  return match ? match.Next : state.Default;
+}
+
+module.exports = {
+  evaluateRule,
+  chooseNext
+};
@@ -0,0 +1,27 @@
+// API errors look like the ones aws-sdk raises, so normalizeError() turns
+// them into the same envelope as a runner's answer.
+class EmulatorError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = code;
+    this.code = code;
+    this.statusCode = 400;
+    this.retryable = false;
+  }
+}
+
+// A failure inside an execution, e.g. from a Fail state or "States.Timeout".
+// Retry and Catch match on error; cause is free text.
+class StatesError extends Error {
+  constructor(error, cause) {
+    super(cause || error);
+    this.name = "StatesError";
+    this.error = error;
+    this.cause = cause || "";
+  }
+}
+
+module.exports = {
+  EmulatorError,
+  StatesError
+};
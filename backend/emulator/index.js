@@ -0,0 +1,652 @@
+// In-process stand-in for a Step Functions runner. createEmulator() returns
+// an object with the same operations as AWS.StepFunctions (each returning
+// { promise() }), so StepFunctionsAPI can use it in place of the SDK client.
+// State machines, activities and executions only live in memory.
+
+const crypto = require("crypto");
+const { EmulatorError, StatesError } = require("./errors");
+const { startRun, unref } = require("./interpreter");
+const { getTestCase } = require("./mocks");
+
+const DEFAULT_REGION = "us-east-1";
+const DEFAULT_ACCOUNT_ID = "123456789012";
+const DEFAULT_PAGE_SIZE = 100;
+// getActivityTask waits this long for a task before answering empty-handed
+const ACTIVITY_POLL_TIMEOUT = 60000;
+const STATE_TYPES = [
+  "Pass",
+  "Wait",
+  "Choice",
+  "Succeed",
+  "Fail",
+  "Parallel",
+  "Map",
+  "Task"
+];
+// Step Functions rejects whitespace, wildcards, brackets and punctuation in
+// names, as well as control characters (checked in isControlCharacter)
+const NAME_PATTERN = /^[^\s<>{}[\]?*"#%\\^|~`$&,;:/]{1,80}$/;
+
+// C0 and C1 control characters and DEL
+function isControlCharacter(char) {
+  const code = char.charCodeAt(0);
+  return code <= 0x1f || (code >= 0x7f && code <= 0x9f);
+}
+
+function validateName(name) {
+  if (
+    typeof name !== "string" ||
+    !NAME_PATTERN.test(name) ||
+    name.split("").some(isControlCharacter)
+  ) {
+    throw new EmulatorError("InvalidName", `Invalid Name: '${name}'`);
+  }
+}
+
+function validateStates(machine, where) {
+  if (!machine || typeof machine.States !== "object" || !machine.StartAt) {
+    throw new Error(`${where} must have StartAt and States`);
+  }
+  const names = Object.keys(machine.States);
+  const checkTarget = (target, from) => {
+    if (names.indexOf(target) < 0) {
+      throw new Error(`Missing 'Next' target: ${target} at ${from}`);
+    }
+  };
+  checkTarget(machine.StartAt, `${where}/StartAt`);
+
+  names.forEach(name => {
+    const state = machine.States[name];
+    const path = `${where}/States/${name}`;
+    if (state.ItemReader || state.ResultWriter) {
+      throw new Error(
+        `Map states with an ItemReader or ResultWriter are not supported by the emulator at ${path}`
+      );
+    }
+    if (STATE_TYPES.indexOf(state.Type) < 0) {
+      throw new Error(`Unknown state type ${state.Type} at ${path}`);
+    }
+    if (state.Next) {
+      checkTarget(state.Next, path);
+    } else if (
+      !state.End &&
+      ["Choice", "Succeed", "Fail"].indexOf(state.Type) < 0
+    ) {
+      throw new Error(`State ${name} needs either Next or End at ${path}`);
+    }
+    if (state.Type === "Choice") {
+      (state.Choices || []).forEach(rule => checkTarget(rule.Next, path));
+      if (state.Default) {
+        checkTarget(state.Default, path);
+      }
+    }
+    (state.Catch || []).forEach(catcher => checkTarget(catcher.Next, path));
+    (state.Branches || []).forEach((branch, index) =>
+      validateStates(branch, `${path}/Branches[${index}]`)
+    );
+    if (state.Type === "Map") {
+      validateStates(
+        state.ItemProcessor || state.Iterator,
+        `${path}/ItemProcessor`
+      );
+    }
+  });
+}
+
+function validateDefinition(definition) {
+  try {
+    validateStates(JSON.parse(definition), "");
+  } catch (err) {
+    throw new EmulatorError(
+      "InvalidDefinition",
+      `Invalid State Machine Definition: '${err.message}'`
+    );
+  }
+}
+
+function encodeToken(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString("base64");
+}
+
+function decodeToken(token) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(token, "base64").toString());
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (err) {
+    // Reported below
+  }
+  throw new EmulatorError("InvalidToken", `Invalid token: ${token}`);
+}
+
+function page(items, param, key) {
+  const start = param.nextToken ? decodeToken(param.nextToken) : 0;
+  const size = param.maxResults || DEFAULT_PAGE_SIZE;
+  const result = { [key]: items.slice(start, start + size) };
+  if (start + size < items.length) {
+    result.nextToken = encodeToken(start + size);
+  }
+  return result;
+}
+
+function pick(object, keys) {
+  const result = {};
+  keys.forEach(key => {
+    if (object[key] !== undefined) {
+      result[key] = object[key];
+    }
+  });
+  return result;
+}
+
+// options are region, accountId, timeScale (see the interpreter) and
+// loadMockConfig, which returns the mock config that "#<test case>"
+// executions take their Task responses from
+function createEmulator(options = {}) {
+  const region = options.region || DEFAULT_REGION;
+  const accountId = options.accountId || DEFAULT_ACCOUNT_ID;
+  const timeScale = options.timeScale === undefined ? 1 : options.timeScale;
+
+  const stateMachines = new Map();
+  const activities = new Map();
+  const executions = new Map();
+  const tasks = new Map();
+  const tags = new Map();
+
+  const arn = (type, name) =>
+    `arn:aws:states:${region}:${accountId}:${type}:${name}`;
+
+  function checkArn(value) {
+    if (typeof value !== "string" || value.indexOf("arn:") !== 0) {
+      throw new EmulatorError("InvalidArn", `Invalid Arn: '${value}'`);
+    }
+  }
+
+  function getStateMachine(stateMachineArn) {
+    checkArn(stateMachineArn);
+    const stateMachine = stateMachines.get(stateMachineArn);
+    if (!stateMachine) {
+      throw new EmulatorError(
+        "StateMachineDoesNotExist",
+        `State Machine Does Not Exist: '${stateMachineArn}'`
+      );
+    }
+    return stateMachine;
+  }
+
+  function getMocks(stateMachine, testCase) {
+    const document = options.loadMockConfig ? options.loadMockConfig() : {};
+    const mocks = getTestCase(document, stateMachine.name, testCase);
+    if (!mocks) {
+      throw new EmulatorError(
+        "InvalidArn",
+        `Test case ${testCase} is not defined for ${stateMachine.name} in the mock config`
+      );
+    }
+    return mocks;
+  }
+
+  function getActivity(activityArn) {
+    checkArn(activityArn);
+    const activity = activities.get(activityArn);
+    if (!activity) {
+      throw new EmulatorError(
+        "ActivityDoesNotExist",
+        `Activity Does Not Exist: '${activityArn}'`
+      );
+    }
+    return activity;
+  }
+
+  function getExecution(executionArn) {
+    checkArn(executionArn);
+    const execution = executions.get(executionArn);
+    if (!execution) {
+      throw new EmulatorError(
+        "ExecutionDoesNotExist",
+        `Execution Does Not Exist: '${executionArn}'`
+      );
+    }
+    return execution;
+  }
+
+  function getTask(taskToken) {
+    const task = tasks.get(taskToken);
+    if (!task) {
+      throw new EmulatorError("TaskDoesNotExist", "Task Does Not Exist");
+    }
+    return task;
+  }
+
+  function setTags(resourceArn, newTags) {
+    const resourceTags = tags.get(resourceArn) || {};
+    (newTags || []).forEach(tag => {
+      resourceTags[tag.key] = tag.value;
+    });
+    tags.set(resourceArn, resourceTags);
+  }
+
+  function checkResource(resourceArn) {
+    checkArn(resourceArn);
+    if (!stateMachines.has(resourceArn) && !activities.has(resourceArn)) {
+      throw new EmulatorError(
+        "ResourceNotFound",
+        `Resource not found: '${resourceArn}'`
+      );
+    }
+  }
+
+  // Activity tasks: queued by running executions, handed out by
+  // getActivityTask and settled by sendTaskSuccess/sendTaskFailure
+
+  function settleTask(task, err, output) {
+    if (!tasks.has(task.token)) {
+      return;
+    }
+    tasks.delete(task.token);
+    clearTimeout(task.timeout);
+    clearTimeout(task.heartbeat);
+    if (err) {
+      task.reject(err);
+    } else {
+      task.resolve(output);
+    }
+  }
+
+  function resetHeartbeat(task) {
+    clearTimeout(task.heartbeat);
+    if (task.heartbeatSeconds) {
+      task.heartbeat = unref(
+        setTimeout(
+          () =>
+            settleTask(
+              task,
+              new StatesError(
+                "States.HeartbeatTimeout",
+                "No heartbeat was received in time"
+              )
+            ),
+          task.heartbeatSeconds * 1000
+        )
+      );
+    }
+  }
+
+  function startTask(task, workerName) {
+    task.onStarted(workerName || "");
+    resetHeartbeat(task);
+    return { taskToken: task.token, input: JSON.stringify(task.input) };
+  }
+
+  function scheduleActivityTask({
+    resource,
+    input,
+    timeoutSeconds,
+    heartbeatSeconds,
+    onStarted
+  }) {
+    const activity = activities.get(resource);
+    if (!activity) {
+      return {
+        promise: Promise.reject(
+          new StatesError(
+            "States.Runtime",
+            `Activity Does Not Exist: '${resource}'`
+          )
+        ),
+        cancel: () => {}
+      };
+    }
+
+    const task = {
+      token: crypto.randomBytes(24).toString("hex"),
+      input,
+      heartbeatSeconds,
+      onStarted
+    };
+    const promise = new Promise((resolve, reject) => {
+      task.resolve = resolve;
+      task.reject = reject;
+    });
+    tasks.set(task.token, task);
+    if (timeoutSeconds) {
+      task.timeout = unref(
+        setTimeout(
+          () =>
+            settleTask(
+              task,
+              new StatesError("States.Timeout", "The activity task timed out")
+            ),
+          timeoutSeconds * 1000
+        )
+      );
+    }
+
+    const waiter = activity.waiters.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(startTask(task, waiter.workerName));
+    } else {
+      activity.queue.push(task);
+    }
+
+    const cancel = () => {
+      activity.queue = activity.queue.filter(queued => queued !== task);
+      tasks.delete(task.token);
+      clearTimeout(task.timeout);
+      clearTimeout(task.heartbeat);
+    };
+    return { promise, cancel };
+  }
+
+  function describeExecution(execution) {
+    return pick(execution, [
+      "executionArn",
+      "stateMachineArn",
+      "name",
+      "status",
+      "startDate",
+      "stopDate",
+      "input",
+      "output",
+      "error",
+      "cause"
+    ]);
+  }
+
+  const operations = {
+    createStateMachine(param) {
+      validateName(param.name);
+      validateDefinition(param.definition);
+      const stateMachineArn = arn("stateMachine", param.name);
+      if (stateMachines.has(stateMachineArn)) {
+        throw new EmulatorError(
+          "StateMachineAlreadyExists",
+          `State Machine Already Exists: '${stateMachineArn}'`
+        );
+      }
+      const stateMachine = {
+        stateMachineArn,
+        name: param.name,
+        status: "ACTIVE",
+        definition: param.definition,
+        roleArn: param.roleArn,
+        type: param.type || "STANDARD",
+        creationDate: new Date(),
+        loggingConfiguration: param.loggingConfiguration || {
+          level: "OFF",
+          includeExecutionData: false
+        }
+      };
+      stateMachines.set(stateMachineArn, stateMachine);
+      setTags(stateMachineArn, param.tags);
+      return { stateMachineArn, creationDate: stateMachine.creationDate };
+    },
+
+    describeStateMachine(param) {
+      return Object.assign({}, getStateMachine(param.stateMachineArn));
+    },
+
+    updateStateMachine(param) {
+      const stateMachine = getStateMachine(param.stateMachineArn);
+      if (
+        param.definition === undefined &&
+        param.roleArn === undefined &&
+        param.loggingConfiguration === undefined
+      ) {
+        throw new EmulatorError(
+          "MissingRequiredParameter",
+          "Either the definition, the roleArn or the loggingConfiguration must be specified"
+        );
+      }
+      if (param.definition !== undefined) {
+        validateDefinition(param.definition);
+        stateMachine.definition = param.definition;
+      }
+      if (param.roleArn !== undefined) {
+        stateMachine.roleArn = param.roleArn;
+      }
+      if (param.loggingConfiguration !== undefined) {
+        stateMachine.loggingConfiguration = param.loggingConfiguration;
+      }
+      return { updateDate: new Date() };
+    },
+
+    deleteStateMachine(param) {
+      getStateMachine(param.stateMachineArn);
+      stateMachines.delete(param.stateMachineArn);
+      tags.delete(param.stateMachineArn);
+      return {};
+    },
+
+    listStateMachines(param) {
+      const items = Array.from(stateMachines.values()).map(stateMachine =>
+        pick(stateMachine, ["stateMachineArn", "name", "type", "creationDate"])
+      );
+      return page(items, param, "stateMachines");
+    },
+
+    // "<stateMachineArn>#<test case>" runs a mock config test case
+    startExecution(param) {
+      const [stateMachineArn, testCase] = String(param.stateMachineArn).split(
+        "#"
+      );
+      const stateMachine = getStateMachine(stateMachineArn);
+      const mocks = testCase ? getMocks(stateMachine, testCase) : null;
+      const name = param.name || crypto.randomBytes(16).toString("hex");
+      validateName(name);
+      const input = param.input === undefined ? "{}" : param.input;
+      try {
+        JSON.parse(input);
+      } catch (err) {
+        throw new EmulatorError(
+          "InvalidExecutionInput",
+          `Invalid execution input: ${err.message}`
+        );
+      }
+      const executionArn = arn("execution", `${stateMachine.name}:${name}`);
+      if (executions.has(executionArn)) {
+        throw new EmulatorError(
+          "ExecutionAlreadyExists",
+          `Execution Already Exists: '${executionArn}'`
+        );
+      }
+
+      const execution = {
+        executionArn,
+        stateMachineArn: stateMachine.stateMachineArn,
+        name,
+        status: "RUNNING",
+        startDate: new Date(),
+        input,
+        events: []
+      };
+      executions.set(executionArn, execution);
+      execution.run = startRun(execution, stateMachine, {
+        timeScale,
+        scheduleActivityTask,
+        mocks
+      });
+      return { executionArn, startDate: execution.startDate };
+    },
+
+    stopExecution(param) {
+      const execution = getExecution(param.executionArn);
+      execution.run.stop(param.error, param.cause);
+      return { stopDate: execution.stopDate };
+    },
+
+    describeExecution(param) {
+      return describeExecution(getExecution(param.executionArn));
+    },
+
+    listExecutions(param) {
+      getStateMachine(param.stateMachineArn);
+      const items = Array.from(executions.values())
+        .filter(
+          execution =>
+            execution.stateMachineArn === param.stateMachineArn &&
+            (!param.statusFilter || execution.status === param.statusFilter)
+        )
+        .reverse()
+        .map(execution =>
+          pick(execution, [
+            "executionArn",
+            "stateMachineArn",
+            "name",
+            "status",
+            "startDate",
+            "stopDate"
+          ])
+        );
+      return page(items, param, "executions");
+    },
+
+    getExecutionHistory(param) {
+      const execution = getExecution(param.executionArn);
+      const events = execution.events.map(event => Object.assign({}, event));
+      return page(
+        param.reverseOrder ? events.reverse() : events,
+        param,
+        "events"
+      );
+    },
+
+    createActivity(param) {
+      validateName(param.name);
+      const activityArn = arn("activity", param.name);
+      if (!activities.has(activityArn)) {
+        activities.set(activityArn, {
+          activityArn,
+          name: param.name,
+          creationDate: new Date(),
+          queue: [],
+          waiters: []
+        });
+      }
+      setTags(activityArn, param.tags);
+      const activity = activities.get(activityArn);
+      return { activityArn, creationDate: activity.creationDate };
+    },
+
+    describeActivity(param) {
+      return pick(getActivity(param.activityArn), [
+        "activityArn",
+        "name",
+        "creationDate"
+      ]);
+    },
+
+    deleteActivity(param) {
+      getActivity(param.activityArn);
+      activities.delete(param.activityArn);
+      tags.delete(param.activityArn);
+      return {};
+    },
+
+    listActivities(param) {
+      const items = Array.from(activities.values()).map(activity =>
+        pick(activity, ["activityArn", "name", "creationDate"])
+      );
+      return page(items, param, "activities");
+    },
+
+    getActivityTask(param) {
+      const activity = getActivity(param.activityArn);
+      const task = activity.queue.shift();
+      if (task) {
+        return startTask(task, param.workerName);
+      }
+      return new Promise(resolve => {
+        const waiter = { workerName: param.workerName, resolve };
+        activity.waiters.push(waiter);
+        waiter.timer = setTimeout(() => {
+          activity.waiters = activity.waiters.filter(
+            candidate => candidate !== waiter
+          );
+          resolve({});
+        }, ACTIVITY_POLL_TIMEOUT);
+      });
+    },
+
+    sendTaskSuccess(param) {
+      const task = getTask(param.taskToken);
+      let output;
+      try {
+        output = JSON.parse(param.output);
+      } catch (err) {
+        throw new EmulatorError(
+          "InvalidOutput",
+          `Invalid output: ${err.message}`
+        );
+      }
+      settleTask(task, null, output);
+      return {};
+    },
+
+    sendTaskFailure(param) {
+      settleTask(
+        getTask(param.taskToken),
+        new StatesError(param.error || "", param.cause)
+      );
+      return {};
+    },
+
+    sendTaskHeartbeat(param) {
+      resetHeartbeat(getTask(param.taskToken));
+      return {};
+    },
+
+    listTagsForResource(param) {
+      checkResource(param.resourceArn);
+      const resourceTags = tags.get(param.resourceArn) || {};
+      return {
+        tags: Object.keys(resourceTags).map(key => ({
+          key,
+          value: resourceTags[key]
+        }))
+      };
+    },
+
+    tagResource(param) {
+      checkResource(param.resourceArn);
+      setTags(param.resourceArn, param.tags);
+      return {};
+    },
+
+    untagResource(param) {
+      checkResource(param.resourceArn);
+      const resourceTags = tags.get(param.resourceArn) || {};
+      (param.tagKeys || []).forEach(key => delete resourceTags[key]);
+      return {};
+    }
+  };
+
+  // Same calling convention as an aws-sdk request: client.op(param).promise()
+  const client = {};
+  Object.keys(operations).forEach(operation => {
+    client[operation] = param => ({
+      promise: () =>
+        new Promise(resolve => resolve(operations[operation](param || {})))
+    });
+  });
+  return client;
+}
+
+// One emulator per region and account, shared by every request that uses it
+const emulators = new Map();
+
+function getEmulator(options = {}) {
+  const key = `${options.region || DEFAULT_REGION}:${options.accountId ||
+    DEFAULT_ACCOUNT_ID}`;
+  if (!emulators.has(key)) {
+    emulators.set(key, createEmulator(options));
+  }
+  return emulators.get(key);
+}
+
+module.exports = {
+  createEmulator,
+  getEmulator
+};
@@ -0,0 +1,645 @@
+// Runs one execution of a state machine definition and records its history
+// the way Step Functions does. Pass, Wait, Choice, Succeed, Fail, Parallel
+// and inline Map states run in-process; Task states run activities through
+// the emulator's task queue, or answer from options.mocks for test case runs.
+// Delays (Wait states and Retry intervals) are multiplied by
+// options.timeScale, so 0 skips them in tests.
+
+const { StatesError } = require("./errors");
+const {
+  getPath,
+  setPath,
+  applyTemplate,
+  selectInput,
+  selectOutput
+} = require("./paths");
+const { chooseNext } = require("./choice");
+const { getAttempt } = require("./mocks");
+
+// Unwinds a branch whose execution was stopped or whose sibling failed
+class Cancelled extends Error {}
+
+// Executions only live as long as the process, so their timers do not keep
+// it running once nothing else does, e.g. after a CLI command
+function unref(timer) {
+  if (timer && timer.unref) {
+    timer.unref();
+  }
+  return timer;
+}
+
+function detailKeyFor(type) {
+  if (/StateEntered$/.test(type)) {
+    return "stateEnteredEventDetails";
+  }
+  if (/StateExited$/.test(type)) {
+    return "stateExitedEventDetails";
+  }
+  return `${type[0].toLowerCase()}${type.slice(1)}EventDetails`;
+}
+
+function createBranch(run, parent, group) {
+  return {
+    run,
+    parent,
+    group,
+    previousEventId: parent ? parent.previousEventId : 0
+  };
+}
+
+function isCancelled(branch) {
+  for (let current = branch; current; current = current.parent) {
+    if (current.group && current.group.cancelled) {
+      return true;
+    }
+  }
+  return branch.run.finished;
+}
+
+function emit(branch, type, details) {
+  if (isCancelled(branch)) {
+    throw new Cancelled();
+  }
+  const events = branch.run.execution.events;
+  const event = {
+    timestamp: new Date(),
+    type,
+    id: events.length + 1,
+    previousEventId: branch.previousEventId
+  };
+  if (details) {
+    event[detailKeyFor(type)] = details;
+  }
+  events.push(event);
+  branch.previousEventId = event.id;
+  return event;
+}
+
+// The run's cancellers and those of every branch group the branch is in
+function cancellersOf(branch) {
+  const sets = [branch.run.cancellers];
+  for (let current = branch; current; current = current.parent) {
+    if (current.group) {
+      sets.push(current.group.cancellers);
+    }
+  }
+  return sets;
+}
+
+// Settles like promise, or rejects with Cancelled once the run is stopped
+// or a sibling of one of the branch's groups has failed
+function cancellable(branch, promise, onCancel) {
+  const sets = cancellersOf(branch);
+  return new Promise((resolve, reject) => {
+    const release = () => sets.forEach(set => set.delete(cancel));
+    const cancel = () => {
+      release();
+      if (onCancel) {
+        onCancel();
+      }
+      reject(new Cancelled());
+    };
+    sets.forEach(set => set.add(cancel));
+    promise.then(
+      value => {
+        release();
+        resolve(value);
+      },
+      err => {
+        release();
+        reject(err);
+      }
+    );
+  });
+}
+
+function cancelGroup(group) {
+  group.cancelled = true;
+  Array.from(group.cancellers).forEach(cancel => cancel());
+}
+
+function sleep(branch, ms) {
+  let timer;
+  return cancellable(
+    branch,
+    new Promise(resolve => {
+      timer = unref(setTimeout(resolve, ms * branch.run.options.timeScale));
+    }),
+    () => clearTimeout(timer)
+  );
+}
+
+function createContext(run, name, retryCount) {
+  const execution = run.execution;
+  return {
+    Execution: {
+      Id: execution.executionArn,
+      Name: execution.name,
+      StartTime: execution.startDate.toISOString(),
+      Input: JSON.parse(execution.input),
+      RoleArn: run.stateMachine.roleArn
+    },
+    StateMachine: {
+      Id: run.stateMachine.stateMachineArn,
+      Name: run.stateMachine.name
+    },
+    State: {
+      Name: name,
+      EnteredTime: new Date().toISOString(),
+      RetryCount: retryCount
+    }
+  };
+}
+
+function filterOutput(state, data, context) {
+  return selectOutput({ OutputPath: state.OutputPath }, data, data, context);
+}
+
+function matchesError(errorEquals, error) {
+  return (errorEquals || []).some(
+    name =>
+      name === "States.ALL" ||
+      name === error ||
+      (name === "States.TaskFailed" && error !== "States.Timeout")
+  );
+}
+
+function toStatesError(err) {
+  if (err instanceof StatesError || err instanceof Cancelled) {
+    return err;
+  }
+  return new StatesError("States.Runtime", err.message);
+}
+
+function getWaitMs(state, input, context) {
+  if (state.Seconds !== undefined) {
+    return state.Seconds * 1000;
+  }
+  if (state.SecondsPath !== undefined) {
+    return getPath(input, state.SecondsPath, context) * 1000;
+  }
+  const timestamp =
+    state.Timestamp !== undefined
+      ? state.Timestamp
+      : getPath(input, state.TimestampPath, context);
+  return Math.max(0, Date.parse(timestamp) - Date.now());
+}
+
+async function runActivityTask(branch, state, input) {
+  const run = branch.run;
+  const resource = state.Resource;
+  emit(branch, "ActivityScheduled", {
+    resource,
+    input: JSON.stringify(input),
+    timeoutInSeconds: state.TimeoutSeconds,
+    heartbeatInSeconds: state.HeartbeatSeconds
+  });
+
+  const task = run.options.scheduleActivityTask({
+    resource,
+    input,
+    timeoutSeconds: state.TimeoutSeconds,
+    heartbeatSeconds: state.HeartbeatSeconds,
+    onStarted: workerName => emit(branch, "ActivityStarted", { workerName })
+  });
+  try {
+    const output = await cancellable(branch, task.promise, task.cancel);
+    emit(branch, "ActivitySucceeded", { output: JSON.stringify(output) });
+    return output;
+  } catch (err) {
+    if (err instanceof StatesError) {
+      const type = /Timeout$/.test(err.error)
+        ? "ActivityTimedOut"
+        : "ActivityFailed";
+      emit(branch, type, { error: err.error, cause: err.cause });
+    }
+    throw err;
+  }
+}
+
+// Answers a Task from its mocked response, the way Step Functions Local
+// does for a test case: attempt n (counting retries) gets step n
+function runMockedTask(branch, state, input, response, attempt) {
+  const resource = state.Resource;
+  emit(branch, "TaskScheduled", {
+    resourceType: "mocked",
+    resource,
+    parameters: JSON.stringify(input)
+  });
+  emit(branch, "TaskStarted", { resourceType: "mocked", resource });
+  const step = getAttempt(response, attempt);
+  if (step.Throw) {
+    const error = new StatesError(step.Throw.Error, step.Throw.Cause || "");
+    emit(branch, "TaskFailed", {
+      resourceType: "mocked",
+      resource,
+      error: error.error,
+      cause: error.cause
+    });
+    return Promise.reject(error);
+  }
+  emit(branch, "TaskSucceeded", {
+    resourceType: "mocked",
+    resource,
+    output: JSON.stringify(step.Return)
+  });
+  return Promise.resolve(step.Return);
+}
+
+function runTask(branch, state, input, context) {
+  const mocks = branch.run.options.mocks;
+  const name = context.State.Name;
+  if (mocks && mocks[name]) {
+    return runMockedTask(
+      branch,
+      state,
+      input,
+      mocks[name],
+      context.State.RetryCount
+    );
+  }
+  if (/:activity:/.test(state.Resource)) {
+    return runActivityTask(branch, state, input);
+  }
+  const error = new StatesError(
+    "States.TaskFailed",
+    `The built-in emulator only runs activity tasks, not ${state.Resource}`
+  );
+  emit(branch, "TaskFailed", {
+    resourceType: "unsupported",
+    resource: state.Resource,
+    error: error.error,
+    cause: error.cause
+  });
+  return Promise.reject(error);
+}
+
+// Runs runOne(child, index) for count child branches, at most
+// maxConcurrency at a time (0 for no limit), and resolves with their
+// outputs in order. The first failure cancels the others, along with the
+// activity tasks and delays they are waiting on.
+function runBranches(branch, count, runOne, maxConcurrency) {
+  const group = { cancelled: false, cancellers: new Set() };
+  const limit = maxConcurrency > 0 ? Math.min(maxConcurrency, count) : count;
+  return new Promise((resolve, reject) => {
+    const results = [];
+    let started = 0;
+    let remaining = count;
+    const startNext = () => {
+      const index = started++;
+      runOne(createBranch(branch.run, branch, group), index).then(
+        output => {
+          results[index] = output;
+          remaining -= 1;
+          if (remaining === 0) {
+            resolve(results);
+          } else if (started < count && !group.cancelled) {
+            startNext();
+          }
+        },
+        err => {
+          if (!group.cancelled) {
+            cancelGroup(group);
+            reject(err);
+          }
+        }
+      );
+    };
+    if (count === 0) {
+      resolve(results);
+    }
+    for (let i = 0; i < limit; i++) {
+      startNext();
+    }
+  });
+}
+
+async function runParallel(branch, state, input) {
+  const machines = state.Branches || [];
+  emit(branch, "ParallelStateStarted");
+  try {
+    const results = await runBranches(branch, machines.length, (child, index) =>
+      runStates(child, machines[index], input)
+    );
+    emit(branch, "ParallelStateSucceeded");
+    return results;
+  } catch (err) {
+    if (!(err instanceof Cancelled)) {
+      emit(branch, "ParallelStateFailed");
+    }
+    throw err;
+  }
+}
+
+async function runMapIteration(child, name, index, machine, input) {
+  emit(child, "MapIterationStarted", { name, index });
+  try {
+    const output = await runStates(child, machine, input);
+    emit(child, "MapIterationSucceeded", { name, index });
+    return output;
+  } catch (err) {
+    if (!(err instanceof Cancelled)) {
+      emit(child, "MapIterationFailed", { name, index });
+    }
+    throw err;
+  }
+}
+
+// Runs the ItemProcessor (Iterator in older definitions) once per item of
+// ItemsPath. ItemSelector (or Parameters) builds each item's input, with
+// the item in $$.Map.Item.
+async function runMap(branch, state, input, context) {
+  const name = context.State.Name;
+  const items =
+    state.ItemsPath !== undefined
+      ? getPath(input, state.ItemsPath, context)
+      : input;
+  if (!Array.isArray(items)) {
+    throw new StatesError(
+      "States.Runtime",
+      `The items of Map state ${name} are not an array`
+    );
+  }
+  const machine = state.ItemProcessor || state.Iterator;
+  const selector =
+    state.ItemSelector !== undefined ? state.ItemSelector : state.Parameters;
+  const inputs = items.map((value, index) =>
+    selector !== undefined
+      ? applyTemplate(
+          selector,
+          input,
+          Object.assign({}, context, {
+            Map: { Item: { Index: index, Value: value } }
+          })
+        )
+      : value
+  );
+
+  emit(branch, "MapStateStarted", { length: items.length });
+  try {
+    const results = await runBranches(
+      branch,
+      items.length,
+      (child, index) =>
+        runMapIteration(child, name, index, machine, inputs[index]),
+      state.MaxConcurrency
+    );
+    emit(branch, "MapStateSucceeded");
+    return results;
+  } catch (err) {
+    if (!(err instanceof Cancelled)) {
+      emit(branch, "MapStateFailed");
+    }
+    throw err;
+  }
+}
+
+// Runs a Task, Parallel or Map state body, retrying as its Retry field says
+async function runWithRetry(branch, name, state, input, work) {
+  // A Map's Parameters apply to each item, see runMap
+  const inputState =
+    state.Type === "Map" ? { InputPath: state.InputPath } : state;
+  const attempts = [];
+  for (;;) {
+    const context = createContext(
+      branch.run,
+      name,
+      attempts.reduce((sum, count) => sum + (count || 0), 0)
+    );
+    try {
+      return await work(selectInput(inputState, input, context), context);
+    } catch (err) {
+      const error = toStatesError(err);
+      if (error instanceof Cancelled) {
+        throw error;
+      }
+      const index = (state.Retry || []).findIndex(retrier =>
+        matchesError(retrier.ErrorEquals, error.error)
+      );
+      const retrier = index >= 0 ? state.Retry[index] : null;
+      const count = attempts[index] || 0;
+      const maxAttempts =
+        retrier && retrier.MaxAttempts !== undefined ? retrier.MaxAttempts : 3;
+      if (!retrier || count >= maxAttempts) {
+        throw error;
+      }
+      attempts[index] = count + 1;
+      const interval =
+        retrier.IntervalSeconds !== undefined ? retrier.IntervalSeconds : 1;
+      const backoff =
+        retrier.BackoffRate !== undefined ? retrier.BackoffRate : 2;
+      await sleep(branch, interval * Math.pow(backoff, count) * 1000);
+    }
+  }
+}
+
+// Runs one state and resolves with its output and the name of the next
+// state, or no next state when the branch ends here
+async function runState(branch, name, state, input) {
+  emit(branch, `${state.Type}StateEntered`, {
+    name,
+    input: JSON.stringify(input)
+  });
+  const context = createContext(branch.run, name, 0);
+  const next = state.End ? null : state.Next;
+  const exit = output => {
+    emit(branch, `${state.Type}StateExited`, {
+      name,
+      output: JSON.stringify(output)
+    });
+    return output;
+  };
+
+  switch (state.Type) {
+    case "Pass": {
+      const effective = selectInput(state, input, context);
+      const result = state.Result !== undefined ? state.Result : effective;
+      return {
+        output: exit(selectOutput(state, input, result, context)),
+        next
+      };
+    }
+    case "Wait": {
+      const effective = selectInput({ InputPath: state.InputPath }, input);
+      await sleep(branch, getWaitMs(state, effective, context));
+      return { output: exit(filterOutput(state, effective, context)), next };
+    }
+    case "Choice": {
+      const effective = selectInput({ InputPath: state.InputPath }, input);
+      const choice = chooseNext(state, effective);
+      if (!choice) {
+        throw new StatesError(
+          "States.NoChoiceMatched",
+          `No Choice rule of state ${name} matched the input`
+        );
+      }
+      return {
+        output: exit(filterOutput(state, effective, context)),
+        next: choice
+      };
+    }
+    case "Succeed": {
+      const effective = selectInput({ InputPath: state.InputPath }, input);
+      return {
+        output: exit(filterOutput(state, effective, context)),
+        next: null
+      };
+    }
+    case "Fail": {
+      throw new StatesError(
+        state.ErrorPath ? getPath(input, state.ErrorPath) : state.Error,
+        state.CausePath ? getPath(input, state.CausePath) : state.Cause
+      );
+    }
+    case "Task":
+    case "Parallel":
+    case "Map": {
+      const work = {
+        Task: (effective, retryContext) =>
+          runTask(branch, state, effective, retryContext),
+        Parallel: effective => runParallel(branch, state, effective),
+        Map: (effective, retryContext) =>
+          runMap(branch, state, effective, retryContext)
+      }[state.Type];
+      try {
+        const result = await runWithRetry(branch, name, state, input, work);
+        return {
+          output: exit(selectOutput(state, input, result, context)),
+          next
+        };
+      } catch (err) {
+        const error = toStatesError(err);
+        const catcher =
+          error instanceof StatesError &&
+          (state.Catch || []).find(candidate =>
+            matchesError(candidate.ErrorEquals, error.error)
+          );
+        if (!catcher) {
+          throw error;
+        }
+        const output = setPath(input, catcher.ResultPath || "$", {
+          Error: error.error,
+          Cause: error.cause
+        });
+        return { output, next: catcher.Next };
+      }
+    }
+    default:
+      throw new StatesError(
+        "States.Runtime",
+        `${state.Type} states are not supported by the built-in emulator`
+      );
+  }
+}
+
+async function runStates(branch, machine, input) {
+  let name = machine.StartAt;
+  let data = input;
+  for (;;) {
+    const state = machine.States[name];
+    if (!state) {
+      throw new StatesError("States.Runtime", `State ${name} does not exist`);
+    }
+    const { output, next } = await runState(branch, name, state, data);
+    if (!next) {
+      return output;
+    }
+    name = next;
+    data = output;
+  }
+}
+
+// Ends the run once: records the closing event and the execution's final
+// status, then cancels whatever is still waiting
+function finish(run, status, type, details) {
+  if (run.finished) {
+    return;
+  }
+  const branch = createBranch(run, null, null);
+  branch.previousEventId = run.execution.events.length;
+  emit(branch, type, details);
+  run.finished = true;
+  clearTimeout(run.timeout);
+
+  const execution = run.execution;
+  execution.status = status;
+  execution.stopDate = new Date();
+  if (details && details.output !== undefined) {
+    execution.output = details.output;
+  }
+  if (details && details.error !== undefined) {
+    execution.error = details.error;
+    execution.cause = details.cause;
+  }
+  run.cancellers.forEach(cancel => cancel());
+  run.cancellers.clear();
+}
+
+/**
+ * Starts running execution (which must be RUNNING with an empty history)
+ * against stateMachine. options are timeScale,
+ * scheduleActivityTask({ resource, input, timeoutSeconds, heartbeatSeconds,
+ * onStarted }) returning { promise, cancel }, and mocks, the mocked
+ * responses of a test case keyed by state name.
+ *
+ * Returns { stop(error, cause), done } where done resolves once the
+ * execution has reached a final status.
+ */
+function startRun(execution, stateMachine, options) {
+  const definition = JSON.parse(stateMachine.definition);
+  const run = {
+    execution,
+    stateMachine,
+    options,
+    cancellers: new Set(),
+    finished: false,
+    timeout: null
+  };
+  const branch = createBranch(run, null, null);
+  emit(branch, "ExecutionStarted", {
+    input: execution.input,
+    roleArn: stateMachine.roleArn
+  });
+
+  if (definition.TimeoutSeconds) {
+    run.timeout = unref(
+      setTimeout(
+        () =>
+          finish(run, "TIMED_OUT", "ExecutionTimedOut", {
+            error: "States.Timeout",
+            cause: `The execution ran longer than ${definition.TimeoutSeconds} seconds`
+          }),
+        definition.TimeoutSeconds * 1000
+      )
+    );
+  }
+
+  const done = Promise.resolve()
+    .then(() => runStates(branch, definition, JSON.parse(execution.input)))
+    .then(
+      output =>
+        finish(run, "SUCCEEDED", "ExecutionSucceeded", {
+          output: JSON.stringify(output)
+        }),
+      err => {
+        const error = toStatesError(err);
+        if (!(error instanceof Cancelled)) {
+          finish(run, "FAILED", "ExecutionFailed", {
+            error: error.error,
+            cause: error.cause
+          });
+        }
+      }
+    );
+
+  return {
+    stop: (error, cause) =>
+      finish(run, "ABORTED", "ExecutionAborted", { error, cause }),
+    done
+  };
+}
+
+module.exports = {
+  startRun,
+  unref
+};
@@ -0,0 +1,58 @@
+// Mocked Task responses from a Step Functions Local mock config, see
+// backend/MockConfig for the file format.
+
+const { ApiError } = require("../errors");
+
+const ATTEMPTS_PATTERN = /^(\d+)(?:-(\d+))?$/;
+
+// The mocked responses of a test case, keyed by state name, or null when
+// the state machine has no such test case. Throws an InvalidMockConfig
+// ApiError when the test case names a response the file does not have.
+function getTestCase(document, stateMachineName, testCase) {
+  const machine = (document.StateMachines || {})[stateMachineName];
+  const states = machine && machine.TestCases && machine.TestCases[testCase];
+  if (!states) {
+    return null;
+  }
+  const responses = document.MockedResponses || {};
+  const mocks = {};
+  Object.keys(states).forEach(state => {
+    const name = states[state];
+    if (!responses[name]) {
+      throw new ApiError(
+        "InvalidMockConfig",
+        `Test case ${stateMachineName}#${testCase} uses unknown mocked response ${name} for state ${state}`,
+        400
+      );
+    }
+    mocks[state] = responses[name];
+  });
+  return mocks;
+}
+
+// The step of a mocked response that answers attempt (0 for the first
+// call). Attempts past the last one listed get the last step.
+function getAttempt(response, attempt) {
+  let last = null;
+  let lastStart = -1;
+  const keys = Object.keys(response);
+  for (let i = 0; i < keys.length; i++) {
+    const match = ATTEMPTS_PATTERN.exec(keys[i]);
+    const start = Number(match[1]);
+    const end = match[2] !== undefined ? Number(match[2]) : start;
+    if (attempt >= start && attempt <= end) {
+      return response[keys[i]];
+    }
+    if (start > lastStart) {
+      last = response[keys[i]];
+      lastStart = start;
+    }
+  }
+  return last;
+}
+
+module.exports = {
+  ATTEMPTS_PATTERN,
+  getTestCase,
+  getAttempt
+};
@@ -0,0 +1,214 @@
+// Input and output processing for states: InputPath, Parameters,
+// ResultSelector, ResultPath and OutputPath. Paths support the reference
+// path subset of JSONPath ($, $.a.b, $['a'], $.a[0]) and "$$." for the
+// context object.
+
+const { StatesError } = require("./errors");
+
+function parsePath(path) {
+  if (typeof path !== "string" || path[0] !== "$") {
+    throw new StatesError("States.Runtime", `Invalid path ${path}`);
+  }
+  const segments = [];
+  const pattern = /\.([^.[\]]+)|\['([^']*)'\]|\[(\d+)\]/g;
+  let rest = path.slice(1);
+  let match;
+  while (rest.length > 0 && (match = pattern.exec(rest)) !== null) {
+    if (match.index !== 0) {
+      throw new StatesError("States.Runtime", `Invalid path ${path}`);
+    }
+    if (match[3] !== undefined) {
+      segments.push(Number(match[3]));
+    } else {
+      segments.push(match[1] !== undefined ? match[1] : match[2]);
+    }
+    rest = rest.slice(match[0].length);
+    pattern.lastIndex = 0;
+  }
+  if (rest.length > 0) {
+    throw new StatesError("States.Runtime", `Invalid path ${path}`);
+  }
+  return segments;
+}
+
+function getPath(data, path, context) {
+  if (path.indexOf("$$") === 0) {
+    return getPath(context, path.slice(1));
+  }
+  return parsePath(path).reduce((value, segment) => {
+    if (value === null || typeof value !== "object" || !(segment in value)) {
+      throw new StatesError(
+        "States.Runtime",
+        `The JSONPath ${path} could not be found in the input`
+      );
+    }
+    return value[segment];
+  }, data);
+}
+
+function hasPath(data, path) {
+  try {
+    getPath(data, path);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Returns a copy of data with value stored at path, creating objects along
+// the way. "$" replaces data entirely.
+function setPath(data, path, value) {
+  const segments = parsePath(path);
+  if (segments.length === 0) {
+    return value;
+  }
+  const root =
+    data !== null && typeof data === "object"
+      ? JSON.parse(JSON.stringify(data))
+      : {};
+  let target = root;
+  segments.slice(0, -1).forEach(segment => {
+    if (target[segment] === null || typeof target[segment] !== "object") {
+      target[segment] = {};
+    }
+    target = target[segment];
+  });
+  target[segments[segments.length - 1]] = value;
+  return root;
+}
+
+function splitArguments(text) {
+  const args = [];
+  let depth = 0;
+  let quoted = false;
+  let current = "";
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\" && quoted) {
+      current += char + text[++i];
+      continue;
+    }
+    if (char === "'") {
+      quoted = !quoted;
+    } else if (!quoted && char === "(") {
+      depth++;
+    } else if (!quoted && char === ")") {
+      depth--;
+    } else if (!quoted && depth === 0 && char === ",") {
+      args.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim() !== "") {
+    args.push(current.trim());
+  }
+  return args;
+}
+
+function evaluateArgument(arg, data, context) {
+  if (arg[0] === "'") {
+    return arg.slice(1, -1).replace(/\\(.)/g, "$1");
+  }
+  if (arg[0] === "$") {
+    return getPath(data, arg, context);
+  }
+  if (arg.indexOf("States.") === 0) {
+    return evaluateIntrinsic(arg, data, context);
+  }
+  return JSON.parse(arg);
+}
+
+// The intrinsic functions the emulator supports in "key.$" values
+const INTRINSICS = {
+  "States.Format": (template, ...values) => {
+    let index = 0;
+    return template.replace(/\{\}/g, () => {
+      const value = values[index++];
+      return typeof value === "string" ? value : JSON.stringify(value);
+    });
+  },
+  "States.JsonToString": value => JSON.stringify(value),
+  "States.StringToJson": value => JSON.parse(value),
+  "States.Array": (...values) => values
+};
+
+function evaluateIntrinsic(expression, data, context) {
+  const match = /^(States\.\w+)\((.*)\)$/.exec(expression.trim());
+  if (!match || !INTRINSICS[match[1]]) {
+    throw new StatesError(
+      "States.Runtime",
+      `Unsupported intrinsic function ${expression}`
+    );
+  }
+  const args = splitArguments(match[2]).map(arg =>
+    evaluateArgument(arg, data, context)
+  );
+  return INTRINSICS[match[1]](...args);
+}
+
+// Parameters and ResultSelector: keys ending in ".$" take their value from
+// a path or an intrinsic function
+function applyTemplate(template, data, context) {
+  if (Array.isArray(template)) {
+    return template.map(item => applyTemplate(item, data, context));
+  }
+  if (template === null || typeof template !== "object") {
+    return template;
+  }
+  const result = {};
+  Object.keys(template).forEach(key => {
+    const value = template[key];
+    if (key.slice(-2) === ".$") {
+      result[key.slice(0, -2)] =
+        value.indexOf("States.") === 0
+          ? evaluateIntrinsic(value, data, context)
+          : getPath(data, value, context);
+    } else {
+      result[key] = applyTemplate(value, data, context);
+    }
+  });
+  return result;
+}
+
+function selectInput(state, input, context) {
+  let effective = input;
+  if (state.InputPath === null) {
+    effective = {};
+  } else if (state.InputPath !== undefined) {
+    effective = getPath(input, state.InputPath, context);
+  }
+  if (state.Parameters !== undefined) {
+    effective = applyTemplate(state.Parameters, effective, context);
+  }
+  return effective;
+}
+
+function selectOutput(state, input, result, context) {
+  let selected = result;
+  if (state.ResultSelector !== undefined) {
+    selected = applyTemplate(state.ResultSelector, result, context);
+  }
+  let output;
+  if (state.ResultPath === null) {
+    output = input;
+  } else {
+    output = setPath(input, state.ResultPath || "$", selected);
+  }
+  if (state.OutputPath === null) {
+    return {};
+  }
+  return state.OutputPath !== undefined
+    ? getPath(output, state.OutputPath, context)
+    : output;
+}
+
+module.exports = {
+  getPath,
+  hasPath,
+  setPath,
+  applyTemplate,
+  selectInput,
+  selectOutput
+};
@@ -0,0 +1,129 @@
+// Every /api route answers failures with the same JSON body:
+//
+//   { error: { code, message, status, retryable, awsErrorName } }
+//
+// code is the AWS error code when the runner answered, or one of the codes
+// below when it could not be reached. awsErrorName keeps the name of the
+// original SDK error so nothing is lost in translation.
+
+const NETWORK_ERROR_CODES = [
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "EHOSTUNREACH",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "NetworkingError",
+  "UnknownEndpoint"
+];
+const TIMEOUT_ERROR_CODES = ["ETIMEDOUT", "ESOCKETTIMEDOUT", "TimeoutError"];
+
+class ApiError extends Error {
+  constructor(code, message, status, retryable) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code;
+    this.statusCode = status;
+    this.retryable = !!retryable;
+  }
+}
+
+function normalizeError(err) {
+  const awsErrorName =
+    err instanceof ApiError ? null : err.code || err.name || "Error";
+  const originalCode = err.originalError ? err.originalError.code : null;
+
+  if (
+    NETWORK_ERROR_CODES.indexOf(err.code) >= 0 ||
+    NETWORK_ERROR_CODES.indexOf(originalCode) >= 0
+  ) {
+    return {
+      code: "EndpointUnreachable",
+      message: `Unable to reach the Step Functions endpoint: ${err.message}`,
+      status: 502,
+      retryable: true,
+      awsErrorName
+    };
+  }
+
+  if (
+    TIMEOUT_ERROR_CODES.indexOf(err.code) >= 0 ||
+    TIMEOUT_ERROR_CODES.indexOf(originalCode) >= 0
+  ) {
+    return {
+      code: "EndpointTimeout",
+      message: `The Step Functions endpoint did not answer in time: ${err.message}`,
+      status: 504,
+      retryable: true,
+      awsErrorName
+    };
+  }
+
+  if (err.code === "CredentialsError") {
+    return {
+      code: "CredentialsError",
+      message: err.message,
+      status: 401,
+      retryable: false,
+      awsErrorName
+    };
+  }
+
+  const status =
+    Number.isInteger(err.statusCode) && err.statusCode >= 400
+      ? err.statusCode
+      : 500;
+  return {
+    code: err.code || "InternalError",
+    message: err.message || "Unknown error",
+    status,
+    retryable:
+      err.retryable === undefined
+        ? status >= 500 || status === 429
+        : !!err.retryable,
+    awsErrorName
+  };
+}
+
+function sendError(res, err) {
+  const error = normalizeError(err);
+  res.status(error.status).send({ error });
+}
+
+// Express error middleware for the /api routes, e.g. for a malformed JSON body
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err.type === "entity.parse.failed") {
+    return sendError(
+      res,
+      new ApiError("InvalidRequestBody", "Request body is not valid JSON", 400)
+    );
+  }
+  if (err.type === "entity.too.large") {
+    return sendError(
+      res,
+      new ApiError(
+        "RequestTooLarge",
+        `Request body is larger than ${err.limit} bytes`,
+        413
+      )
+    );
+  }
+  sendError(res, err);
+}
+
+function notFound(req, res) {
+  sendError(
+    res,
+    new ApiError("NotFound", `No API route for ${req.method} ${req.path}`, 404)
+  );
+}
+
+module.exports = {
+  ApiError,
+  normalizeError,
+  sendError,
+  errorHandler,
+  notFound
+};
@@ -0,0 +1,425 @@
+// The OpenAPI 3.0 description of the /api routes, served at
+// /api/openapi.json. Operation routes are generated from APIType and
+// backend/schemas, so the document cannot drift from what is validated.
+
+const APIType = require("../util/APIType");
+const { version } = require("../package.json");
+const { PAGINATED_OPERATIONS } = require("./StepFunctionsAPI");
+const { PARAM_SCHEMAS, PROFILE_SCHEMA, PAGINATE_SCHEMA } = require("./schemas");
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ "application/json": { schema } });
+const ok = (description, schema = { type: "object" }) => ({
+  description,
+  content: json(schema)
+});
+const errors = { default: { $ref: "#/components/responses/Error" } };
+
+// createStateMachine is served at /api/create-state-machine
+function routePath(operation) {
+  return `/api/${operation.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+}
+
+function operationPath(operation) {
+  const properties = {
+    profile: ref("Profile"),
+    param: PARAM_SCHEMAS[operation],
+    cache: {
+      type: "boolean",
+      description: "false skips the response cache"
+    }
+  };
+  if (PAGINATED_OPERATIONS[operation]) {
+    properties.paginate = ref("Paginate");
+  }
+  return {
+    post: {
+      operationId: operation,
+      summary: `Calls ${operation} on the profile's runner`,
+      tags: ["Step Functions"],
+      requestBody: {
+        required: true,
+        content: json({ type: "object", properties })
+      },
+      responses: Object.assign(
+        { 200: ok("The Step Functions response") },
+        errors
+      )
+    }
+  };
+}
+
+const idParam = {
+  name: "id",
+  in: "path",
+  required: true,
+  schema: { type: "integer" }
+};
+
+const OTHER_PATHS = {
+  "/api/batch": {
+    post: {
+      operationId: "batch",
+      summary: "Runs several operations with the same profile",
+      tags: ["Dashboard"],
+      requestBody: {
+        required: true,
+        content: json({
+          type: "object",
+          required: ["items"],
+          properties: {
+            profile: ref("Profile"),
+            concurrency: { type: "integer", minimum: 1, maximum: 20 },
+            items: {
+              type: "array",
+              minItems: 1,
+              maxItems: 1000,
+              items: {
+                type: "object",
+                required: ["operation"],
+                properties: {
+                  operation: {
+                    type: "string",
+                    enum: Object.keys(APIType).map(key => APIType[key])
+                  },
+                  param: { type: "object" },
+                  paginate: ref("Paginate"),
+                  cache: { type: "boolean" }
+                }
+              }
+            }
+          }
+        })
+      },
+      responses: Object.assign(
+        {
+          200: ok("One result per item, in order", {
+            type: "object",
+            properties: {
+              results: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    data: { type: "object" },
+                    error: ref("Error")
+                  }
+                }
+              }
+            }
+          })
+        },
+        errors
+      )
+    }
+  },
+  "/api/stream/token": {
+    post: {
+      operationId: "createStreamToken",
+      summary: "A token to open execution streams for a profile with",
+      tags: ["Dashboard"],
+      requestBody: {
+        content: json({
+          type: "object",
+          properties: { profile: ref("Profile") }
+        })
+      },
+      responses: Object.assign({ 200: ok("{ token }") }, errors)
+    }
+  },
+  "/api/stream/executions": {
+    get: {
+      operationId: "streamExecutions",
+      summary: "Server-Sent Events for executions and execution history",
+      tags: ["Dashboard"],
+      parameters: [
+        {
+          name: "token",
+          in: "query",
+          description: "A token from /api/stream/token",
+          schema: { type: "string" }
+        },
+        {
+          name: "profile",
+          in: "query",
+          description:
+            "The connection profile as JSON, instead of token; not for static credentials",
+          schema: { type: "string" }
+        },
+        { name: "stateMachineArn", in: "query", schema: { type: "string" } },
+        { name: "executionArn", in: "query", schema: { type: "string" } },
+        { name: "afterEventId", in: "query", schema: { type: "integer" } }
+      ],
+      responses: Object.assign(
+        {
+          200: {
+            description:
+              "execution, history, complete and apiError events, as JSON",
+            content: { "text/event-stream": { schema: { type: "string" } } }
+          }
+        },
+        errors
+      )
+    }
+  },
+  "/api/config": {
+    get: {
+      operationId: "getConfig",
+      summary: "Allowed endpoints, mode and profiles, without credentials",
+      tags: ["Dashboard"],
+      responses: Object.assign({ 200: ok("The public config") }, errors)
+    }
+  },
+  "/api/audit-log": {
+    get: {
+      operationId: "listAuditLog",
+      summary: "Logged calls, newest first",
+      tags: ["Dashboard"],
+      parameters: ["operation", "status", "endpoint", "search", "limit"].map(
+        name => ({ name, in: "query", schema: { type: "string" } })
+      ),
+      responses: Object.assign({ 200: ok("Log entry summaries") }, errors)
+    },
+    delete: {
+      operationId: "clearAuditLog",
+      summary: "Empties the log",
+      tags: ["Dashboard"],
+      responses: Object.assign({ 200: ok("An empty object") }, errors)
+    }
+  },
+  "/api/audit-log/{id}": {
+    get: {
+      operationId: "getAuditEntry",
+      summary: "One log entry with its params and response",
+      tags: ["Dashboard"],
+      parameters: [idParam],
+      responses: Object.assign({ 200: ok("The log entry") }, errors)
+    }
+  },
+  "/api/audit-log/{id}/replay": {
+    post: {
+      operationId: "replayAuditEntry",
+      summary: "Sends a logged call again with the given profile",
+      tags: ["Dashboard"],
+      parameters: [idParam],
+      requestBody: {
+        content: json({
+          type: "object",
+          properties: { profile: ref("Profile") }
+        })
+      },
+      responses: Object.assign({ 200: ok("The new log entry") }, errors)
+    }
+  },
+  "/api/mock-config": {
+    get: {
+      operationId: "getMockConfig",
+      summary: "The Step Functions Local mock config",
+      tags: ["Mock tests"],
+      responses: Object.assign({ 200: ok("The mock config") }, errors)
+    },
+    put: {
+      operationId: "saveMockConfig",
+      summary: "Checks and saves the mock config",
+      tags: ["Mock tests"],
+      requestBody: {
+        required: true,
+        content: json({
+          type: "object",
+          properties: {
+            StateMachines: { type: "object" },
+            MockedResponses: { type: "object" }
+          }
+        })
+      },
+      responses: Object.assign({ 200: ok("The saved mock config") }, errors)
+    }
+  },
+  "/api/mock-config/export": {
+    get: {
+      operationId: "exportMockConfig",
+      summary: "The mock config as a file download",
+      tags: ["Mock tests"],
+      responses: Object.assign({ 200: ok("The mock config file") }, errors)
+    }
+  },
+  "/api/asl-sync": {
+    get: {
+      operationId: "getAslSyncStatus",
+      summary: "How each *.asl.json file of the synced directory fared",
+      tags: ["Dashboard"],
+      responses: Object.assign({ 200: ok("The sync status") }, errors)
+    },
+    post: {
+      operationId: "syncAslDirectory",
+      summary: "Syncs every file now",
+      tags: ["Dashboard"],
+      responses: Object.assign({ 200: ok("The sync status") }, errors)
+    }
+  },
+  "/api/registry/check": {
+    post: {
+      operationId: "checkRegistry",
+      summary:
+        "Lists the registered state machines and activities the profile's runner is missing",
+      tags: ["Registry"],
+      requestBody: {
+        content: json({
+          type: "object",
+          properties: { profile: ref("Profile") }
+        })
+      },
+      responses: Object.assign(
+        { 200: ok("Registered counts and missing names") },
+        errors
+      )
+    }
+  },
+  "/api/registry/restore": {
+    post: {
+      operationId: "restoreRegistry",
+      summary: "Creates the missing state machines and activities again",
+      tags: ["Registry"],
+      requestBody: {
+        content: json({
+          type: "object",
+          properties: { profile: ref("Profile") }
+        })
+      },
+      responses: Object.assign(
+        { 200: ok("The restored names and the failures") },
+        errors
+      )
+    }
+  },
+  "/api/registry/forget": {
+    post: {
+      operationId: "forgetRegistry",
+      summary: "Stops recreating the given state machines and activities",
+      tags: ["Registry"],
+      requestBody: {
+        content: json({
+          type: "object",
+          properties: {
+            profile: ref("Profile"),
+            stateMachines: { type: "array", items: { type: "string" } },
+            activities: { type: "array", items: { type: "string" } }
+          }
+        })
+      },
+      responses: Object.assign({ 200: ok("Nothing") }, errors)
+    }
+  },
+  "/api/archive/list-executions": {
+    post: {
+      operationId: "listArchivedExecutions",
+      summary:
+        "Finished executions archived for the profile's backend, newest first",
+      tags: ["Archive"],
+      requestBody: {
+        content: json({
+          type: "object",
+          properties: {
+            profile: ref("Profile"),
+            param: {
+              type: "object",
+              properties: { stateMachineArn: { type: "string" } }
+            }
+          }
+        })
+      },
+      responses: Object.assign({ 200: ok("The archived executions") }, errors)
+    }
+  },
+  "/api/archive/get-execution": {
+    post: {
+      operationId: "getArchivedExecution",
+      summary: "An archived execution with its full history",
+      tags: ["Archive"],
+      requestBody: {
+        required: true,
+        content: json({
+          type: "object",
+          properties: {
+            profile: ref("Profile"),
+            param: {
+              type: "object",
+              required: ["executionArn"],
+              properties: { executionArn: { type: "string" } }
+            }
+          }
+        })
+      },
+      responses: Object.assign(
+        { 200: ok("archivedAt, execution and events") },
+        errors
+      )
+    }
+  },
+  "/api/openapi.json": {
+    get: {
+      operationId: "getOpenApi",
+      summary: "This document",
+      tags: ["Dashboard"],
+      responses: { 200: ok("The OpenAPI document") }
+    }
+  }
+};
+
+const ERROR_SCHEMA = {
+  type: "object",
+  required: ["code", "message", "status"],
+  properties: {
+    code: { type: "string" },
+    message: { type: "string" },
+    status: { type: "integer" },
+    retryable: { type: "boolean" },
+    awsErrorName: { type: "string", nullable: true }
+  }
+};
+
+let document = null;
+
+function getDocument() {
+  if (!document) {
+    const paths = {};
+    Object.keys(APIType).forEach(key => {
+      paths[routePath(APIType[key])] = operationPath(APIType[key]);
+    });
+    document = {
+      openapi: "3.0.3",
+      info: {
+        title: "Step Functions local dashboard API",
+        version,
+        description:
+          "Proxy to Step Functions runners. Failed calls answer with the error envelope, e.g. a ValidationError (400) when param does not match the operation's schema."
+      },
+      paths: Object.assign(paths, OTHER_PATHS),
+      // Credentials are only checked when the server has auth set up
+      security: [{}, { bearerAuth: [] }, { basicAuth: [] }],
+      components: {
+        schemas: {
+          Profile: PROFILE_SCHEMA,
+          Paginate: PAGINATE_SCHEMA,
+          Error: ERROR_SCHEMA
+        },
+        securitySchemes: {
+          bearerAuth: { type: "http", scheme: "bearer" },
+          basicAuth: { type: "http", scheme: "basic" }
+        },
+        responses: {
+          Error: {
+            description: "The error envelope",
+            content: json({
+              type: "object",
+              properties: { error: ref("Error") }
+            })
+          }
+        }
+      }
+    };
+  }
+  return document;
+}
+
+module.exports = { getDocument };
@@ -0,0 +1,166 @@
+// Schemas for the param of every operation, in the JSON Schema subset that
+// OpenAPI 3.0 uses. backend/validation checks requests against them before
+// the runner is called, and backend/openapi publishes them. Limits follow the
+// Step Functions API reference. Two keywords go beyond plain JSON Schema:
+// format "json" requires a string holding valid JSON, and x-max-bytes caps
+// the UTF-8 size of a string, which is how AWS counts payload sizes.
+
+const APIType = require("../util/APIType");
+
+const MAX_PAYLOAD_BYTES = 256 * 1024;
+const MAX_DEFINITION_BYTES = 1024 * 1024;
+
+const string = (minLength, maxLength) => ({
+  type: "string",
+  minLength,
+  maxLength
+});
+const arn = string(1, 256);
+const name = string(1, 80);
+const taskToken = string(1, 1024);
+const payload = {
+  type: "string",
+  format: "json",
+  "x-max-bytes": MAX_PAYLOAD_BYTES
+};
+const definition = {
+  type: "string",
+  format: "json",
+  minLength: 1,
+  "x-max-bytes": MAX_DEFINITION_BYTES
+};
+const maxResults = { type: "integer", minimum: 0, maximum: 1000 };
+const nextToken = string(1, 1024);
+const tags = {
+  type: "array",
+  items: {
+    type: "object",
+    required: ["key", "value"],
+    properties: { key: string(1, 128), value: string(0, 256) }
+  }
+};
+
+function object(required, properties) {
+  return { type: "object", required, properties };
+}
+
+const loggingConfiguration = object([], {
+  level: { type: "string", enum: ["ALL", "ERROR", "FATAL", "OFF"] },
+  includeExecutionData: { type: "boolean" },
+  destinations: { type: "array", items: { type: "object" } }
+});
+const tracingConfiguration = object([], { enabled: { type: "boolean" } });
+
+const PARAM_SCHEMAS = {
+  [APIType.CREATE_ACTIVITY]: object(["name"], { name, tags }),
+  [APIType.CREATE_STATE_MACHINE]: object(["name", "definition", "roleArn"], {
+    name,
+    definition,
+    roleArn: arn,
+    type: { type: "string", enum: ["STANDARD", "EXPRESS"] },
+    loggingConfiguration,
+    tracingConfiguration,
+    tags
+  }),
+  [APIType.DELETE_ACTIVITY]: object(["activityArn"], { activityArn: arn }),
+  [APIType.DELETE_STATE_MACHINE]: object(["stateMachineArn"], {
+    stateMachineArn: arn
+  }),
+  [APIType.DESCRIBE_ACTIVITY]: object(["activityArn"], { activityArn: arn }),
+  [APIType.DESCRIBE_EXECUTION]: object(["executionArn"], {
+    executionArn: arn
+  }),
+  [APIType.DESCRIBE_STATE_MACHINE]: object(["stateMachineArn"], {
+    stateMachineArn: arn
+  }),
+  [APIType.GET_ACTIVITY_TASK]: object(["activityArn"], {
+    activityArn: arn,
+    workerName: name
+  }),
+  [APIType.GET_EXECUTION_HISTORY]: object(["executionArn"], {
+    executionArn: arn,
+    maxResults,
+    nextToken,
+    reverseOrder: { type: "boolean" },
+    includeExecutionData: { type: "boolean" }
+  }),
+  [APIType.LIST_ACTIVITIES]: object([], { maxResults, nextToken }),
+  [APIType.LIST_EXECUTIONS]: object(["stateMachineArn"], {
+    stateMachineArn: arn,
+    statusFilter: {
+      type: "string",
+      enum: ["RUNNING", "SUCCEEDED", "FAILED", "TIMED_OUT", "ABORTED"]
+    },
+    maxResults,
+    nextToken
+  }),
+  [APIType.LIST_STATE_MACHINES]: object([], { maxResults, nextToken }),
+  [APIType.LIST_TAGS_FOR_RESOURCE]: object(["resourceArn"], {
+    resourceArn: arn
+  }),
+  [APIType.SEND_TASK_FAILURE]: object(["taskToken"], {
+    taskToken,
+    error: string(0, 256),
+    cause: string(0, 32768)
+  }),
+  [APIType.SEND_TASK_HEARTBEAT]: object(["taskToken"], { taskToken }),
+  [APIType.SEND_TASK_SUCCESS]: object(["taskToken", "output"], {
+    taskToken,
+    output: payload
+  }),
+  [APIType.START_EXECUTION]: object(["stateMachineArn"], {
+    stateMachineArn: arn,
+    name,
+    input: payload,
+    traceHeader: string(0, 256)
+  }),
+  [APIType.STOP_EXECUTION]: object(["executionArn"], {
+    executionArn: arn,
+    error: string(0, 256),
+    cause: string(0, 32768)
+  }),
+  [APIType.TAG_RESOURCE]: object(["resourceArn", "tags"], {
+    resourceArn: arn,
+    tags
+  }),
+  [APIType.UNTAG_RESOURCE]: object(["resourceArn", "tagKeys"], {
+    resourceArn: arn,
+    tagKeys: { type: "array", items: string(1, 128) }
+  }),
+  [APIType.UPDATE_STATE_MACHINE]: object(["stateMachineArn"], {
+    stateMachineArn: arn,
+    definition,
+    roleArn: arn,
+    loggingConfiguration,
+    tracingConfiguration
+  })
+};
+
+// The connection profile every request carries, see src/context/EndpointContext
+const PROFILE_SCHEMA = object([], {
+  name: { type: "string" },
+  mode: { type: "string", enum: ["runner", "emulator"] },
+  endpoint: { type: "string" },
+  region: { type: "string" },
+  accountId: { type: "string" },
+  credentials: object([], {
+    source: { type: "string", enum: ["default", "shared", "static"] },
+    profileName: { type: "string" },
+    accessKeyId: { type: "string" },
+    secretAccessKey: { type: "string" },
+    sessionToken: { type: "string" }
+  })
+});
+
+const PAGINATE_SCHEMA = {
+  oneOf: [
+    { type: "boolean" },
+    object([], { maxItems: { type: "integer", minimum: 1 } })
+  ]
+};
+
+module.exports = {
+  PARAM_SCHEMAS,
+  PROFILE_SCHEMA,
+  PAGINATE_SCHEMA
+};
@@ -0,0 +1,145 @@
+// Checks request params, profiles and paginate options against
+// backend/schemas before they reach the runner, so a mistake is reported as
+// a ValidationError naming the field instead of whatever the SDK or the
+// runner makes of it.
+
+const { ApiError } = require("./errors");
+const { PARAM_SCHEMAS, PROFILE_SCHEMA, PAGINATE_SCHEMA } = require("./schemas");
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+function isJson(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function checkString(schema, value, path, problems) {
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    problems.push(
+      schema.minLength === 1
+        ? `${path} must not be empty`
+        : `${path} must be at least ${schema.minLength} characters`
+    );
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    problems.push(`${path} must be at most ${schema.maxLength} characters`);
+  }
+  const maxBytes = schema["x-max-bytes"];
+  if (maxBytes !== undefined && Buffer.byteLength(value) > maxBytes) {
+    problems.push(`${path} must be at most ${maxBytes / 1024} KB`);
+  }
+  if (schema.format === "json" && !isJson(value)) {
+    problems.push(`${path} must be valid JSON`);
+  }
+}
+
+function withArticle(type) {
+  return `${/^[aeiou]/.test(type) ? "an" : "a"} ${type}`;
+}
+
+// Appends a message to problems for every way value breaks schema.
+// Undefined and null values count as absent. Of a oneOf, the value is
+// checked against the option of its type.
+function check(schema, value, path, problems) {
+  const type = typeOf(value);
+  if (schema.oneOf) {
+    const option = schema.oneOf.find(candidate => candidate.type === type);
+    if (option) {
+      check(option, value, path, problems);
+    } else {
+      problems.push(
+        `${path} must be ${schema.oneOf
+          .map(candidate => withArticle(candidate.type))
+          .join(" or ")}`
+      );
+    }
+    return;
+  }
+  const expected = schema.type;
+  if (
+    expected &&
+    type !== expected &&
+    !(expected === "number" && type === "integer")
+  ) {
+    problems.push(`${path} must be ${withArticle(expected)}`);
+    return;
+  }
+  if (schema.enum && schema.enum.indexOf(value) < 0) {
+    problems.push(`${path} must be one of ${schema.enum.join(", ")}`);
+  }
+  if (type === "string") {
+    checkString(schema, value, path, problems);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    problems.push(`${path} must be at least ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    problems.push(`${path} must be at most ${schema.maximum}`);
+  }
+  if (type === "array" && schema.items) {
+    value.forEach((item, index) =>
+      check(schema.items, item, `${path}[${index}]`, problems)
+    );
+  }
+  if (type === "object") {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        problems.push(`${path}.${key} is required`);
+      }
+    });
+    Object.keys(schema.properties || {}).forEach(key => {
+      if (value[key] !== undefined && value[key] !== null) {
+        check(schema.properties[key], value[key], `${path}.${key}`, problems);
+      }
+    });
+  }
+}
+
+function validate(schema, value, path) {
+  const problems = [];
+  check(schema, value, path, problems);
+  return problems;
+}
+
+function throwProblems(problems) {
+  if (problems.length > 0) {
+    throw new ApiError("ValidationError", problems.join("; "), 400);
+  }
+}
+
+// Throws a ValidationError listing every problem with the param of a call
+function checkParams(operation, param) {
+  const schema = PARAM_SCHEMAS[operation];
+  if (!schema) {
+    return;
+  }
+  throwProblems(validate(schema, param, "param"));
+}
+
+// Throws a ValidationError listing every problem with the profile and
+// paginate option of a request body
+function checkRequest(profile, paginate) {
+  const problems = validate(PROFILE_SCHEMA, profile, "profile");
+  if (paginate !== undefined && paginate !== null) {
+    problems.push(...validate(PAGINATE_SCHEMA, paginate, "paginate"));
+  }
+  throwProblems(problems);
+}
+
+module.exports = {
+  validate,
+  checkParams,
+  checkRequest
+};
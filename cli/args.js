@@ -0,0 +1,62 @@
+// A small argv parser: positional arguments, "--name value", "--name=value"
+// and bare "--flag" for the options listed as flags. Option names are turned
+// into camelCase, so --state-machine-arn becomes options.stateMachineArn.
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+function camelCase(name) {
+  return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+function parseArgs(argv, flags = []) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.indexOf("--") !== 0) {
+      positional.push(arg);
+      continue;
+    }
+    const equals = arg.indexOf("=");
+    const name = arg.slice(2, equals > 0 ? equals : undefined);
+    if (equals > 0) {
+      options[camelCase(name)] = arg.slice(equals + 1);
+    } else if (flags.indexOf(name) >= 0) {
+      options[camelCase(name)] = true;
+    } else if (i + 1 < argv.length) {
+      options[camelCase(name)] = argv[++i];
+    } else {
+      throw new UsageError(`Missing value for --${name}`);
+    }
+  }
+  return { positional, options };
+}
+
+// Returns options[name], or throws a UsageError naming the missing option
+function required(options, name) {
+  if (options[name] === undefined || options[name] === "") {
+    const flag = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+    throw new UsageError(`--${flag} is required`);
+  }
+  return options[name];
+}
+
+function parseJson(text, name) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new UsageError(`${name} is not valid JSON: ${err.message}`);
+  }
+}
+
+module.exports = {
+  UsageError,
+  parseArgs,
+  required,
+  parseJson
+};
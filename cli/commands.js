@@ -0,0 +1,228 @@
+// The CLI's commands. run(options, call, positional) gets the parsed options
+// and a call(type, param, paginate) function bound to the selected profile,
+// and resolves with the response to print. view(data) picks the rows and
+// columns shown in table format; commands that follow an execution map its
+// final status to the process exit code with exitCode(data, options).
+
+const fs = require("fs");
+const APIType = require("../util/APIType");
+const { UsageError, required, parseJson } = require("./args");
+
+const POLL_INTERVAL = 1000;
+const STATUS_EXIT_CODES = {
+  SUCCEEDED: 0,
+  FAILED: 3,
+  TIMED_OUT: 4,
+  ABORTED: 5,
+  RUNNING: 6
+};
+
+function readFile(file) {
+  try {
+    return fs.readFileSync(file, "utf8");
+  } catch (err) {
+    throw new UsageError(`Unable to read ${file}: ${err.message}`);
+  }
+}
+
+// JSON text from --<name> or the file named by --<name>-file, checked to
+// parse. Without a fallback one of the two options is required.
+function readJsonOption(options, name, fallback) {
+  const text =
+    options[`${name}File`] !== undefined
+      ? readFile(options[`${name}File`])
+      : options[name];
+  if (text === undefined) {
+    if (fallback === undefined) {
+      throw new UsageError(`--${name} or --${name}-file is required`);
+    }
+    return fallback;
+  }
+  parseJson(text, `--${name}`);
+  return text;
+}
+
+const listView = (key, columns) => data => ({ rows: data[key], columns });
+
+const executionView = data => ({
+  rows: [data],
+  columns: ["name", "status", "startDate", "stopDate", "executionArn"]
+});
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Polls describeExecution until the execution stops or timeout seconds pass
+function waitForExecution(call, executionArn, timeout) {
+  const deadline = timeout ? Date.now() + Number(timeout) * 1000 : Infinity;
+  const poll = () =>
+    call(APIType.DESCRIBE_EXECUTION, { executionArn }).then(data => {
+      if (data.status !== "RUNNING" || Date.now() >= deadline) {
+        return data;
+      }
+      return delay(POLL_INTERVAL).then(poll);
+    });
+  return poll();
+}
+
+const statusExitCode = data => STATUS_EXIT_CODES[data.status];
+
+const commands = {
+  "create-state-machine": {
+    usage:
+      "--name NAME --definition-file FILE --role-arn ARN [--type STANDARD|EXPRESS]",
+    run: (options, call) =>
+      call(APIType.CREATE_STATE_MACHINE, {
+        name: required(options, "name"),
+        definition: readJsonOption(options, "definition"),
+        roleArn: required(options, "roleArn"),
+        type: options.type
+      })
+  },
+
+  "update-state-machine": {
+    usage: "--state-machine-arn ARN --definition-file FILE [--role-arn ARN]",
+    run: (options, call) =>
+      call(APIType.UPDATE_STATE_MACHINE, {
+        stateMachineArn: required(options, "stateMachineArn"),
+        definition: readJsonOption(options, "definition"),
+        roleArn: options.roleArn
+      })
+  },
+
+  "list-state-machines": {
+    usage: "",
+    view: listView("stateMachines", [
+      "name",
+      "creationDate",
+      "stateMachineArn"
+    ]),
+    run: (options, call) => call(APIType.LIST_STATE_MACHINES, {}, true)
+  },
+
+  "list-activities": {
+    usage: "",
+    view: listView("activities", ["name", "creationDate", "activityArn"]),
+    run: (options, call) => call(APIType.LIST_ACTIVITIES, {}, true)
+  },
+
+  "list-executions": {
+    usage: "--state-machine-arn ARN [--status-filter STATUS]",
+    view: listView("executions", [
+      "name",
+      "status",
+      "startDate",
+      "stopDate",
+      "executionArn"
+    ]),
+    run: (options, call) =>
+      call(
+        APIType.LIST_EXECUTIONS,
+        {
+          stateMachineArn: required(options, "stateMachineArn"),
+          statusFilter: options.statusFilter
+        },
+        true
+      )
+  },
+
+  "start-execution": {
+    usage:
+      "--state-machine-arn ARN [--name NAME] [--input JSON | --input-file FILE] [--wait] [--timeout SECONDS]",
+    view: (data, options) => (options.wait ? executionView(data) : null),
+    exitCode: (data, options) => (options.wait ? statusExitCode(data) : 0),
+    run: (options, call) =>
+      call(APIType.START_EXECUTION, {
+        stateMachineArn: required(options, "stateMachineArn"),
+        name: options.name,
+        input: readJsonOption(options, "input", "{}")
+      }).then(data =>
+        options.wait
+          ? waitForExecution(call, data.executionArn, options.timeout)
+          : data
+      )
+  },
+
+  "describe-execution": {
+    usage: "--execution-arn ARN",
+    view: executionView,
+    run: (options, call) =>
+      call(APIType.DESCRIBE_EXECUTION, {
+        executionArn: required(options, "executionArn")
+      })
+  },
+
+  wait: {
+    usage: "--execution-arn ARN [--timeout SECONDS]",
+    view: executionView,
+    exitCode: statusExitCode,
+    run: (options, call) =>
+      waitForExecution(call, required(options, "executionArn"), options.timeout)
+  },
+
+  history: {
+    usage: "--execution-arn ARN",
+    view: listView("events", ["id", "timestamp", "type", "previousEventId"]),
+    run: (options, call) =>
+      call(
+        APIType.GET_EXECUTION_HISTORY,
+        { executionArn: required(options, "executionArn") },
+        true
+      )
+  },
+
+  "get-activity-task": {
+    usage: "--activity-arn ARN [--worker-name NAME]",
+    run: (options, call) =>
+      call(APIType.GET_ACTIVITY_TASK, {
+        activityArn: required(options, "activityArn"),
+        workerName: options.workerName
+      })
+  },
+
+  "send-task-success": {
+    usage: "--task-token TOKEN [--output JSON | --output-file FILE]",
+    run: (options, call) =>
+      call(APIType.SEND_TASK_SUCCESS, {
+        taskToken: required(options, "taskToken"),
+        output: readJsonOption(options, "output", "{}")
+      })
+  },
+
+  "send-task-failure": {
+    usage: "--task-token TOKEN [--error ERROR] [--cause CAUSE]",
+    run: (options, call) =>
+      call(APIType.SEND_TASK_FAILURE, {
+        taskToken: required(options, "taskToken"),
+        error: options.error,
+        cause: options.cause
+      })
+  },
+
+  "send-task-heartbeat": {
+    usage: "--task-token TOKEN",
+    run: (options, call) =>
+      call(APIType.SEND_TASK_HEARTBEAT, {
+        taskToken: required(options, "taskToken")
+      })
+  },
+
+  // Any other operation, by its SDK name, e.g. call describeActivity
+  call: {
+    usage: "OPERATION [--param JSON | --param-file FILE]",
+    run: (options, call, positional) => {
+      const operation = positional[0];
+      if (Object.keys(APIType).every(key => APIType[key] !== operation)) {
+        throw new UsageError(`Unknown operation ${operation}`);
+      }
+      const param = readJsonOption(options, "param", "{}");
+      return call(operation, JSON.parse(param));
+    }
+  }
+};
+
+module.exports = {
+  commands,
+  STATUS_EXIT_CODES
+};
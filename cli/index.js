@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+// Command-line companion to the dashboard, for shell scripts and CI:
+//
+//   sfn-dashboard start-execution --state-machine-arn ARN --input '{}' --wait
+//
+// Calls go through backend/StepFunctionsAPI, so the CLI uses the same
+// dashboard.config.json (profiles, allowed endpoints, mode) as the server.
+// --profile NAME picks one of its profiles; otherwise --endpoint and
+// --region describe the runner, http://localhost:8083 by default.
+//
+// Like the dashboard, the CLI records the state machines and activities it
+// creates or deletes in the registry file (registry.file in the config, see
+// backend/Registry), so a runner restart can recreate them.
+//
+// Exit codes: 0 on success, 1 when a call fails, 2 for usage errors. wait
+// and start-execution --wait exit with the execution's status: 0 SUCCEEDED,
+// 3 FAILED, 4 TIMED_OUT, 5 ABORTED and 6 when --timeout passed while it was
+// still RUNNING.
+
+const StepFunctionsAPI = require("../backend/StepFunctionsAPI");
+const { config } = require("../backend/config");
+const { normalizeError } = require("../backend/errors");
+const { UsageError, parseArgs } = require("./args");
+const { commands } = require("./commands");
+const { print } = require("./output");
+
+const DEFAULT_ENDPOINT = "http://localhost:8083";
+const FLAGS = ["wait", "help"];
+const EXIT_API_ERROR = 1;
+const EXIT_USAGE = 2;
+
+function usage() {
+  const lines = Object.keys(commands).map(name =>
+    `  ${name} ${commands[name].usage}`.trimEnd()
+  );
+  return [
+    "Usage: sfn-dashboard COMMAND [options]",
+    "",
+    "Commands:",
+    ...lines,
+    "",
+    "Options for every command:",
+    "  --profile NAME            a profile from dashboard.config.json",
+    `  --endpoint URL            runner endpoint (default ${DEFAULT_ENDPOINT})`,
+    "  --region REGION           region of the runner",
+    "  --format json|table       output format (default json)"
+  ].join("\n");
+}
+
+function getProfile(options) {
+  if (options.profile) {
+    const profile = config.profiles.find(
+      candidate => candidate.name === options.profile
+    );
+    if (!profile) {
+      throw new UsageError(
+        `No profile named ${options.profile} in the dashboard config`
+      );
+    }
+    return profile;
+  }
+  return {
+    endpoint: options.endpoint || DEFAULT_ENDPOINT,
+    region: options.region
+  };
+}
+
+function main(argv) {
+  const { positional, options } = parseArgs(argv, FLAGS);
+  const name = positional.shift();
+  if (!name || options.help) {
+    console.log(usage());
+    return Promise.resolve(name ? 0 : EXIT_USAGE);
+  }
+  const command = commands[name];
+  if (!command) {
+    throw new UsageError(`Unknown command ${name}`);
+  }
+  if (["json", "table", undefined].indexOf(options.format) < 0) {
+    throw new UsageError(`Unknown format ${options.format}`);
+  }
+
+  const profile = getProfile(options);
+  // Scripts expect fresh answers, so the response cache is skipped
+  const call = (type, param, paginate) =>
+    StepFunctionsAPI.invoke(type, {
+      profile,
+      param,
+      paginate: paginate || undefined,
+      cache: false
+    });
+
+  return Promise.resolve(command.run(options, call, positional)).then(data => {
+    print(
+      data,
+      options.format,
+      command.view && (d => command.view(d, options))
+    );
+    return command.exitCode ? command.exitCode(data, options) : 0;
+  });
+}
+
+function fail(err) {
+  if (err instanceof UsageError) {
+    console.error(`${err.message}\n\n${usage()}`);
+    return EXIT_USAGE;
+  }
+  const error = normalizeError(err);
+  console.error(JSON.stringify({ error }, null, 2));
+  return EXIT_API_ERROR;
+}
+
+// Sets the exit code rather than exiting, so output still being written
+// to a pipe is not cut off
+function run(argv) {
+  return new Promise(resolve => resolve(main(argv))).catch(fail).then(code => {
+    process.exitCode = code;
+  });
+}
+
+if (require.main === module) {
+  run(process.argv.slice(2));
+}
+
+module.exports = { main, run };
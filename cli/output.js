@@ -0,0 +1,56 @@
+// Prints command results as JSON (the default) or as a plain text table.
+
+function formatCell(value) {
+  if (value === undefined || value === null) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+// rows are objects; columns name the keys to show, in order
+function formatTable(rows, columns) {
+  const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+  const widths = columns.map((column, index) =>
+    Math.max(column.length, ...cells.map(line => line[index].length))
+  );
+  const formatLine = line =>
+    line
+      .map((cell, index) => cell.padEnd(widths[index]))
+      .join("  ")
+      .trimEnd();
+  return [
+    formatLine(columns.map(column => column.toUpperCase())),
+    formatLine(widths.map(width => "-".repeat(width))),
+    ...cells.map(formatLine)
+  ].join("\n");
+}
+
+// A response with no list to show becomes a two-column table of its fields
+function toRows(data) {
+  return Object.keys(data).map(key => ({ field: key, value: data[key] }));
+}
+
+// view(data) picks the rows and columns a command shows in table format
+function print(data, format, view) {
+  if (format === "table") {
+    const table = view ? view(data) : null;
+    console.log(
+      table
+        ? formatTable(table.rows, table.columns)
+        : formatTable(toRows(data || {}), ["field", "value"])
+    );
+  } else {
+    console.log(JSON.stringify(data, null, 2));
+  }
+}
+
+module.exports = {
+  formatTable,
+  print
+};
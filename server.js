@@ -2,10 +2,33 @@ const express = require("express");
 const path = require("path");
 const StepFunctionsAPI = require("./backend/StepFunctionsAPI");
 const APIType = require("./util/APIType");
+const AslSync = require("./backend/AslSync");
+const AuditLog = require("./backend/AuditLog");
+const auth = require("./backend/auth");
+const config = require("./backend/config");
+const ExecutionArchive = require("./backend/ExecutionArchive");
+const ExecutionWatcher = require("./backend/ExecutionWatcher");
+const MockConfig = require("./backend/MockConfig");
+const openapi = require("./backend/openapi");
+const Reprovision = require("./backend/Reprovision");
+const {
+  ApiError,
+  errorHandler,
+  notFound,
+  sendError
+} = require("./backend/errors");
 const app = express();
 const port = process.env.PORT || 3001;
 
-app.use(express.json());
+// Large enough for a 1 MB definition, the biggest param Step Functions takes
+app.use(express.json({ limit: "5mb" }));
+
+app.get("/login", auth.showLogin);
+app.post("/login", express.urlencoded({ extended: false }), auth.login);
+app.get("/logout", auth.logout);
+
+// Everything below, the UI included, needs credentials once auth is set up
+app.use(auth.authenticate);
 
 app.post("/api/create-activity", function(req, res) {
   StepFunctionsAPI.call(APIType.CREATE_ACTIVITY, req, res);
@@ -79,10 +102,166 @@ app.post("/api/stop-execution", function(req, res) {
   StepFunctionsAPI.call(APIType.STOP_EXECUTION, req, res);
 });
 
+app.post("/api/tag-resource", function(req, res) {
+  StepFunctionsAPI.call(APIType.TAG_RESOURCE, req, res);
+});
+
+app.post("/api/untag-resource", function(req, res) {
+  StepFunctionsAPI.call(APIType.UNTAG_RESOURCE, req, res);
+});
+
+app.post("/api/update-state-machine", function(req, res) {
+  StepFunctionsAPI.call(APIType.UPDATE_STATE_MACHINE, req, res);
+});
+
+app.post("/api/batch", function(req, res) {
+  StepFunctionsAPI.batch(req, res);
+});
+
+app.post("/api/stream/token", function(req, res) {
+  try {
+    res.send(ExecutionWatcher.createStreamToken(req.body.profile));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/stream/executions", function(req, res) {
+  ExecutionWatcher.stream(req, res);
+});
+
+app.get("/api/config", function(req, res) {
+  res.send(
+    Object.assign(config.getPublicConfig(), { auth: auth.describe(req) })
+  );
+});
+
+app.get("/api/audit-log", function(req, res) {
+  res.send(AuditLog.list(req.query));
+});
+
+app.delete("/api/audit-log", auth.requireAdmin, function(req, res) {
+  AuditLog.clear();
+  res.send({});
+});
+
+app.get("/api/audit-log/:id", function(req, res) {
+  const entry = AuditLog.get(Number(req.params.id));
+  if (!entry) {
+    return sendError(
+      res,
+      new ApiError(
+        "AuditEntryNotFound",
+        `No audit log entry ${req.params.id}`,
+        404
+      )
+    );
+  }
+  res.send(entry);
+});
+
+app.post("/api/audit-log/:id/replay", function(req, res) {
+  StepFunctionsAPI.replay(req, res);
+});
+
+app.get("/api/mock-config", function(req, res) {
+  try {
+    res.send(MockConfig.load());
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.put("/api/mock-config", auth.requireAdmin, function(req, res) {
+  try {
+    res.send(MockConfig.save(req.body));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/mock-config/export", function(req, res) {
+  try {
+    res.attachment(path.basename(MockConfig.getFile()));
+    res.send(JSON.stringify(MockConfig.load(), null, 2));
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/asl-sync", function(req, res) {
+  res.send(AslSync.getStatus());
+});
+
+app.post("/api/asl-sync", auth.requireAdmin, function(req, res) {
+  AslSync.syncAll()
+    .then(() => res.send(AslSync.getStatus()))
+    .catch(err => sendError(res, err));
+});
+
+app.post("/api/registry/check", function(req, res) {
+  Reprovision.check(req.body, req.auth.role)
+    .then(result => res.send(result))
+    .catch(err => sendError(res, err));
+});
+
+app.post("/api/registry/restore", auth.requireAdmin, function(req, res) {
+  Reprovision.restore(req.body, req.auth.role)
+    .then(result => res.send(result))
+    .catch(err => sendError(res, err));
+});
+
+app.post("/api/registry/forget", auth.requireAdmin, function(req, res) {
+  try {
+    Reprovision.forget(req.body);
+    res.send({});
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.post("/api/archive/list-executions", function(req, res) {
+  const param = req.body.param || {};
+  res.send({
+    executions: ExecutionArchive.list(
+      StepFunctionsAPI.getProfile(req.body),
+      param.stateMachineArn
+    )
+  });
+});
+
+app.post("/api/archive/get-execution", function(req, res) {
+  try {
+    res.send(
+      ExecutionArchive.get(
+        StepFunctionsAPI.getProfile(req.body),
+        (req.body.param || {}).executionArn
+      )
+    );
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+app.get("/api/openapi.json", function(req, res) {
+  res.send(openapi.getDocument());
+});
+
+app.all("/api/*", notFound);
+app.use("/api", errorHandler);
+
 app.use(express.static("build"));
 
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname + "/build/index.html"));
 });
 
-app.listen(port, () => console.log(`Example app listening on port ${port}!`));
+// Tests require the app without starting it
+if (require.main === module) {
+  app.listen(port, () => console.log(`Example app listening on port ${port}!`));
+
+  AslSync.start();
+  ExecutionArchive.start();
+}
+
+module.exports = app;
@@ -7,18 +7,22 @@ import {
   NavLink
 } from "react-router-dom";
 import { EndpointProvider } from "./context/EndpointContext";
+import ApiLog from "./components/ApiLog";
+import AslSync from "./components/AslSync";
 import ConnectionStatus from "./components/ConnectionStatus";
 import CreateActivity from "./components/CreateActivity";
 import CreateStateMachine from "./components/CreateStateMachine";
 import DescribeActivity from "./components/DescribeActivity";
 import DescribeExecution from "./components/DescribeExecution";
 import DescribeStateMachine from "./components/DescribeStateMachine";
+import EditStateMachine from "./components/EditStateMachine";
 import GetActivityTask from "./components/GetActivityTask";
 import GetExecutionHistory from "./components/GetExecutionHistory";
 import ListActivities from "./components/ListActivities";
 import ListExecutions from "./components/ListExecutions";
 import ListStateMachines from "./components/ListStateMachines";
 import ListTagsForResource from "./components/ListTagsForResource";
+import MockTests from "./components/MockTests";
 import StartExecution from "./components/StartExecution";
 import SendTaskSuccess from "./components/SendTaskSuccess";
 import SendTaskFailure from "./components/SendTaskFailure";
@@ -31,7 +35,8 @@ const menuItems = [
     items: [
       { path: "/", label: "List State Machines", exact: true },
       { path: "/createStateMachine", label: "Create State Machine" },
-      { path: "/describeStateMachine", label: "Describe State Machine" }
+      { path: "/describeStateMachine", label: "Describe State Machine" },
+      { path: "/aslSync", label: "ASL Sync" }
     ]
   },
   {
@@ -40,7 +45,8 @@ const menuItems = [
       { path: "/listExecutions", label: "List Executions" },
       { path: "/startExecution", label: "Start Execution" },
       { path: "/describeExecution", label: "Describe Execution" },
-      { path: "/getExecutionHistory", label: "Execution History" }
+      { path: "/getExecutionHistory", label: "Execution History" },
+      { path: "/mockTests", label: "Mock Tests" }
     ]
   },
   {
@@ -62,7 +68,10 @@ const menuItems = [
   },
   {
     section: "Other",
-    items: [{ path: "/listTagsForResource", label: "List Tags" }]
+    items: [
+      { path: "/listTagsForResource", label: "Tags" },
+      { path: "/apiLog", label: "API Log" }
+    ]
   }
 ];
 
@@ -110,6 +119,11 @@ function App() {
               path="/state-machine/:arn"
               component={StateMachineDiagram}
             />
+            <Route
+              exact
+              path="/state-machine/:arn/edit"
+              component={EditStateMachine}
+            />
 
             {/* State Machines */}
             <Route
@@ -167,6 +181,9 @@ function App() {
               path="/listTagsForResource"
               component={ListTagsForResource}
             />
+            <Route exact path="/apiLog" component={ApiLog} />
+            <Route exact path="/aslSync" component={AslSync} />
+            <Route exact path="/mockTests" component={MockTests} />
           </div>
         </Router>
       </div>
@@ -0,0 +1,32 @@
+import AuditLog from "../backend/AuditLog";
+
+it("trims large responses and keeps their item counts", () => {
+  const events = Array.from({ length: 120 }, (_, i) => ({
+    id: i + 1,
+    timestamp: new Date(0),
+    input: "x".repeat(5000)
+  }));
+  const entry = AuditLog.record({
+    operation: "getExecutionHistory",
+    profile: {},
+    param: {},
+    response: { events, nextToken: null }
+  });
+  expect(entry.responseTruncated).toBe(true);
+  expect(entry.itemCounts).toEqual({ events: 120 });
+  expect(entry.response.events).toHaveLength(50);
+  expect(entry.response.events[0].input).toHaveLength(4097);
+  expect(entry.response.events[0].timestamp).toEqual(new Date(0));
+});
+
+it("keeps small responses as they are", () => {
+  const response = { executions: [{ name: "one" }], nextToken: "abc" };
+  const entry = AuditLog.record({
+    operation: "listExecutions",
+    profile: {},
+    param: {},
+    response
+  });
+  expect(entry.responseTruncated).toBe(false);
+  expect(entry.response).toEqual(response);
+});
@@ -0,0 +1,132 @@
+import http from "http";
+import app from "../server";
+import { config } from "../backend/config";
+
+let server;
+let port;
+const { auth, mode } = config;
+
+beforeAll(done => {
+  config.mode = "emulator";
+  config.auth = {
+    tokens: [
+      { token: "admin-token", role: "admin" },
+      { token: "reader-token", role: "read-only" }
+    ],
+    users: [
+      { username: "ada", password: "secret", role: "admin" },
+      { username: "x", password: "xy", role: "admin" }
+    ]
+  };
+  server = app.listen(0, () => {
+    port = server.address().port;
+    done();
+  });
+});
+
+afterAll(done => {
+  config.auth = auth;
+  config.mode = mode;
+  server.close(done);
+});
+
+// Resolves with the status and parsed body of a JSON request
+function send(method, path, authorization, body) {
+  const text = JSON.stringify(body || {});
+  const headers = {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(text)
+  };
+  if (authorization) {
+    headers.Authorization = authorization;
+  }
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: "127.0.0.1", port, method, path, headers },
+      res => {
+        let data = "";
+        res.on("data", chunk => (data += chunk));
+        res.on("end", () =>
+          resolve({
+            status: res.statusCode,
+            body:
+              data && res.headers["content-type"].indexOf("json") >= 0
+                ? JSON.parse(data)
+                : data
+          })
+        );
+      }
+    );
+    req.on("error", reject);
+    req.end(text);
+  });
+}
+
+const basic = credentials =>
+  `Basic ${Buffer.from(credentials).toString("base64")}`;
+const ADMIN = "Bearer admin-token";
+const READER = "Bearer reader-token";
+
+it("turns away API calls without valid credentials", async () => {
+  const anonymous = await send("POST", "/api/list-state-machines");
+  expect(anonymous.status).toBe(401);
+  expect(anonymous.body.error.code).toBe("Unauthorized");
+
+  expect(
+    (await send("POST", "/api/list-state-machines", "Bearer nope")).status
+  ).toBe(401);
+  expect(
+    (await send("POST", "/api/list-state-machines", basic("ada:wrong"))).status
+  ).toBe(401);
+});
+
+it("accepts tokens and users with their role", async () => {
+  expect((await send("POST", "/api/list-state-machines", ADMIN)).status).toBe(
+    200
+  );
+  expect(
+    (await send("POST", "/api/list-state-machines", basic("ada:secret"))).status
+  ).toBe(200);
+  expect((await send("POST", "/api/list-state-machines", READER)).status).toBe(
+    200
+  );
+});
+
+it("rejects Basic credentials without a colon", async () => {
+  // Read as user "x" with password "xy" before the colon was required
+  const response = await send("POST", "/api/list-state-machines", basic("xy"));
+  expect(response.status).toBe(401);
+});
+
+it("keeps read-only callers to read operations", async () => {
+  const response = await send("POST", "/api/create-activity", READER, {
+    param: { name: "forbidden" }
+  });
+  expect(response.status).toBe(403);
+  expect(response.body.error.code).toBe("Forbidden");
+
+  const batch = await send("POST", "/api/batch", READER, {
+    items: [
+      { operation: "listActivities" },
+      { operation: "createActivity", param: { name: "forbidden" } }
+    ]
+  });
+  expect(batch.body.results[0].data).toBeDefined();
+  expect(batch.body.results[1].error.code).toBe("Forbidden");
+});
+
+it("keeps the admin routes to admins", async () => {
+  const adminRoutes = [
+    ["DELETE", "/api/audit-log"],
+    ["PUT", "/api/mock-config"],
+    ["POST", "/api/asl-sync"],
+    ["POST", "/api/registry/restore"],
+    ["POST", "/api/registry/forget"]
+  ];
+  for (const [method, path] of adminRoutes) {
+    const response = await send(method, path, READER);
+    expect([path, response.status]).toEqual([path, 403]);
+    expect(response.body.error.code).toBe("Forbidden");
+  }
+  expect((await send("DELETE", "/api/audit-log", ADMIN)).status).toBe(200);
+});
@@ -0,0 +1,99 @@
+import http from "http";
+import { batch } from "../backend/StepFunctionsAPI";
+
+// A stand-in runner that answers every call after a short delay and
+// remembers how many calls it had in flight at once
+let runner;
+let endpoint;
+let inFlight = 0;
+let maxInFlight = 0;
+
+beforeAll(done => {
+  runner = http.createServer((req, res) => {
+    inFlight += 1;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    req.resume();
+    setTimeout(() => {
+      inFlight -= 1;
+      res.setHeader("Content-Type", "application/x-amz-json-1.0");
+      res.end(JSON.stringify({ tags: [] }));
+    }, 20);
+  });
+  runner.listen(0, () => {
+    endpoint = `http://127.0.0.1:${runner.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  runner.close(done);
+});
+
+beforeEach(() => {
+  maxInFlight = 0;
+});
+
+// Resolves with the status and body batch() answers with
+function runBatch(body) {
+  return new Promise(resolve => {
+    let status = 200;
+    const res = {
+      status: code => {
+        status = code;
+        return res;
+      },
+      send: data => resolve({ status, body: data })
+    };
+    batch({ body, auth: { role: "admin" } }, res);
+  });
+}
+
+const profile = () => ({
+  endpoint,
+  region: "us-east-1",
+  credentials: { source: "static", accessKeyId: "id", secretAccessKey: "key" }
+});
+const tagItems = count =>
+  Array.from({ length: count }, (_, i) => ({
+    operation: "listTagsForResource",
+    param: {
+      resourceArn: `arn:aws:states:us-east-1:123456789012:activity:a${i}`
+    },
+    cache: false
+  }));
+
+it("rejects empty batches and batches over the item limit", async () => {
+  const empty = await runBatch({ profile: profile(), items: [] });
+  expect(empty.status).toBe(400);
+  expect(empty.body.error.code).toBe("InvalidBatch");
+
+  const tooMany = await runBatch({ profile: profile(), items: tagItems(1001) });
+  expect(tooMany.status).toBe(400);
+  expect(tooMany.body.error.message).toMatch(/at most 1000 items, got 1001/);
+  expect(maxInFlight).toBe(0);
+});
+
+it("runs items a few at a time and answers them in order", async () => {
+  const items = tagItems(12);
+  items.splice(3, 0, { operation: "noSuchOperation" });
+  const { status, body } = await runBatch({
+    profile: profile(),
+    items,
+    concurrency: 3
+  });
+  expect(status).toBe(200);
+  expect(body.results).toHaveLength(13);
+  expect(body.results[0]).toEqual({ data: { tags: [] } });
+  expect(body.results[3].error.code).toBe("UnknownOperation");
+  expect(maxInFlight).toBe(3);
+});
+
+it("runs five at a time unless told otherwise", async () => {
+  await runBatch({ profile: profile(), items: tagItems(12) });
+  expect(maxInFlight).toBe(5);
+});
+
+it("caps the concurrency a batch asks for", async () => {
+  await runBatch({ profile: profile(), items: tagItems(30), concurrency: 100 });
+  expect(maxInFlight).toBe(20);
+});
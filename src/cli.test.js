@@ -0,0 +1,108 @@
+import { UsageError, parseArgs, required, parseJson } from "../cli/args";
+import { main, run } from "../cli";
+import { config } from "../backend/config";
+
+describe("parseArgs", () => {
+  it("reads positionals, --name value, --name=value and flags", () => {
+    expect(
+      parseArgs(
+        [
+          "start-execution",
+          "--state-machine-arn",
+          "arn:sm",
+          '--input={"a":1}',
+          "--wait",
+          "extra"
+        ],
+        ["wait"]
+      )
+    ).toEqual({
+      positional: ["start-execution", "extra"],
+      options: { stateMachineArn: "arn:sm", input: '{"a":1}', wait: true }
+    });
+  });
+
+  it("keeps everything after the first = in the value", () => {
+    expect(parseArgs(["--param=a=b"]).options).toEqual({ param: "a=b" });
+  });
+
+  it("rejects an option without a value", () => {
+    expect(() => parseArgs(["list-executions", "--state-machine-arn"])).toThrow(
+      new UsageError("Missing value for --state-machine-arn")
+    );
+  });
+});
+
+it("names missing options and bad JSON in usage errors", () => {
+  expect(() => required({ stateMachineArn: "" }, "stateMachineArn")).toThrow(
+    "--state-machine-arn is required"
+  );
+  expect(required({ name: "x" }, "name")).toBe("x");
+  expect(() => parseJson("{", "--input")).toThrow(UsageError);
+});
+
+describe("main", () => {
+  let output;
+  const { mode, registry } = config;
+
+  beforeEach(() => {
+    config.mode = "emulator";
+    config.registry = { file: null };
+    output = [];
+    jest.spyOn(console, "log").mockImplementation(text => output.push(text));
+    jest.spyOn(console, "error").mockImplementation(text => output.push(text));
+  });
+
+  afterEach(() => {
+    config.mode = mode;
+    config.registry = registry;
+    jest.restoreAllMocks();
+  });
+
+  it("runs a state machine and exits with the execution's status", async () => {
+    const definition = JSON.stringify({
+      StartAt: "Break",
+      States: { Break: { Type: "Fail", Error: "Broken" } }
+    });
+    await main([
+      "create-state-machine",
+      "--name",
+      "cli-failing",
+      "--definition",
+      definition,
+      "--role-arn",
+      "arn:aws:iam::123456789012:role/cli"
+    ]);
+    const { stateMachineArn } = JSON.parse(output.pop());
+
+    const code = await main([
+      "start-execution",
+      "--state-machine-arn",
+      stateMachineArn,
+      "--wait",
+      "--format",
+      "table"
+    ]);
+    expect(code).toBe(3);
+    expect(output.pop()).toMatch(/^NAME\s+STATUS/);
+  });
+
+  it("sets the exit code of usage and API errors instead of exiting", async () => {
+    const exitCode = process.exitCode;
+    try {
+      await run(["no-such-command"]);
+      expect(process.exitCode).toBe(2);
+      expect(output.pop()).toMatch(/^Unknown command no-such-command/);
+
+      await run([
+        "describe-execution",
+        "--execution-arn",
+        "arn:aws:states:us-east-1:123456789012:execution:missing:run"
+      ]);
+      expect(process.exitCode).toBe(1);
+      expect(JSON.parse(output.pop()).error.code).toBe("ExecutionDoesNotExist");
+    } finally {
+      process.exitCode = exitCode;
+    }
+  });
+});
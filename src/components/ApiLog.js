@@ -0,0 +1,233 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useEndpoint } from "../context/EndpointContext";
+import {
+  OPERATIONS,
+  listAuditLog,
+  getAuditEntry,
+  clearAuditLog
+} from "../utils/stepFunctionsClient";
+import ErrorPanel from "./ErrorPanel";
+
+const EMPTY_FILTER = { operation: "", status: "", search: "" };
+
+function ApiLog() {
+  const { client, endpoint } = useEndpoint();
+  const [filter, setFilter] = useState(EMPTY_FILTER);
+  const [log, setLog] = useState({ entries: [], total: 0, capacity: 0 });
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [replaying, setReplaying] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchLog = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      setLog(await listAuditLog(filter));
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [filter]);
+
+  useEffect(() => {
+    fetchLog();
+  }, [fetchLog]);
+
+  const selectEntry = async id => {
+    try {
+      setSelected(await getAuditEntry(id));
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const replay = async () => {
+    setReplaying(true);
+    try {
+      const entry = await client.replayAuditEntry(selected.id);
+      setSelected(entry);
+      await fetchLog();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  const clear = async () => {
+    try {
+      await clearAuditLog();
+      setSelected(null);
+      await fetchLog();
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  const updateFilter = event => {
+    setFilter({ ...filter, [event.target.name]: event.target.value });
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>API Log</h2>
+        <div className="action-buttons">
+          <button className="btn btn-primary" onClick={fetchLog}>
+            ↻ Refresh
+          </button>
+          <button className="btn btn-danger" onClick={clear}>
+            Clear
+          </button>
+        </div>
+      </div>
+
+      <ErrorPanel error={error} onDismiss={() => setError(null)} />
+
+      <div className="api-log-filters">
+        <select
+          className="form-control"
+          name="operation"
+          value={filter.operation}
+          onChange={updateFilter}
+        >
+          <option value="">All operations</option>
+          {Object.keys(OPERATIONS).map(operation => (
+            <option key={operation} value={operation}>
+              {operation}
+            </option>
+          ))}
+        </select>
+        <select
+          className="form-control"
+          name="status"
+          value={filter.status}
+          onChange={updateFilter}
+        >
+          <option value="">Any result</option>
+          <option value="success">Succeeded</option>
+          <option value="error">Failed</option>
+        </select>
+        <input
+          type="text"
+          className="form-control"
+          name="search"
+          value={filter.search}
+          onChange={updateFilter}
+          placeholder="Search params and errors"
+        />
+      </div>
+
+      <table className="table">
+        <thead className="thead-light">
+          <tr>
+            <th scope="col">Time</th>
+            <th scope="col">Operation</th>
+            <th scope="col">Endpoint</th>
+            <th scope="col">Result</th>
+            <th scope="col">Latency</th>
+          </tr>
+        </thead>
+        <tbody>
+          {log.entries.map(entry => (
+            <tr
+              key={entry.id}
+              className={`clickable-row ${
+                selected && selected.id === entry.id ? "api-log-selected" : ""
+              }`}
+              onClick={() => selectEntry(entry.id)}
+            >
+              <td>{new Date(entry.timestamp).toLocaleTimeString()}</td>
+              <td>
+                <code>{entry.operation}</code>
+                {entry.replayOf && (
+                  <span className="api-log-replay">
+                    {" "}
+                    replay of #{entry.replayOf}
+                  </span>
+                )}
+              </td>
+              <td>{entry.endpoint || "default"}</td>
+              <td
+                className={
+                  entry.status === "success"
+                    ? "api-log-success"
+                    : "api-log-error"
+                }
+              >
+                {entry.status === "success"
+                  ? "OK"
+                  : `${entry.errorCode} (${entry.httpStatus})`}
+              </td>
+              <td>{entry.cached ? "cached" : `${entry.durationMs} ms`}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="pagination-bar">
+        <span className="pagination-summary">
+          {loading
+            ? "Loading..."
+            : `Showing ${log.entries.length} of ${log.total} calls · the server keeps the last ${log.capacity}`}
+        </span>
+      </div>
+
+      {selected && (
+        <div className="api-log-detail">
+          <div className="page-header">
+            <h2>
+              #{selected.id} {selected.operation}
+            </h2>
+            <button
+              className="btn btn-primary"
+              onClick={replay}
+              disabled={replaying}
+            >
+              {replaying ? "Replaying..." : "Replay"}
+            </button>
+          </div>
+          <p className="api-log-meta">
+            {new Date(selected.timestamp).toLocaleString()} ·{" "}
+            {selected.profile.name || "unnamed profile"} ·{" "}
+            {selected.profile.endpoint || "default endpoint"} ·{" "}
+            {selected.profile.region || "default region"} ·{" "}
+            {selected.cached
+              ? "answered from the response cache"
+              : `${selected.durationMs} ms`}
+          </p>
+          {selected.profile.endpoint !== (endpoint || null) && (
+            <p className="api-log-meta">
+              Replay sends this call to the active profile ({endpoint}).
+            </p>
+          )}
+          <h3>Request</h3>
+          <pre>
+            {JSON.stringify(
+              { param: selected.param, paginate: selected.paginate },
+              null,
+              2
+            )}
+          </pre>
+          <h3>{selected.error ? "Error" : "Response"}</h3>
+          {selected.responseTruncated && (
+            <p className="api-log-meta">
+              Trimmed for the log; the full response had{" "}
+              {Object.keys(selected.itemCounts)
+                .map(key => `${selected.itemCounts[key]} ${key}`)
+                .join(", ") || "longer strings"}
+              .
+            </p>
+          )}
+          <pre>
+            {JSON.stringify(selected.error || selected.response, null, 2)}
+          </pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ApiLog;
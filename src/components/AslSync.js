@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import {
+  getAslSyncStatus,
+  syncAslDirectory
+} from "../utils/stepFunctionsClient";
+import ErrorPanel from "./ErrorPanel";
+
+// The server syncs on its own; this page only needs to keep up with it
+const REFRESH_INTERVAL = 5000;
+
+const STATUS_CLASSES = {
+  created: "api-log-success",
+  updated: "api-log-success",
+  "in-sync": "api-log-success",
+  error: "api-log-error"
+};
+
+function AslSync() {
+  const [status, setStatus] = useState(null);
+  const [syncing, setSyncing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      setStatus(await getAslSyncStatus());
+    } catch (err) {
+      setError(err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+    const timer = setInterval(fetchStatus, REFRESH_INTERVAL);
+    return () => clearInterval(timer);
+  }, [fetchStatus]);
+
+  const syncNow = async () => {
+    setSyncing(true);
+    try {
+      setStatus(await syncAslDirectory());
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  if (!status) {
+    return (
+      <div>
+        <ErrorPanel error={error} onRetry={fetchStatus} />
+        {!error && (
+          <div className="loading-state">
+            <span className="loading-spinner">⟳</span>
+            <span>Loading sync status...</span>
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  if (!status.enabled) {
+    return (
+      <div className="empty-state">
+        <span className="empty-icon">📁</span>
+        <h3>ASL Sync Is Off</h3>
+        <p>
+          Set <code>ASL_SYNC_DIR</code> or <code>aslSync.directory</code> on the
+          server to keep state machines in step with a directory of{" "}
+          <code>*.asl.json</code> files.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>ASL Sync</h2>
+        <button
+          className="btn btn-primary"
+          onClick={syncNow}
+          disabled={syncing}
+        >
+          {syncing ? "Syncing..." : "↻ Sync now"}
+        </button>
+      </div>
+      <p className="api-log-meta">
+        <code>{status.directory}</code> → {status.target} · last full sync{" "}
+        {status.lastSyncAt
+          ? new Date(status.lastSyncAt).toLocaleTimeString()
+          : "pending"}
+      </p>
+
+      <ErrorPanel error={error} onDismiss={() => setError(null)} />
+      {status.error && (
+        <div className="alert alert-danger" role="alert">
+          {status.error}
+        </div>
+      )}
+
+      <table className="table">
+        <thead className="thead-light">
+          <tr>
+            <th scope="col">File</th>
+            <th scope="col">State Machine</th>
+            <th scope="col">Status</th>
+            <th scope="col">Last Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          {status.files.map(file => (
+            <tr key={file.file}>
+              <td>
+                <code>{file.file}</code>
+              </td>
+              <td>
+                {file.stateMachineArn ? (
+                  <Link
+                    to={`/state-machine/${encodeURIComponent(
+                      file.stateMachineArn
+                    )}`}
+                  >
+                    {file.name}
+                  </Link>
+                ) : (
+                  file.name
+                )}
+              </td>
+              <td className={STATUS_CLASSES[file.status] || ""}>
+                {file.status}
+                {file.message && (
+                  <div className="api-log-meta">{file.message}</div>
+                )}
+              </td>
+              <td>
+                {file.changedAt
+                  ? new Date(file.changedAt).toLocaleTimeString()
+                  : "—"}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default AslSync;
@@ -0,0 +1,218 @@
+import React, { useState } from "react";
+import { BACKEND_MODES, CREDENTIAL_SOURCES } from "../context/EndpointContext";
+import { getEndpointSuggestions } from "../utils/endpointAllowlist";
+
+function ConnectionProfileForm({
+  profile,
+  serverConfig,
+  isProfileAllowed,
+  onSave,
+  onCancel,
+  onDelete
+}) {
+  const [draft, setDraft] = useState(profile);
+  const credentials = draft.credentials || { source: "default" };
+  const endpointAllowed = isProfileAllowed(draft);
+  const serverUsesEmulator = !!serverConfig && serverConfig.mode === "emulator";
+  const usesRunner = draft.mode !== "emulator" && !serverUsesEmulator;
+
+  const setField = (field, value) => {
+    setDraft({ ...draft, [field]: value });
+  };
+
+  const setCredential = (field, value) => {
+    setDraft({ ...draft, credentials: { ...credentials, [field]: value } });
+  };
+
+  const handleSubmit = event => {
+    event.preventDefault();
+    if (endpointAllowed) {
+      onSave(draft);
+    }
+  };
+
+  return (
+    <form className="profile-form" onSubmit={handleSubmit}>
+      <div className="profile-form-fields">
+        <label>
+          <span>Name</span>
+          <input
+            type="text"
+            className="endpoint-input"
+            value={draft.name}
+            onChange={e => setField("name", e.target.value)}
+            required
+          />
+        </label>
+        <label>
+          <span>Backend</span>
+          <select
+            className="endpoint-input"
+            value={serverUsesEmulator ? "emulator" : draft.mode || "runner"}
+            onChange={e => setField("mode", e.target.value)}
+            disabled={serverUsesEmulator}
+          >
+            {Object.keys(BACKEND_MODES).map(mode => (
+              <option key={mode} value={mode}>
+                {BACKEND_MODES[mode]}
+              </option>
+            ))}
+          </select>
+        </label>
+        {usesRunner && (
+          <label>
+            <span>Endpoint</span>
+            <input
+              type="text"
+              className="endpoint-input"
+              value={draft.endpoint}
+              onChange={e => setField("endpoint", e.target.value)}
+              placeholder="http://localhost:8083 (empty for the AWS endpoint)"
+              list="allowed-endpoints"
+            />
+            <datalist id="allowed-endpoints">
+              {getEndpointSuggestions(serverConfig).map(suggestion => (
+                <option key={suggestion} value={suggestion} />
+              ))}
+            </datalist>
+          </label>
+        )}
+        <label>
+          <span>Region</span>
+          <input
+            type="text"
+            className="endpoint-input"
+            value={draft.region}
+            onChange={e => setField("region", e.target.value)}
+            placeholder="us-east-1"
+            required
+          />
+        </label>
+        <label>
+          <span>Account ID</span>
+          <input
+            type="text"
+            className="endpoint-input"
+            value={draft.accountId}
+            onChange={e => setField("accountId", e.target.value)}
+            placeholder="Optional, e.g. 123456789012"
+          />
+        </label>
+        {usesRunner && (
+          <label>
+            <span>Credentials</span>
+            <select
+              className="endpoint-input"
+              value={credentials.source}
+              onChange={e => setCredential("source", e.target.value)}
+            >
+              {Object.keys(CREDENTIAL_SOURCES).map(source => (
+                <option key={source} value={source}>
+                  {CREDENTIAL_SOURCES[source]}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        {usesRunner && credentials.source === "shared" && (
+          <label>
+            <span>AWS Profile</span>
+            <input
+              type="text"
+              className="endpoint-input"
+              value={credentials.profileName || ""}
+              onChange={e => setCredential("profileName", e.target.value)}
+              placeholder="default"
+            />
+          </label>
+        )}
+        {usesRunner && credentials.source === "static" && (
+          <>
+            <label>
+              <span>Access Key ID</span>
+              <input
+                type="text"
+                className="endpoint-input"
+                value={credentials.accessKeyId || ""}
+                onChange={e => setCredential("accessKeyId", e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              <span>
+                Secret Access Key (stored in this browser until it closes)
+              </span>
+              <input
+                type="password"
+                className="endpoint-input"
+                value={credentials.secretAccessKey || ""}
+                onChange={e => setCredential("secretAccessKey", e.target.value)}
+                required
+              />
+            </label>
+            <label>
+              <span>Session Token</span>
+              <input
+                type="password"
+                className="endpoint-input"
+                value={credentials.sessionToken || ""}
+                onChange={e => setCredential("sessionToken", e.target.value)}
+                placeholder="Optional"
+              />
+            </label>
+          </>
+        )}
+      </div>
+      {!endpointAllowed && (
+        <div className="profile-form-note profile-form-warning">
+          {draft.endpoint
+            ? `${draft.endpoint} is not allowed by the dashboard server.`
+            : "The AWS endpoints are not allowed by the dashboard server."}{" "}
+          Allowed: {serverConfig.allowedEndpoints.join(", ")}
+        </div>
+      )}
+      {serverUsesEmulator && (
+        <div className="profile-form-note">
+          The dashboard server runs every profile on its built-in emulator.
+        </div>
+      )}
+      {usesRunner && credentials.source === "static" && (
+        <div className="profile-form-note">
+          The secret access key and session token are kept in this browser's
+          session storage, so they need to be entered again after it closes. The
+          access key ID is kept with the profile in local storage.
+        </div>
+      )}
+      <div className="profile-form-actions">
+        <button
+          type="submit"
+          className="btn-save"
+          title="Save profile"
+          disabled={!endpointAllowed}
+        >
+          ✓
+        </button>
+        <button
+          type="button"
+          className="btn-cancel"
+          onClick={onCancel}
+          title="Cancel"
+        >
+          ✕
+        </button>
+        {onDelete && (
+          <button
+            type="button"
+            className="btn-delete"
+            onClick={onDelete}
+            title="Delete profile"
+          >
+            🗑
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default ConnectionProfileForm;
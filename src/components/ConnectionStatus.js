@@ -1,29 +1,93 @@
 import React, { useState } from "react";
-import { useEndpoint } from "../context/EndpointContext";
+import { useEndpoint, createProfile } from "../context/EndpointContext";
+import ConnectionProfileForm from "./ConnectionProfileForm";
 import "./ConnectionStatus.css";
 
+// "2 state machines and 1 activity" for lists of names
+function describeResources({ stateMachines, activities }) {
+  const parts = [];
+  if (stateMachines.length > 0) {
+    parts.push(
+      `${stateMachines.length} state machine${
+        stateMachines.length === 1 ? "" : "s"
+      }`
+    );
+  }
+  if (activities.length > 0) {
+    parts.push(
+      `${activities.length} ${
+        activities.length === 1 ? "activity" : "activities"
+      }`
+    );
+  }
+  return parts.join(" and ");
+}
+
 function ConnectionStatus() {
   const {
     endpoint,
-    updateEndpoint,
+    profile,
+    profiles,
+    selectProfile,
+    saveProfile,
+    deleteProfile,
     isConnected,
     isChecking,
     lastError,
-    checkConnection
+    checkConnection,
+    serverConfig,
+    usesEmulator,
+    isProfileAllowed,
+    missingResources,
+    restoreResult,
+    isRestoring,
+    restoreResources,
+    forgetResources,
+    dismissRestoreResult
   } = useEndpoint();
-  const [isEditing, setIsEditing] = useState(false);
-  const [tempEndpoint, setTempEndpoint] = useState(endpoint);
+  // The profile being edited, or null when the form is closed
+  const [editingProfile, setEditingProfile] = useState(null);
+
+  const savedProfiles = profiles.filter(candidate => !candidate.fromServer);
+  const serverProfiles = profiles.filter(candidate => candidate.fromServer);
+
+  const isNewProfile =
+    editingProfile !== null &&
+    !profiles.some(candidate => candidate.id === editingProfile.id);
+
+  const handleSave = savedProfile => {
+    saveProfile(savedProfile);
+    selectProfile(savedProfile.id);
+    setEditingProfile(null);
+  };
 
-  const handleSave = () => {
-    updateEndpoint(tempEndpoint);
-    setIsEditing(false);
+  // Server profiles are read-only, so editing one starts a saved copy
+  const editProfile = () => {
+    if (profile.fromServer) {
+      const { id, fromServer, ...fields } = profile;
+      setEditingProfile(
+        createProfile({ ...fields, name: `${fields.name} (copy)` })
+      );
+    } else {
+      setEditingProfile(profile);
+    }
   };
 
-  const handleCancel = () => {
-    setTempEndpoint(endpoint);
-    setIsEditing(false);
+  const getOptionLabel = candidate =>
+    isProfileAllowed(candidate)
+      ? candidate.name
+      : `${candidate.name} (endpoint not allowed)`;
+
+  const handleDelete = () => {
+    deleteProfile(editingProfile.id);
+    setEditingProfile(null);
   };
 
+  const readOnly =
+    !!serverConfig &&
+    !!serverConfig.auth &&
+    serverConfig.auth.role === "read-only";
+
   const getStatusClass = () => {
     if (isChecking) return "status-checking";
     if (isConnected) return "status-connected";
@@ -48,51 +112,148 @@ function ConnectionStatus() {
         <span className="status-indicator">{getStatusIcon()}</span>
         <span className="status-text">{getStatusText()}</span>
 
-        {!isEditing ? (
-          <div className="endpoint-display">
-            <span className="endpoint-label">Endpoint:</span>
-            <code className="endpoint-value">{endpoint}</code>
-            <button
-              className="btn-edit"
-              onClick={() => setIsEditing(true)}
-              title="Edit endpoint"
-            >
-              ✎
-            </button>
-            <button
-              className="btn-refresh"
-              onClick={checkConnection}
-              disabled={isChecking}
-              title="Test connection"
-            >
-              ↻
-            </button>
-          </div>
-        ) : (
-          <div className="endpoint-edit">
-            <input
-              type="text"
-              value={tempEndpoint}
-              onChange={e => setTempEndpoint(e.target.value)}
-              placeholder="http://localhost:8083"
-              className="endpoint-input"
-            />
-            <button className="btn-save" onClick={handleSave}>
-              ✓
-            </button>
-            <button className="btn-cancel" onClick={handleCancel}>
-              ✕
-            </button>
+        <div className="endpoint-display">
+          <span className="endpoint-label">Profile:</span>
+          <select
+            className="profile-select"
+            value={profile.id}
+            onChange={e => selectProfile(e.target.value)}
+            disabled={editingProfile !== null}
+          >
+            {savedProfiles.map(candidate => (
+              <option key={candidate.id} value={candidate.id}>
+                {getOptionLabel(candidate)}
+              </option>
+            ))}
+            {serverProfiles.length > 0 && (
+              <optgroup label="Server profiles">
+                {serverProfiles.map(candidate => (
+                  <option key={candidate.id} value={candidate.id}>
+                    {getOptionLabel(candidate)}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          <code className="endpoint-value">
+            {usesEmulator(profile) ? "built-in emulator" : endpoint || "AWS"} ·{" "}
+            {profile.region}
+            {profile.accountId ? ` · ${profile.accountId}` : ""}
+          </code>
+          <button
+            className="btn-edit"
+            onClick={editProfile}
+            title={profile.fromServer ? "Copy profile" : "Edit profile"}
+          >
+            ✎
+          </button>
+          <button
+            className="btn-edit"
+            onClick={() => setEditingProfile(createProfile())}
+            title="New profile"
+          >
+            +
+          </button>
+          <button
+            className="btn-refresh"
+            onClick={checkConnection}
+            disabled={isChecking}
+            title="Test connection"
+          >
+            ↻
+          </button>
+        </div>
+
+        {serverConfig && serverConfig.auth && serverConfig.auth.enabled && (
+          <div className="auth-display">
+            <span>
+              {serverConfig.auth.user || "token"} · {serverConfig.auth.role}
+            </span>
+            <a href="/logout" className="auth-logout">
+              Sign out
+            </a>
           </div>
         )}
       </div>
 
+      {editingProfile !== null && (
+        <ConnectionProfileForm
+          key={editingProfile.id}
+          profile={editingProfile}
+          serverConfig={serverConfig}
+          isProfileAllowed={isProfileAllowed}
+          onSave={handleSave}
+          onCancel={() => setEditingProfile(null)}
+          onDelete={
+            !isNewProfile && savedProfiles.length > 1 ? handleDelete : undefined
+          }
+        />
+      )}
+
       {lastError && !isConnected && (
         <div className="error-message">
           <span className="error-icon">⚠</span>
           {lastError}
         </div>
       )}
+
+      {missingResources && (
+        <div className="registry-message">
+          <span className="error-icon">⚠</span>
+          <span>
+            {describeResources(missingResources)} created through the dashboard
+            (
+            {missingResources.stateMachines
+              .concat(missingResources.activities)
+              .join(", ")}
+            ) are missing. The runner may have restarted.
+          </span>
+          {!readOnly && (
+            <span className="registry-actions">
+              <button
+                className="btn btn-sm btn-warning"
+                onClick={restoreResources}
+                disabled={isRestoring}
+              >
+                {isRestoring ? "Recreating..." : "Recreate"}
+              </button>
+              <button
+                className="btn btn-sm btn-outline-light"
+                onClick={forgetResources}
+                disabled={isRestoring}
+                title="Stop offering to recreate them"
+              >
+                Forget
+              </button>
+            </span>
+          )}
+        </div>
+      )}
+
+      {restoreResult && (
+        <div className="registry-message">
+          <span>
+            {restoreResult.error
+              ? restoreResult.error.message
+              : `Recreated ${describeResources(restoreResult.restored) ||
+                  "nothing"}.`}
+            {restoreResult.failed &&
+              restoreResult.failed.map(failure => (
+                <span key={`${failure.kind}:${failure.name}`}>
+                  {" "}
+                  {failure.name}: {failure.error.message}.
+                </span>
+              ))}
+          </span>
+          <button
+            className="btn-edit registry-actions"
+            onClick={dismissRestoreResult}
+            title="Dismiss"
+          >
+            ×
+          </button>
+        </div>
+      )}
     </div>
   );
 }
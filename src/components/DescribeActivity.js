@@ -1,41 +1,42 @@
 import React, { Component } from "react";
+import { withEndpoint } from "../context/EndpointContext";
+import ErrorPanel from "./ErrorPanel";
 
 class DescribeActivity extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       activities: [],
       activity: {},
-      activityArn: ""
+      activityArn: "",
+      error: null
     };
   }
 
   componentDidMount() {
-    const data = {
-      param: {},
-      endpoint: this.state.endpoint
-    };
+    this.loadActivities();
+  }
 
-    fetch("/api/list-activities", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          const activities = data.activities;
-          this.setState({ activities: activities });
-          if (activities.length > 0) {
-            this.setState({
-              activityArn: activities[0].activityArn
-            });
-          }
-        })
-      )
-      .catch(err => console.log(err));
+  componentDidUpdate(prevProps) {
+    if (prevProps.client !== this.props.client) {
+      this.setState({ activities: [], activity: {}, activityArn: "" });
+      this.loadActivities();
+    }
+  }
+
+  loadActivities() {
+    this.props.client
+      .listActivities({}, { paginate: true })
+      .then(data => {
+        const activities = data.activities;
+        this.setState({ activities: activities });
+        if (activities.length > 0) {
+          this.setState({
+            activityArn: activities[0].activityArn
+          });
+        }
+      })
+      .catch(error => this.setState({ error }));
   }
 
   handleChange = event => {
@@ -48,24 +49,10 @@ class DescribeActivity extends Component {
 
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        activityArn: this.state.activityArn
-      },
-      endpoint: this.state.endpoint
-    };
-
-    fetch("/api/describe-activity", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => this.setState({ activity: data }))
-      )
-      .catch(err => console.log(err));
+    this.props.client
+      .describeActivity({ activityArn: this.state.activityArn })
+      .then(data => this.setState({ activity: data, error: null }))
+      .catch(error => this.setState({ error }));
   };
 
   render() {
@@ -73,6 +60,7 @@ class DescribeActivity extends Component {
     const activity = this.state.activity;
     return (
       <div>
+        <ErrorPanel error={this.state.error} />
         <form onSubmit={this.handleSubmit}>
           <div className="form-group">
             <label htmlFor="activityArn">Activity ARN</label>
@@ -108,9 +96,9 @@ class DescribeActivity extends Component {
           </thead>
           <tbody>
             <tr>
-                <td>{activity.name}</td>
-                <td>{activity.activityArn}</td>
-                <td>{activity.creationDate}</td>
+              <td>{activity.name}</td>
+              <td>{activity.activityArn}</td>
+              <td>{activity.creationDate}</td>
             </tr>
           </tbody>
         </table>
@@ -119,4 +107,4 @@ class DescribeActivity extends Component {
   }
 }
 
-export default DescribeActivity;
+export default withEndpoint(DescribeActivity);
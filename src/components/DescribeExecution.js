@@ -1,71 +1,68 @@
 import React, { Component } from "react";
+import { withEndpoint } from "../context/EndpointContext";
+import ErrorPanel from "./ErrorPanel";
 
 class DescribeExecution extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       executions: [],
       execution: {},
       executionArn: "",
       stateMachines: [],
       stateMachineArn: "",
       response: "",
-      statusCode: ""
+      error: null
     };
   }
 
   componentDidMount() {
-    const data = {
-      param: {},
-      endpoint: this.state.endpoint
-    };
+    this.loadStateMachines();
+  }
 
-    fetch("/api/list-state-machines", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          const stateMachines = data.stateMachines;
-          this.setState({ stateMachines: stateMachines });
-          if (stateMachines.length > 0) {
-            this.setState({
-              stateMachineArn: stateMachines[0].stateMachineArn
-            });
+  componentDidUpdate(prevProps) {
+    if (prevProps.client !== this.props.client) {
+      this.setState({
+        executions: [],
+        executionArn: "",
+        stateMachines: [],
+        stateMachineArn: "",
+        response: "",
+        error: null
+      });
+      this.loadStateMachines();
+    }
+  }
 
-            const executionData = {
-              param: {
-                stateMachineArn: this.state.stateMachineArn
-              },
-              endpoint: this.state.endpoint
-            };
-            fetch("/api/list-executions", {
-              method: "POST",
-              headers: {
-                "Content-Type": "application/json"
-              },
-              body: JSON.stringify(executionData)
-            })
-              .then(res =>
-                res.json().then(data => {
-                  const executions = data.executions;
-                  this.setState({ executions: executions });
-                  if (executions.length > 0) {
-                    this.setState({
-                      executionArn: executions[0].executionArn
-                    });
-                  }
-                })
-              )
-              .catch(err => console.log(err));
-          }
-        })
-      )
-      .catch(err => console.log(err));
+  loadStateMachines() {
+    this.props.client
+      .listStateMachines({}, { paginate: true })
+      .then(data => {
+        const stateMachines = data.stateMachines;
+        this.setState({ stateMachines: stateMachines });
+        if (stateMachines.length > 0) {
+          this.setState({
+            stateMachineArn: stateMachines[0].stateMachineArn
+          });
+          this.loadExecutions(stateMachines[0].stateMachineArn);
+        }
+      })
+      .catch(error => this.setState({ error }));
+  }
+
+  loadExecutions(stateMachineArn) {
+    this.props.client
+      .listExecutions({ stateMachineArn: stateMachineArn }, { paginate: true })
+      .then(data => {
+        const executions = data.executions;
+        this.setState({ executions: executions });
+        if (executions.length > 0) {
+          this.setState({
+            executionArn: executions[0].executionArn
+          });
+        }
+      })
+      .catch(error => this.setState({ error }));
   }
 
   handleChange = event => {
@@ -77,70 +74,27 @@ class DescribeExecution extends Component {
       this.setState({
         stateMachineArn: event.target.value
       });
-
-      const executionData = {
-        param: {
-          stateMachineArn: event.target.value
-        },
-        endpoint: this.state.endpoint
-      };
-      fetch("/api/list-executions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify(executionData)
-      })
-        .then(res =>
-          res.json().then(data => {
-            const executions = data.executions;
-            this.setState({ executions: executions });
-            if (executions.length > 0) {
-              this.setState({
-                executionArn: executions[0].executionArn
-              });
-            }
-          })
-        )
-        .catch(err => console.log(err));
+      this.loadExecutions(event.target.value);
     }
   };
 
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        executionArn: this.state.executionArn
-      },
-      endpoint: this.state.endpoint
-    };
-
-    fetch("/api/describe-execution", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          if ("statusCode" in data) {
-            this.setState({ statusCode: data.statusCode });
-          } else {
-            this.setState({ statusCode: "200" });
-          }
-          this.setState({ response: JSON.stringify(data, null, 4) });
+    this.props.client
+      .describeExecution({ executionArn: this.state.executionArn })
+      .then(data =>
+        this.setState({
+          error: null,
+          response: JSON.stringify(data, null, 4)
         })
       )
-      .catch(err => console.log(err));
+      .catch(error => this.setState({ error, response: "" }));
   };
 
   render() {
     const stateMachines = this.state.stateMachines;
     const executions = this.state.executions;
-    const execution = this.state.execution;
     const response = this.state.response;
-    const statusCode = this.state.statusCode;
     return (
       <div>
         <div className="form-group">
@@ -187,15 +141,10 @@ class DescribeExecution extends Component {
           </button>
         </form>
 
+        <ErrorPanel error={this.state.error} />
+
         {response.length > 0 && (
-          <div
-            className={
-              statusCode === "200"
-                ? "alert alert-success response"
-                : "alert alert-danger response"
-            }
-            role="alert"
-          >
+          <div className="alert alert-success response" role="alert">
             <pre>{response}</pre>
           </div>
         )}
@@ -204,4 +153,4 @@ class DescribeExecution extends Component {
   }
 }
 
-export default DescribeExecution;
+export default withEndpoint(DescribeExecution);
@@ -1,41 +1,46 @@
 import React, { Component } from "react";
+import { withEndpoint } from "../context/EndpointContext";
+import ErrorPanel from "./ErrorPanel";
 
 class DescribeStateMachine extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       stateMachineArn: "",
       stateMachines: [],
-      stateMachine: {}
+      stateMachine: {},
+      error: null
     };
   }
 
   componentDidMount() {
-    const data = {
-      param: {},
-      endpoint: this.state.endpoint
-    };
+    this.loadStateMachines();
+  }
 
-    fetch("/api/list-state-machines", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          const stateMachines = data.stateMachines;
-          this.setState({ stateMachines: stateMachines });
-          if (stateMachines.length > 0) {
-            this.setState({
-              stateMachineArn: stateMachines[0].stateMachineArn
-            });
-          }
-        })
-      )
-      .catch(err => console.log(err));
+  componentDidUpdate(prevProps) {
+    if (prevProps.client !== this.props.client) {
+      this.setState({
+        stateMachineArn: "",
+        stateMachines: [],
+        stateMachine: {}
+      });
+      this.loadStateMachines();
+    }
+  }
+
+  loadStateMachines() {
+    this.props.client
+      .listStateMachines({}, { paginate: true })
+      .then(data => {
+        const stateMachines = data.stateMachines;
+        this.setState({ stateMachines: stateMachines });
+        if (stateMachines.length > 0) {
+          this.setState({
+            stateMachineArn: stateMachines[0].stateMachineArn
+          });
+        }
+      })
+      .catch(error => this.setState({ error }));
   }
 
   handleChange = event => {
@@ -48,24 +53,10 @@ class DescribeStateMachine extends Component {
 
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        stateMachineArn: this.state.stateMachineArn
-      },
-      endpoint: this.state.endpoint
-    };
-
-    fetch("/api/describe-state-machine", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => this.setState({ stateMachine: data }))
-      )
-      .catch(err => console.log(err));
+    this.props.client
+      .describeStateMachine({ stateMachineArn: this.state.stateMachineArn })
+      .then(data => this.setState({ stateMachine: data, error: null }))
+      .catch(error => this.setState({ error }));
   };
 
   render() {
@@ -73,6 +64,7 @@ class DescribeStateMachine extends Component {
     const stateMachine = this.state.stateMachine;
     return (
       <div>
+        <ErrorPanel error={this.state.error} />
         <form onSubmit={this.handleSubmit}>
           <div className="form-group">
             <label htmlFor="stateMachineArn">State Machine ARN</label>
@@ -123,4 +115,4 @@ class DescribeStateMachine extends Component {
   }
 }
 
-export default DescribeStateMachine;
+export default withEndpoint(DescribeStateMachine);
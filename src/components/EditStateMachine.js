@@ -0,0 +1,263 @@
+import React, { useState, useEffect, useCallback, useMemo } from "react";
+import { withRouter } from "react-router-dom";
+import { useEndpoint } from "../context/EndpointContext";
+import { ApiError } from "../utils/stepFunctionsClient";
+import ErrorPanel from "./ErrorPanel";
+
+// describeStateMachine returns the log group ARN with the ":*" suffix that
+// CreateStateMachine appends, so strip it before showing it in the form.
+function getLogGroupArn(loggingConfiguration) {
+  const destinations = (loggingConfiguration || {}).destinations || [];
+  const logGroup = destinations.length
+    ? destinations[0].cloudWatchLogsLogGroup
+    : null;
+  return logGroup && logGroup.logGroupArn
+    ? logGroup.logGroupArn.replace(/:\*$/, "")
+    : "";
+}
+
+function buildLogConfiguration(logLevel, logGroupArn, includeExecutionData) {
+  const logConfiguration = {
+    includeExecutionData: includeExecutionData,
+    level: logLevel
+  };
+  if (logLevel !== "OFF" && logGroupArn !== "") {
+    logConfiguration.destinations = [
+      {
+        cloudWatchLogsLogGroup: {
+          logGroupArn: `${logGroupArn}:*`
+        }
+      }
+    ];
+  }
+  return logConfiguration;
+}
+
+function EditStateMachine({ match, history }) {
+  const { arn } = match.params;
+  const { client } = useEndpoint();
+  const decodedArn = useMemo(() => decodeURIComponent(arn || ""), [arn]);
+
+  const [stateMachine, setStateMachine] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const [definition, setDefinition] = useState("");
+  const [roleArn, setRoleArn] = useState("");
+  const [logLevel, setLogLevel] = useState("OFF");
+  const [includeExecutionData, setIncludeExecutionData] = useState(false);
+  const [logGroupArn, setLogGroupArn] = useState("");
+
+  const [response, setResponse] = useState("");
+  const [saveError, setSaveError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const fetchStateMachine = useCallback(async () => {
+    if (!decodedArn) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const data = await client.describeStateMachine({
+        stateMachineArn: decodedArn
+      });
+      const loggingConfiguration = data.loggingConfiguration || {};
+      setStateMachine(data);
+      setDefinition(JSON.stringify(JSON.parse(data.definition), null, 2));
+      setRoleArn(data.roleArn || "");
+      setLogLevel(loggingConfiguration.level || "OFF");
+      setIncludeExecutionData(!!loggingConfiguration.includeExecutionData);
+      setLogGroupArn(getLogGroupArn(loggingConfiguration));
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, [decodedArn, client]);
+
+  useEffect(() => {
+    fetchStateMachine();
+  }, [fetchStateMachine]);
+
+  const viewDiagram = () => {
+    history.push(`/state-machine/${encodeURIComponent(decodedArn)}`);
+  };
+
+  const reindent = event => {
+    event.preventDefault();
+    try {
+      setDefinition(JSON.stringify(JSON.parse(definition), null, 2));
+    } catch (err) {
+      setResponse("");
+      setSaveError(
+        new ApiError({
+          code: "InvalidDefinition",
+          message: `Definition is not valid JSON: ${err.message}`
+        })
+      );
+    }
+  };
+
+  const handleSubmit = async event => {
+    event.preventDefault();
+
+    try {
+      JSON.parse(definition);
+    } catch (err) {
+      setResponse("");
+      setSaveError(
+        new ApiError({
+          code: "InvalidDefinition",
+          message: `Definition is not valid JSON: ${err.message}`
+        })
+      );
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const param = {
+        stateMachineArn: decodedArn,
+        definition,
+        loggingConfiguration: buildLogConfiguration(
+          logLevel,
+          logGroupArn,
+          includeExecutionData
+        )
+      };
+      // An empty role field keeps the current role
+      if (roleArn) {
+        param.roleArn = roleArn;
+      }
+      const data = await client.updateStateMachine(param);
+      setSaveError(null);
+      setResponse(JSON.stringify(data, null, 4));
+    } catch (err) {
+      setSaveError(err);
+      setResponse("");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-state">
+        <span className="loading-spinner">⟳</span>
+        <span>Loading state machine...</span>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <ErrorPanel error={error} onRetry={fetchStateMachine} />;
+  }
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Edit {stateMachine.name}</h2>
+        <button className="btn btn-secondary" onClick={viewDiagram}>
+          View Diagram
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit}>
+        <div className="form-group">
+          <label htmlFor="stateMachineArn">State Machine ARN</label>
+          <input
+            type="text"
+            className="form-control"
+            id="stateMachineArn"
+            value={decodedArn}
+            readOnly
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="definition">Definition</label>
+          <button
+            className="btn btn-primary btn-lg btn-block"
+            onClick={reindent}
+          >
+            Reindent
+          </button>
+          <textarea
+            className="form-control"
+            id="definition"
+            name="definition"
+            rows="20"
+            onChange={e => setDefinition(e.target.value)}
+            value={definition}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="roleArn">Role Arn</label>
+          <input
+            type="text"
+            className="form-control"
+            id="roleArn"
+            name="roleArn"
+            value={roleArn}
+            onChange={e => setRoleArn(e.target.value)}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="logLevel">Log Level</label>
+          <select
+            className="form-control"
+            name="logLevel"
+            id="logLevel"
+            value={logLevel}
+            onChange={e => setLogLevel(e.target.value)}
+          >
+            <option value="ALL">ALL</option>
+            <option value="FATAL">FATAL</option>
+            <option value="ERROR">ERROR</option>
+            <option value="OFF">OFF</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="includeExecutionData">includeExecutionData</label>
+          <select
+            className="form-control"
+            name="includeExecutionData"
+            id="includeExecutionData"
+            value={includeExecutionData ? "true" : "false"}
+            onChange={e => setIncludeExecutionData(e.target.value === "true")}
+          >
+            <option value="true">On</option>
+            <option value="false">Off</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="logGroupArn">logGroupArn</label>
+          <input
+            type="text"
+            className="form-control"
+            id="logGroupArn"
+            name="logGroupArn"
+            value={logGroupArn}
+            onChange={e => setLogGroupArn(e.target.value)}
+            placeholder="arn:aws:logs:us-east-1:123456789012:log-group:/aws/states/log-group-name"
+          />
+        </div>
+        <button
+          type="submit"
+          className="btn btn-primary btn-lg btn-block"
+          disabled={saving}
+        >
+          {saving ? "Saving..." : "Update"}
+        </button>
+      </form>
+      <ErrorPanel error={saveError} />
+      {response.length > 0 && (
+        <div className="alert alert-success response" role="alert">
+          <pre>{response}</pre>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default withRouter(EditStateMachine);
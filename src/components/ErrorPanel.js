@@ -0,0 +1,46 @@
+import React from "react";
+
+// Renders an ApiError from the shared client. Nothing is rendered without an
+// error, so pages can always include it above their content.
+function ErrorPanel({ error, onRetry, onDismiss }) {
+  if (!error) {
+    return null;
+  }
+
+  return (
+    <div className="error-panel" role="alert">
+      <div className="error-panel-header">
+        <span className="error-icon">⚠</span>
+        <span className="error-panel-code">{error.code || "Error"}</span>
+        {error.status > 0 && (
+          <span className="error-panel-badge">HTTP {error.status}</span>
+        )}
+        {error.awsErrorName && error.awsErrorName !== error.code && (
+          <span className="error-panel-badge">{error.awsErrorName}</span>
+        )}
+        {error.retryable && (
+          <span className="error-panel-badge error-panel-retryable">
+            retryable
+          </span>
+        )}
+      </div>
+      <div className="error-panel-message">{error.message}</div>
+      {(onRetry || onDismiss) && (
+        <div className="error-panel-actions">
+          {onRetry && (
+            <button className="btn btn-primary btn-sm" onClick={onRetry}>
+              Retry
+            </button>
+          )}
+          {onDismiss && (
+            <button className="btn btn-secondary btn-sm" onClick={onDismiss}>
+              Dismiss
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ErrorPanel;
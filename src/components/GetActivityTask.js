@@ -1,44 +1,48 @@
 import React, { Component } from "react";
-import uuidv1 from "uuid/v1";
+import { withEndpoint } from "../context/EndpointContext";
+import ErrorPanel from "./ErrorPanel";
 
 class GetActivityTask extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       activityArn: "",
       activities: [],
       workerName: "",
       response: "",
-      statusCode: ""
+      error: null
     };
   }
 
   componentDidMount() {
-    const data = {
-      param: {},
-      endpoint: this.state.endpoint
-    };
+    this.loadActivities();
+  }
 
-    fetch("/api/list-activities", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          const activities = data.activities;
-          this.setState({ activities: activities });
-          if (activities.length > 0) {
-            this.setState({
-              activityArn: activities[0].activityArn
-            });
-          }
-        })
-      )
-      .catch(err => console.log(err));
+  componentDidUpdate(prevProps) {
+    if (prevProps.client !== this.props.client) {
+      this.setState({
+        activityArn: "",
+        activities: [],
+        response: "",
+        error: null
+      });
+      this.loadActivities();
+    }
+  }
+
+  loadActivities() {
+    this.props.client
+      .listActivities({}, { paginate: true })
+      .then(data => {
+        const activities = data.activities;
+        this.setState({ activities: activities });
+        if (activities.length > 0) {
+          this.setState({
+            activityArn: activities[0].activityArn
+          });
+        }
+      })
+      .catch(error => this.setState({ error }));
   }
 
   handleChange = event => {
@@ -55,37 +59,24 @@ class GetActivityTask extends Component {
 
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        activityArn: this.state.activityArn,
-        workerName: this.state.workerName
-      },
-      endpoint: this.state.endpoint
+    const param = {
+      activityArn: this.state.activityArn,
+      workerName: this.state.workerName || undefined
     };
-    fetch("/api/get-activity-task", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          if ("statusCode" in data) {
-            this.setState({ statusCode: data.statusCode });
-          } else {
-            this.setState({ statusCode: "200" });
-          }
-          this.setState({ response: JSON.stringify(data, null, 4) });
+    this.props.client
+      .getActivityTask(param)
+      .then(data =>
+        this.setState({
+          error: null,
+          response: JSON.stringify(data, null, 4)
         })
       )
-      .catch(err => this.setState({ response: JSON.stringify(err, null, 4) }));
+      .catch(error => this.setState({ error, response: "" }));
   };
 
   render() {
     const activities = this.state.activities;
     const response = this.state.response;
-    const statusCode = this.state.statusCode;
     return (
       <div>
         <form onSubmit={this.handleSubmit}>
@@ -112,15 +103,9 @@ class GetActivityTask extends Component {
             Submit
           </button>
         </form>
+        <ErrorPanel error={this.state.error} />
         {response.length > 0 && (
-          <div
-            className={
-              statusCode === "200"
-                ? "alert alert-success response"
-                : "alert alert-danger response"
-            }
-            role="alert"
-          >
+          <div className="alert alert-success response" role="alert">
             <pre>{response}</pre>
           </div>
         )}
@@ -129,4 +114,4 @@ class GetActivityTask extends Component {
   }
 }
 
-export default GetActivityTask;
+export default withEndpoint(GetActivityTask);
@@ -1,73 +1,137 @@
 import React, { Component } from "react";
+import { Link } from "react-router-dom";
+import { withEndpoint } from "../context/EndpointContext";
+import {
+  ApiError,
+  getMockConfig,
+  saveMockConfig
+} from "../utils/stepFunctionsClient";
+import {
+  isArchived,
+  listArchived,
+  mergeArchivedExecutions,
+  mergeArchivedStateMachines
+} from "../utils/executionArchive";
+import { addTestCase, recordTestCase } from "../utils/mockConfig";
+import ErrorPanel from "./ErrorPanel";
+import Pagination from "./Pagination";
+
+const TERMINAL_EVENT_TYPES = [
+  "ExecutionSucceeded",
+  "ExecutionFailed",
+  "ExecutionTimedOut",
+  "ExecutionAborted"
+];
+
+// Live updates and later pages can overlap, so events are merged by id
+function mergeEvents(events, newEvents) {
+  const byId = {};
+  events.concat(newEvents).forEach(event => {
+    byId[event.id] = event;
+  });
+  return Object.keys(byId)
+    .map(id => byId[id])
+    .sort((a, b) => a.id - b.id);
+}
 
 class GetExecutionHistory extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       executions: [],
       executionArn: "",
       stateMachines: [],
       stateMachineArn: "",
-      events: []
+      events: [],
+      archivedAt: null,
+      nextToken: null,
+      pageSize: 1000,
+      loading: false,
+      live: false,
+      testCaseName: "",
+      recording: false,
+      recorded: null,
+      error: null
     };
+    this.unwatch = () => {};
   }
 
   componentDidMount() {
-    const data = {
-      param: {},
-      endpoint: this.state.endpoint
-    };
+    this.loadStateMachines();
+  }
 
-    fetch("/api/list-state-machines", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          const stateMachines = data.stateMachines;
-          this.setState({ stateMachines: stateMachines });
-          if (stateMachines.length > 0) {
-            this.setState({
-              stateMachineArn: stateMachines[0].stateMachineArn
-            });
-
-            const executionData = {
-              param: {
-                stateMachineArn: this.state.stateMachineArn
-              },
-              endpoint: this.state.endpoint
-            };
-            fetch("/api/list-executions", {
-              method: "POST",
-              headers: {
-                "Content-Type": "application/json"
-              },
-              body: JSON.stringify(executionData)
-            })
-              .then(res =>
-                res.json().then(data => {
-                  const executions = data.executions;
-                  this.setState({ executions: executions });
-                  if (executions.length > 0) {
-                    this.setState({
-                      executionArn: executions[0].executionArn
-                    });
-                  }
-                })
-              )
-              .catch(err => console.log(err));
-          }
-        })
-      )
-      .catch(err => console.log(err));
+  componentWillUnmount() {
+    this.unwatch();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.client !== this.props.client) {
+      this.stopWatching();
+      this.setState({
+        executions: [],
+        executionArn: "",
+        stateMachines: [],
+        stateMachineArn: "",
+        events: [],
+        archivedAt: null,
+        nextToken: null
+      });
+      this.loadStateMachines();
+    }
+  }
+
+  loadStateMachines() {
+    Promise.all([
+      this.props.client.listStateMachines({}, { paginate: true }),
+      listArchived(this.props.client)
+    ])
+      .then(([data, archived]) => {
+        const stateMachines = mergeArchivedStateMachines(
+          data.stateMachines,
+          archived
+        );
+        this.setState({ stateMachines: stateMachines });
+        if (stateMachines.length > 0) {
+          this.setState({
+            stateMachineArn: stateMachines[0].stateMachineArn
+          });
+          this.loadExecutions(stateMachines[0].stateMachineArn);
+        }
+      })
+      .catch(error => this.setState({ error }));
+  }
+
+  // Live runs first, then the archived ones the runner no longer has
+  loadExecutions(stateMachineArn) {
+    const live = isArchived(
+      this.state.stateMachines,
+      "stateMachineArn",
+      stateMachineArn
+    )
+      ? Promise.resolve({ executions: [] })
+      : this.props.client.listExecutions(
+          { stateMachineArn: stateMachineArn },
+          { paginate: true }
+        );
+    Promise.all([live, listArchived(this.props.client, { stateMachineArn })])
+      .then(([data, archived]) => {
+        const executions = mergeArchivedExecutions(data.executions, archived);
+        this.setState({ executions: executions });
+        if (executions.length > 0) {
+          this.setState({
+            executionArn: executions[0].executionArn
+          });
+        }
+      })
+      .catch(error => this.setState({ error }));
   }
 
   handleChange = event => {
-    if (event.target.name === "executionArn") {
+    if (event.target.name === "testCaseName") {
+      this.setState({
+        testCaseName: event.target.value
+      });
+    } else if (event.target.name === "executionArn") {
       this.setState({
         executionArn: event.target.value
       });
@@ -75,65 +139,161 @@ class GetExecutionHistory extends Component {
       this.setState({
         stateMachineArn: event.target.value
       });
-
-      const executionData = {
-        param: {
-          stateMachineArn: event.target.value
-        },
-        endpoint: this.state.endpoint
-      };
-      fetch("/api/list-executions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify(executionData)
-      })
-        .then(res =>
-          res.json().then(data => {
-            const executions = data.executions;
-            this.setState({ executions: executions });
-            if (executions.length > 0) {
-              this.setState({
-                executionArn: executions[0].executionArn
-              });
-            }
-          })
-        )
-        .catch(err => console.log(err));
+      this.loadExecutions(event.target.value);
     }
   };
 
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        executionArn: this.state.executionArn
-      },
-      endpoint: this.state.endpoint
-    };
+    this.loadHistory();
+  };
 
-    fetch("/api/get-execution-history", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          this.setState({ events: data.events });
-        })
+  // Loads the first page, or appends the page after nextToken. Archived
+  // runs come whole from the archive and are not watched.
+  loadHistory(nextToken) {
+    this.setState({ loading: true, error: null });
+    if (
+      isArchived(this.state.executions, "executionArn", this.state.executionArn)
+    ) {
+      this.stopWatching();
+      this.props.client
+        .getArchivedExecution({ executionArn: this.state.executionArn })
+        .then(data =>
+          this.setState({
+            events: data.events,
+            archivedAt: data.archivedAt,
+            nextToken: null
+          })
+        )
+        .catch(error => this.setState({ error }))
+        .then(() => this.setState({ loading: false }));
+      return;
+    }
+    this.props.client
+      .getExecutionHistory(
+        { executionArn: this.state.executionArn, nextToken },
+        { paginate: { maxItems: this.state.pageSize } }
       )
-      .catch(err => console.log(err));
+      .then(data => {
+        const events = nextToken
+          ? mergeEvents(this.state.events, data.events)
+          : data.events;
+        this.setState({
+          events,
+          archivedAt: null,
+          nextToken: data.nextToken || null
+        });
+        // Only a running execution gets new events, and only once every
+        // page is loaded, so Load more stays in charge of older ones
+        if (!data.nextToken && this.isRunning(events)) {
+          this.startWatching(this.state.executionArn, events);
+        } else {
+          this.stopWatching();
+        }
+      })
+      .catch(error => this.setState({ error }))
+      .then(() => this.setState({ loading: false }));
+  }
+
+  isRunning(events) {
+    const execution = this.state.executions.find(
+      candidate => candidate.executionArn === this.state.executionArn
+    );
+    return (
+      (!execution || execution.status === "RUNNING") &&
+      !events.some(event => TERMINAL_EVENT_TYPES.indexOf(event.type) >= 0)
+    );
+  }
+
+  startWatching(executionArn, events) {
+    this.unwatch();
+    this.unwatch = this.props.client.watch(
+      {
+        executionArn,
+        afterEventId: events.reduce((max, e) => Math.max(max, e.id), 0)
+      },
+      {
+        onHistory: data =>
+          this.setState(state => ({
+            events: mergeEvents(state.events, data.events),
+            error: null
+          })),
+        onComplete: () => this.stopWatching(),
+        onError: error => this.setState({ error })
+      }
+    );
+    this.setState({ live: typeof EventSource !== "undefined" });
+  }
+
+  stopWatching() {
+    this.unwatch();
+    this.unwatch = () => {};
+    this.setState({ live: false });
+  }
+
+  // Saves the Task results of the whole history as a mock config test case
+  // of the execution's state machine, so the same path can be replayed
+  saveAsTestCase = event => {
+    event.preventDefault();
+    const stateMachine = this.state.stateMachines.find(
+      candidate => candidate.stateMachineArn === this.state.stateMachineArn
+    );
+    const testCase = this.state.testCaseName;
+    this.setState({ recording: true, recorded: null, error: null });
+    Promise.all([
+      this.state.archivedAt
+        ? this.props.client.getArchivedExecution({
+            executionArn: this.state.executionArn
+          })
+        : this.props.client.getExecutionHistory(
+            { executionArn: this.state.executionArn },
+            { paginate: true }
+          ),
+      getMockConfig()
+    ])
+      .then(([history, document]) => {
+        const recorded = recordTestCase(history.events, testCase);
+        if (Object.keys(recorded.states).length === 0) {
+          throw new ApiError({
+            code: "NothingToRecord",
+            message: "This execution has no Task results to mock",
+            status: 400
+          });
+        }
+        return saveMockConfig(
+          addTestCase(document, stateMachine.name, testCase, recorded)
+        ).then(() =>
+          this.setState({
+            recorded: {
+              name: `${stateMachine.name}#${testCase}`,
+              states: Object.keys(recorded.states).length
+            }
+          })
+        );
+      })
+      .catch(error => this.setState({ error }))
+      .then(() => this.setState({ recording: false }));
+  };
+
+  handlePageSizeChange = pageSize => {
+    this.setState({ pageSize }, () => {
+      if (this.state.executionArn !== "") {
+        this.loadHistory();
+      }
+    });
   };
 
   render() {
     const stateMachines = this.state.stateMachines;
     const executions = this.state.executions;
     const events = this.state.events;
+    const recorded = this.state.recorded;
+    const finished = events.some(
+      event => TERMINAL_EVENT_TYPES.indexOf(event.type) >= 0
+    );
     return (
       <div>
+        <ErrorPanel error={this.state.error} />
         <div className="form-group">
           <label htmlFor="stateMachineArn">State Machine ARN</label>
           <select
@@ -148,6 +308,7 @@ class GetExecutionHistory extends Component {
               return (
                 <option value={stateMachine.stateMachineArn}>
                   {stateMachine.stateMachineArn}
+                  {stateMachine.archived ? " (archived runs only)" : ""}
                 </option>
               );
             })}
@@ -168,6 +329,7 @@ class GetExecutionHistory extends Component {
                 return (
                   <option value={execution.executionArn}>
                     {execution.executionArn}
+                    {execution.archived ? " (archived)" : ""}
                   </option>
                 );
               })}
@@ -178,6 +340,45 @@ class GetExecutionHistory extends Component {
           </button>
         </form>
 
+        {finished && (
+          <form className="mock-add" onSubmit={this.saveAsTestCase}>
+            <input
+              type="text"
+              className="form-control"
+              name="testCaseName"
+              value={this.state.testCaseName}
+              onChange={this.handleChange}
+              placeholder="Test case name, e.g. HappyPath"
+              pattern="[A-Za-z0-9_-]+"
+              required
+            />
+            <button
+              type="submit"
+              className="btn btn-secondary"
+              disabled={this.state.recording}
+            >
+              {this.state.recording ? "Saving..." : "Save as mock test case"}
+            </button>
+          </form>
+        )}
+        {recorded && (
+          <div className="alert alert-success response" role="alert">
+            Saved {recorded.name} with mocked responses for {recorded.states}{" "}
+            Task states. Run it from Start Execution, or edit it in{" "}
+            <Link to="/mockTests">Mock Tests</Link>.
+          </div>
+        )}
+        {this.state.archivedAt && (
+          <div className="archive-indicator">
+            Archived copy, saved{" "}
+            {new Date(this.state.archivedAt).toLocaleString()}
+          </div>
+        )}
+        {this.state.live && (
+          <div className="live-indicator">
+            ● Live — new events appear until the execution finishes
+          </div>
+        )}
         <table className="table">
           <thead className="thead-light">
             <tr>
@@ -193,7 +394,6 @@ class GetExecutionHistory extends Component {
               const eventDetailKey = Object.keys(event).filter(
                 key => key.indexOf("EventDetails") >= 0
               );
-              console.log(eventDetailKey);
               return (
                 <tr>
                   <td>{event.timestamp}</td>
@@ -212,9 +412,18 @@ class GetExecutionHistory extends Component {
             })}
           </tbody>
         </table>
+        <Pagination
+          count={events.length}
+          itemName="events"
+          nextToken={this.state.nextToken}
+          loading={this.state.loading}
+          pageSize={this.state.pageSize}
+          onPageSizeChange={this.handlePageSizeChange}
+          onLoadMore={() => this.loadHistory(this.state.nextToken)}
+        />
       </div>
     );
   }
 }
 
-export default GetExecutionHistory;
+export default withEndpoint(GetExecutionHistory);
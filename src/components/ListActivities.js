@@ -1,71 +1,98 @@
 import React, { Component } from "react";
+import { withEndpoint } from "../context/EndpointContext";
+import ErrorPanel from "./ErrorPanel";
+import Pagination from "./Pagination";
+import ResourceTags, { fetchTags } from "./ResourceTags";
 
 class ListActivities extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
-      activities: []
+      activities: [],
+      nextToken: null,
+      tags: {},
+      pageSize: 100,
+      loading: false,
+      error: null
     };
   }
 
   componentDidMount() {
-    const data = {
-      param: {},
-      endpoint: this.state.endpoint
-    };
+    this.loadActivities();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.client !== this.props.client) {
+      this.setState({ activities: [], nextToken: null });
+      this.loadActivities();
+    }
+  }
 
-    fetch("/api/list-activities", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => this.setState({ activities: data.activities }))
+  // Loads the first page, or appends the page after nextToken
+  loadActivities(nextToken) {
+    this.setState({ loading: true, error: null });
+    this.props.client
+      .listActivities(
+        { nextToken },
+        { paginate: { maxItems: this.state.pageSize } }
       )
-      .catch(err => console.log(err));
+      .then(data => {
+        this.setState({
+          activities: nextToken
+            ? [...this.state.activities, ...data.activities]
+            : data.activities,
+          nextToken: data.nextToken || null
+        });
+        this.loadTags(data.activities, !nextToken);
+      })
+      .catch(error => this.setState({ error }))
+      .then(() => this.setState({ loading: false }));
   }
 
+  loadTags(activities, reset) {
+    fetchTags(
+      this.props.client,
+      activities.map(activity => activity.activityArn)
+    )
+      .then(tags =>
+        this.setState({
+          tags: Object.assign({}, reset ? {} : this.state.tags, tags)
+        })
+      )
+      .catch(error => this.setState({ error }));
+  }
+
+  handlePageSizeChange = pageSize => {
+    this.setState({ pageSize }, () => this.loadActivities());
+  };
+
   deleteActivity = event => {
     event.preventDefault();
     const activityArn = event.target.id;
-    const data = {
-      param: {
-        activityArn: activityArn
-      },
-      endpoint: this.state.endpoint
-    };
 
-    fetch("/api/delete-activity", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res => {
-        if (res.status === 200) {
-          const activities = this.state.activities.filter(
-            activity => activity.activityArn !== activityArn
-          );
-          this.setState({ activities: activities });
-        }
+    this.props.client
+      .deleteActivity({ activityArn: activityArn })
+      .then(() => {
+        const activities = this.state.activities.filter(
+          activity => activity.activityArn !== activityArn
+        );
+        this.setState({ activities: activities });
       })
-      .catch(err => console.log(err));
+      .catch(error => this.setState({ error }));
   };
 
   render() {
     const activities = this.state.activities;
     return (
       <div>
+        <ErrorPanel error={this.state.error} />
         <table className="table">
           <thead className="thead-light">
             <tr>
               <th scope="col">Name</th>
               <th scope="col">Activity ARN</th>
               <th scope="col">Creation Date</th>
+              <th scope="col">Tags</th>
               <th scope="col">Action</th>
             </tr>
           </thead>
@@ -76,6 +103,11 @@ class ListActivities extends Component {
                   <td>{activity.name}</td>
                   <td>{activity.activityArn}</td>
                   <td>{activity.creationDate}</td>
+                  <td>
+                    <ResourceTags
+                      tags={this.state.tags[activity.activityArn]}
+                    />
+                  </td>
                   <td>
                     <button
                       id={activity.activityArn}
@@ -90,9 +122,18 @@ class ListActivities extends Component {
             })}
           </tbody>
         </table>
+        <Pagination
+          count={activities.length}
+          itemName="activities"
+          nextToken={this.state.nextToken}
+          loading={this.state.loading}
+          pageSize={this.state.pageSize}
+          onPageSizeChange={this.handlePageSizeChange}
+          onLoadMore={() => this.loadActivities(this.state.nextToken)}
+        />
       </div>
     );
   }
 }
 
-export default ListActivities;
+export default withEndpoint(ListActivities);
@@ -1,41 +1,72 @@
 import React, { Component } from "react";
+import { withEndpoint } from "../context/EndpointContext";
+import {
+  isArchived,
+  listArchived,
+  mergeArchivedExecutions,
+  mergeArchivedStateMachines
+} from "../utils/executionArchive";
+import ErrorPanel from "./ErrorPanel";
+import Pagination from "./Pagination";
 
 class ListExecutions extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       stateMachineArn: "",
       stateMachines: [],
-      executions: []
+      executions: [],
+      archived: [],
+      nextToken: null,
+      pageSize: 100,
+      loading: false,
+      live: false,
+      error: null
     };
+    this.unwatch = () => {};
   }
 
   componentDidMount() {
-    const data = {
-      param: {},
-      endpoint: this.state.endpoint
-    };
+    this.loadStateMachines();
+  }
 
-    fetch("/api/list-state-machines", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          const stateMachines = data.stateMachines;
-          this.setState({ stateMachines: stateMachines });
-          if (stateMachines.length > 0) {
-            this.setState({
-              stateMachineArn: stateMachines[0].stateMachineArn
-            });
-          }
-        })
-      )
-      .catch(err => console.log(err));
+  componentWillUnmount() {
+    this.unwatch();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.client !== this.props.client) {
+      this.stopWatching();
+      this.setState({
+        stateMachineArn: "",
+        stateMachines: [],
+        executions: [],
+        archived: [],
+        nextToken: null
+      });
+      this.loadStateMachines();
+    }
+  }
+
+  // Machines the runner lost still offer their archived runs
+  loadStateMachines() {
+    Promise.all([
+      this.props.client.listStateMachines({}, { paginate: true }),
+      listArchived(this.props.client)
+    ])
+      .then(([data, archived]) => {
+        const stateMachines = mergeArchivedStateMachines(
+          data.stateMachines,
+          archived
+        );
+        this.setState({ stateMachines: stateMachines });
+        if (stateMachines.length > 0) {
+          this.setState({
+            stateMachineArn: stateMachines[0].stateMachineArn
+          });
+        }
+      })
+      .catch(error => this.setState({ error }));
   }
 
   handleChange = event => {
@@ -48,14 +79,7 @@ class ListExecutions extends Component {
 
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        stateMachineArn: this.state.stateMachineArn
-      },
-      endpoint: this.state.endpoint
-    };
-
-    this.callListExecutions(data);
+    this.callListExecutions();
   };
 
   getStatusClassName = status => {
@@ -71,53 +95,109 @@ class ListExecutions extends Component {
   stopExecution = event => {
     event.preventDefault();
     const executionArn = event.target.id;
-    const data = {
-      param: {
-        executionArn: executionArn
-      },
-      endpoint: this.state.endpoint
-    };
 
-    fetch("/api/stop-execution", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res => {
-        if (res.status === 200) {
-          const data = {
-            param: {
-              stateMachineArn: this.state.stateMachineArn
-            },
-            endpoint: this.state.endpoint
-          };
-          this.callListExecutions(data);
-        }
-      })
-      .catch(err => console.log(err));
+    this.props.client
+      .stopExecution({ executionArn: executionArn })
+      .then(() => this.callListExecutions())
+      .catch(error => this.setState({ error }));
   };
 
-  callListExecutions(data) {
-    fetch("/api/list-executions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => this.setState({ executions: data.executions }))
+  // Loads the first page, or appends the page after nextToken. The first
+  // page also brings the archived runs of the state machine.
+  callListExecutions(nextToken) {
+    const stateMachineArn = this.state.stateMachineArn;
+    this.setState({ loading: true, error: null });
+    if (!nextToken) {
+      listArchived(this.props.client, { stateMachineArn }).then(archived =>
+        this.setState({ archived })
+      );
+    }
+    if (
+      isArchived(this.state.stateMachines, "stateMachineArn", stateMachineArn)
+    ) {
+      this.stopWatching();
+      this.setState({ executions: [], nextToken: null, loading: false });
+      return;
+    }
+    this.props.client
+      .listExecutions(
+        { stateMachineArn, nextToken },
+        { paginate: { maxItems: this.state.pageSize } }
       )
-      .catch(err => console.log(err));
+      .then(data => {
+        this.setState({
+          executions: nextToken
+            ? [...this.state.executions, ...data.executions]
+            : data.executions,
+          nextToken: data.nextToken || null
+        });
+        if (!nextToken) {
+          this.startWatching(this.state.stateMachineArn);
+        }
+      })
+      .catch(error => this.setState({ error }))
+      .then(() => this.setState({ loading: false }));
   }
 
+  startWatching(stateMachineArn) {
+    this.unwatch();
+    this.unwatch = this.props.client.watch(
+      { stateMachineArn },
+      {
+        onExecution: this.handleExecutionUpdate,
+        onError: error => this.setState({ error })
+      }
+    );
+    this.setState({ live: typeof EventSource !== "undefined" });
+  }
+
+  stopWatching() {
+    this.unwatch();
+    this.unwatch = () => {};
+    this.setState({ live: false });
+  }
+
+  // Updates a listed execution in place, or adds a newly started one
+  handleExecutionUpdate = execution => {
+    this.setState(state => {
+      const executions = state.executions;
+      const index = executions.findIndex(
+        e => e.executionArn === execution.executionArn
+      );
+      if (index >= 0) {
+        const updated = executions.slice();
+        updated[index] = execution;
+        return { executions: updated, error: null };
+      }
+      // Older runs than the last listed one belong to a page not loaded yet
+      const oldest = executions[executions.length - 1];
+      if (
+        state.nextToken &&
+        oldest &&
+        new Date(execution.startDate) < new Date(oldest.startDate)
+      ) {
+        return null;
+      }
+      const updated = [execution, ...executions].sort(
+        (a, b) => new Date(b.startDate) - new Date(a.startDate)
+      );
+      return { executions: updated, error: null };
+    });
+  };
+
+  handlePageSizeChange = pageSize => {
+    this.setState({ pageSize }, () => this.callListExecutions());
+  };
+
   render() {
-    const executions = this.state.executions;
+    const executions = mergeArchivedExecutions(
+      this.state.executions,
+      this.state.archived
+    );
     const stateMachines = this.state.stateMachines;
     return (
       <div>
+        <ErrorPanel error={this.state.error} />
         <form onSubmit={this.handleSubmit}>
           <div className="form-group">
             <label htmlFor="stateMachineArn">State Machine ARN</label>
@@ -133,6 +213,7 @@ class ListExecutions extends Component {
                 return (
                   <option value={stateMachine.stateMachineArn}>
                     {stateMachine.stateMachineArn}
+                    {stateMachine.archived ? " (archived runs only)" : ""}
                   </option>
                 );
               })}
@@ -143,6 +224,11 @@ class ListExecutions extends Component {
           </button>
         </form>
 
+        {this.state.live && (
+          <div className="live-indicator">
+            ● Live — updates as executions run
+          </div>
+        )}
         <table className="table">
           <thead className="thead-light">
             <tr>
@@ -160,11 +246,21 @@ class ListExecutions extends Component {
                 <tr className={this.getStatusClassName(execution.status)}>
                   <td>{execution.name}</td>
                   <td>{execution.executionArn}</td>
-                  <td>{execution.status}</td>
+                  <td>
+                    {execution.status}
+                    {execution.archived && (
+                      <span
+                        className="badge badge-secondary archived-badge"
+                        title={`Archived ${execution.archivedAt}`}
+                      >
+                        archived
+                      </span>
+                    )}
+                  </td>
                   {/* <td>{execution.startDate}</td> */}
                   {/* <td>{execution.stopDate}</td> */}
                   <td>
-                    {execution.status === "RUNNING" && (
+                    {execution.status === "RUNNING" && !execution.archived && (
                       <button
                         id={execution.executionArn}
                         className="btn btn-danger"
@@ -179,9 +275,18 @@ class ListExecutions extends Component {
             })}
           </tbody>
         </table>
+        <Pagination
+          count={this.state.executions.length}
+          itemName="executions"
+          nextToken={this.state.nextToken}
+          loading={this.state.loading}
+          pageSize={this.state.pageSize}
+          onPageSizeChange={this.handlePageSizeChange}
+          onLoadMore={() => this.callListExecutions(this.state.nextToken)}
+        />
       </div>
     );
   }
 }
 
-export default ListExecutions;
+export default withEndpoint(ListExecutions);
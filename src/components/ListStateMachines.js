@@ -1,64 +1,93 @@
 import React, { useState, useEffect } from "react";
 import { withRouter } from "react-router-dom";
 import { useEndpoint } from "../context/EndpointContext";
+import Pagination from "./Pagination";
+import ErrorPanel from "./ErrorPanel";
+import ResourceTags, { fetchTags } from "./ResourceTags";
 
 function ListStateMachines({ history }) {
-  const { endpoint } = useEndpoint();
+  const { client } = useEndpoint();
   const [stateMachines, setStateMachines] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [pageSize, setPageSize] = useState(100);
+  const [nextToken, setNextToken] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [tags, setTags] = useState({});
 
-  const fetchStateMachines = async () => {
+  // Tags are extra detail, so a failed batch only leaves the column empty
+  const loadTags = async (rows, options = {}) => {
+    try {
+      const loaded = await fetchTags(
+        client,
+        rows.map(sm => sm.stateMachineArn)
+      );
+      setTags(prev => Object.assign({}, options.reset ? {} : prev, loaded));
+    } catch (err) {
+      setActionError(err);
+    }
+  };
+
+  const fetchStateMachines = async (options = {}) => {
     setLoading(true);
     setError(null);
 
     try {
-      const response = await fetch("/api/list-state-machines", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ param: {}, endpoint })
-      });
-
-      if (!response.ok) {
-        throw new Error("Failed to fetch state machines");
-      }
-
-      const data = await response.json();
+      const data = await client.listStateMachines(
+        {},
+        { paginate: { maxItems: pageSize }, cache: options.cache }
+      );
       setStateMachines(data.stateMachines || []);
+      setNextToken(data.nextToken || null);
+      loadTags(data.stateMachines || [], { reset: true });
     } catch (err) {
-      setError(err.message);
+      setError(err);
       setStateMachines([]);
+      setNextToken(null);
     } finally {
       setLoading(false);
     }
   };
 
+  const loadMore = async () => {
+    setLoadingMore(true);
+
+    try {
+      const data = await client.listStateMachines(
+        { nextToken },
+        { paginate: { maxItems: pageSize } }
+      );
+      setStateMachines(prev => [...prev, ...(data.stateMachines || [])]);
+      setNextToken(data.nextToken || null);
+      loadTags(data.stateMachines || []);
+    } catch (err) {
+      setActionError(err);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   useEffect(() => {
     fetchStateMachines();
-  }, [endpoint]);
+  }, [client, pageSize]);
 
   const viewDiagram = stateMachineArn => {
     history.push(`/state-machine/${encodeURIComponent(stateMachineArn)}`);
   };
 
+  const editStateMachine = stateMachineArn => {
+    history.push(`/state-machine/${encodeURIComponent(stateMachineArn)}/edit`);
+  };
+
   const deleteStateMachine = async stateMachineArn => {
     try {
-      const response = await fetch("/api/delete-state-machine", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          param: { stateMachineArn },
-          endpoint
-        })
-      });
-
-      if (response.ok) {
-        setStateMachines(prev =>
-          prev.filter(sm => sm.stateMachineArn !== stateMachineArn)
-        );
-      }
+      await client.deleteStateMachine({ stateMachineArn });
+      setStateMachines(prev =>
+        prev.filter(sm => sm.stateMachineArn !== stateMachineArn)
+      );
     } catch (err) {
-      console.error("Failed to delete state machine:", err);
+      setActionError(err);
     }
   };
 
@@ -72,15 +101,7 @@ function ListStateMachines({ history }) {
   }
 
   if (error) {
-    return (
-      <div className="error-state">
-        <span className="error-icon">⚠</span>
-        <span>{error}</span>
-        <button className="btn btn-primary" onClick={fetchStateMachines}>
-          Retry
-        </button>
-      </div>
-    );
+    return <ErrorPanel error={error} onRetry={fetchStateMachines} />;
   }
 
   if (stateMachines.length === 0) {
@@ -97,17 +118,23 @@ function ListStateMachines({ history }) {
     <div>
       <div className="page-header">
         <h2>State Machines</h2>
-        <button className="btn btn-primary" onClick={fetchStateMachines}>
+        <button
+          className="btn btn-primary"
+          onClick={() => fetchStateMachines({ cache: false })}
+        >
           ↻ Refresh
         </button>
       </div>
 
+      <ErrorPanel error={actionError} onDismiss={() => setActionError(null)} />
+
       <table className="table">
         <thead className="thead-light">
           <tr>
             <th scope="col">Name</th>
             <th scope="col">State Machine ARN</th>
             <th scope="col">Creation Date</th>
+            <th scope="col">Tags</th>
             <th scope="col">Action</th>
           </tr>
         </thead>
@@ -125,6 +152,9 @@ function ListStateMachines({ history }) {
                 <code>{stateMachine.stateMachineArn}</code>
               </td>
               <td>{new Date(stateMachine.creationDate).toLocaleString()}</td>
+              <td>
+                <ResourceTags tags={tags[stateMachine.stateMachineArn]} />
+              </td>
               <td>
                 <div
                   className="action-buttons"
@@ -136,6 +166,14 @@ function ListStateMachines({ history }) {
                   >
                     View Diagram
                   </button>
+                  <button
+                    className="btn btn-secondary btn-sm"
+                    onClick={() =>
+                      editStateMachine(stateMachine.stateMachineArn)
+                    }
+                  >
+                    Edit
+                  </button>
                   <button
                     className="btn btn-danger btn-sm"
                     onClick={() =>
@@ -150,6 +188,15 @@ function ListStateMachines({ history }) {
           ))}
         </tbody>
       </table>
+      <Pagination
+        count={stateMachines.length}
+        itemName="state machines"
+        nextToken={nextToken}
+        loading={loadingMore}
+        pageSize={pageSize}
+        onPageSizeChange={setPageSize}
+        onLoadMore={loadMore}
+      />
     </div>
   );
 }
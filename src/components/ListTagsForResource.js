@@ -1,84 +1,197 @@
 import React, { Component } from "react";
+import TagEditor, { cleanTags } from "./TagEditor";
+import { withEndpoint } from "../context/EndpointContext";
+import ErrorPanel from "./ErrorPanel";
 
 class ListTagsForResource extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       resourceArn: "",
-      tags: []
+      stateMachines: [],
+      activities: [],
+      savedTags: [],
+      tags: [],
+      response: "",
+      error: null
     };
   }
 
-  handleChange = event => {
-    if (event.target.name === "resourceArn") {
+  componentDidMount() {
+    this.loadResources();
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.client !== this.props.client) {
       this.setState({
-        resourceArn: event.target.value
+        resourceArn: "",
+        stateMachines: [],
+        activities: [],
+        savedTags: [],
+        tags: [],
+        response: "",
+        error: null
       });
+      this.loadResources();
+    }
+  }
+
+  loadResources() {
+    const client = this.props.client;
+    Promise.all([
+      client.listStateMachines({}, { paginate: true }),
+      client.listActivities({}, { paginate: true })
+    ])
+      .then(([stateMachineData, activityData]) => {
+        const stateMachines = stateMachineData.stateMachines || [];
+        const activities = activityData.activities || [];
+        this.setState({ stateMachines, activities });
+        if (stateMachines.length > 0) {
+          this.selectResource(stateMachines[0].stateMachineArn);
+        } else if (activities.length > 0) {
+          this.selectResource(activities[0].activityArn);
+        }
+      })
+      .catch(error => this.setState({ error }));
+  }
+
+  handleChange = event => {
+    if (event.target.name === "resourceArn") {
+      this.selectResource(event.target.value);
     }
   };
 
+  selectResource(resourceArn) {
+    this.setState({ resourceArn, response: "", error: null });
+    this.loadTags(resourceArn);
+  }
+
+  loadTags(resourceArn) {
+    this.props.client
+      .listTagsForResource({ resourceArn: resourceArn })
+      .then(data => {
+        const tags = data.tags || [];
+        this.setState({ savedTags: tags, tags: tags });
+      })
+      .catch(error => this.setState({ error }));
+  }
+
+  // Removed keys go through untagResource, new and changed ones through
+  // tagResource, which overwrites the value of an existing key.
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        resourceArn: this.state.resourceArn
-      },
-      endpoint: this.state.endpoint
-    };
+    const resourceArn = this.state.resourceArn;
+    const tags = cleanTags(this.state.tags);
+    const savedValues = {};
+    this.state.savedTags.forEach(tag => {
+      savedValues[tag.key] = tag.value;
+    });
+
+    const keys = tags.map(tag => tag.key);
+    const removedKeys = Object.keys(savedValues).filter(
+      key => keys.indexOf(key) < 0
+    );
+    const changedTags = tags.filter(tag => savedValues[tag.key] !== tag.value);
+
+    const calls = [];
+    if (removedKeys.length > 0) {
+      calls.push(
+        this.props.client.untagResource({
+          resourceArn,
+          tagKeys: removedKeys
+        })
+      );
+    }
+    if (changedTags.length > 0) {
+      calls.push(
+        this.props.client.tagResource({
+          resourceArn,
+          tags: changedTags
+        })
+      );
+    }
 
-    fetch("/api/list-tags-for-resource", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res => res.json().then(data => this.setState({ tags: data.tags })))
-      .catch(err => console.log(err));
+    Promise.all(calls)
+      .then(() => {
+        this.setState({
+          error: null,
+          response: JSON.stringify(
+            { removed: removedKeys, updated: changedTags },
+            null,
+            4
+          )
+        });
+        this.loadTags(resourceArn);
+      })
+      .catch(error => this.setState({ error, response: "" }));
   };
 
   render() {
-    const tags = this.state.tags;
+    const { stateMachines, activities, tags, response } = this.state;
     return (
       <div>
         <form onSubmit={this.handleSubmit}>
           <div className="form-group">
             <label htmlFor="resourceArn">Resource ARN</label>
-            <input
-              type="text"
+            <select
               className="form-control"
-              id="resourceArn"
               name="resourceArn"
-              value={this.state.resourceArn}
+              id="resourceArn"
               onChange={this.handleChange}
+              value={this.state.resourceArn}
+              required
+            >
+              <optgroup label="State Machines">
+                {stateMachines.map(stateMachine => {
+                  return (
+                    <option
+                      key={stateMachine.stateMachineArn}
+                      value={stateMachine.stateMachineArn}
+                    >
+                      {stateMachine.stateMachineArn}
+                    </option>
+                  );
+                })}
+              </optgroup>
+              <optgroup label="Activities">
+                {activities.map(activity => {
+                  return (
+                    <option
+                      key={activity.activityArn}
+                      value={activity.activityArn}
+                    >
+                      {activity.activityArn}
+                    </option>
+                  );
+                })}
+              </optgroup>
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Tags</label>
+            <TagEditor
+              tags={tags}
+              onChange={tags => this.setState({ tags })}
+              disabled={this.state.resourceArn === ""}
             />
           </div>
-          <button type="submit" className="btn btn-primary btn-lg btn-block">
-            Submit
+          <button
+            type="submit"
+            className="btn btn-primary btn-lg btn-block"
+            disabled={this.state.resourceArn === ""}
+          >
+            Save Tags
           </button>
         </form>
-        <table className="table">
-          <thead className="thead-light">
-            <tr>
-              <th scope="col">Key</th>
-              <th scope="col">Value</th>
-            </tr>
-          </thead>
-          <tbody>
-            {tags.map(tag => {
-              return (
-                <tr>
-                  <td>{tag.key}</td>
-                  <td>{tag.value}</td>
-                </tr>
-              );
-            })}
-          </tbody>
-        </table>
+        <ErrorPanel error={this.state.error} />
+        {response.length > 0 && (
+          <div className="alert alert-success response" role="alert">
+            <pre>{response}</pre>
+          </div>
+        )}
       </div>
     );
   }
 }
 
-export default ListTagsForResource;
+export default withEndpoint(ListTagsForResource);
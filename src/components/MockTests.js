@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from "react";
+import { useEndpoint } from "../context/EndpointContext";
+import {
+  ApiError,
+  MOCK_CONFIG_EXPORT_URL,
+  getMockConfig,
+  saveMockConfig
+} from "../utils/stepFunctionsClient";
+import {
+  EMPTY_MOCK_CONFIG,
+  createStep,
+  fromDocument,
+  getTaskStates,
+  toDocument
+} from "../utils/mockConfig";
+import ErrorPanel from "./ErrorPanel";
+import MockedResponseEditor from "./MockedResponseEditor";
+
+// Authoring for Step Functions Local mock config test cases: per state
+// machine, which mocked response each Task state gets in each test case.
+function MockTests() {
+  const { client } = useEndpoint();
+  const [stateMachines, setStateMachines] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [taskStates, setTaskStates] = useState([]);
+  const [testCases, setTestCases] = useState({});
+  const [responses, setResponses] = useState([]);
+  const [newTestCase, setNewTestCase] = useState("");
+  const [newResponse, setNewResponse] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [savedAt, setSavedAt] = useState(null);
+  const [error, setError] = useState(null);
+
+  const applyDocument = document => {
+    setTestCases(document.StateMachines || {});
+    setResponses(fromDocument(document));
+  };
+
+  useEffect(() => {
+    setLoading(true);
+    Promise.all([
+      getMockConfig(),
+      client.listStateMachines({}, { paginate: true })
+    ])
+      .then(([document, data]) => {
+        applyDocument(document || EMPTY_MOCK_CONFIG);
+        setStateMachines(data.stateMachines);
+        setSelected(data.stateMachines[0] || null);
+      })
+      .catch(setError)
+      .then(() => setLoading(false));
+  }, [client]);
+
+  useEffect(() => {
+    setTaskStates([]);
+    if (!selected) {
+      return;
+    }
+    client
+      .describeStateMachine({ stateMachineArn: selected.stateMachineArn })
+      .then(data => setTaskStates(getTaskStates(JSON.parse(data.definition))))
+      .catch(setError);
+  }, [client, selected]);
+
+  const machineCases = selected
+    ? (testCases[selected.name] || {}).TestCases || {}
+    : {};
+
+  const setMachineCases = cases => {
+    setTestCases({ ...testCases, [selected.name]: { TestCases: cases } });
+  };
+
+  const addTestCase = event => {
+    event.preventDefault();
+    if (newTestCase && !machineCases[newTestCase]) {
+      setMachineCases({ ...machineCases, [newTestCase]: {} });
+    }
+    setNewTestCase("");
+  };
+
+  const removeTestCase = name => {
+    const { [name]: removed, ...rest } = machineCases;
+    setMachineCases(rest);
+  };
+
+  const setMock = (testCase, state, responseName) => {
+    const { [state]: previous, ...mocks } = machineCases[testCase];
+    if (responseName) {
+      mocks[state] = responseName;
+    }
+    setMachineCases({ ...machineCases, [testCase]: mocks });
+  };
+
+  const addResponse = event => {
+    event.preventDefault();
+    if (newResponse && !responses.some(r => r.name === newResponse)) {
+      setResponses([
+        ...responses,
+        { name: newResponse, steps: [createStep()] }
+      ]);
+    }
+    setNewResponse("");
+  };
+
+  const removeResponse = index => {
+    setResponses(responses.filter((response, i) => i !== index));
+  };
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const document = toDocument(testCases, responses);
+      applyDocument(await saveMockConfig(document));
+      setSavedAt(new Date());
+    } catch (err) {
+      setError(
+        err instanceof ApiError
+          ? err
+          : new ApiError({
+              code: "InvalidMockConfig",
+              message: err.message,
+              status: 400
+            })
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-state">
+        <span className="loading-spinner">⟳</span>
+        <span>Loading mock tests...</span>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Mock Tests</h2>
+        <div className="action-buttons">
+          <a
+            className="btn btn-secondary"
+            href={MOCK_CONFIG_EXPORT_URL}
+            download
+          >
+            Export saved file
+          </a>
+          <button className="btn btn-primary" onClick={save} disabled={saving}>
+            {saving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+      <p className="mock-hint">
+        Start an execution of <code>stateMachineArn#TestCase</code> to answer
+        Task states from these responses. The runner reads the file on startup,
+        so restart it after saving; the built-in emulator picks changes up right
+        away.
+        {savedAt && ` Saved at ${savedAt.toLocaleTimeString()}.`}
+      </p>
+
+      <ErrorPanel error={error} onDismiss={() => setError(null)} />
+
+      <h3>Test cases</h3>
+      <div className="form-group">
+        <select
+          className="form-control"
+          value={selected ? selected.stateMachineArn : ""}
+          onChange={e =>
+            setSelected(
+              stateMachines.find(sm => sm.stateMachineArn === e.target.value)
+            )
+          }
+        >
+          {stateMachines.map(sm => (
+            <option key={sm.stateMachineArn} value={sm.stateMachineArn}>
+              {sm.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {selected && (
+        <>
+          {Object.keys(machineCases).map(testCase => (
+            <div key={testCase} className="mock-card">
+              <div className="page-header">
+                <h3>
+                  {selected.name}#{testCase}
+                </h3>
+                <button
+                  className="btn btn-danger btn-sm"
+                  onClick={() => removeTestCase(testCase)}
+                >
+                  Delete
+                </button>
+              </div>
+              {taskStates.length === 0 && (
+                <p className="mock-hint">
+                  This state machine has no Task states.
+                </p>
+              )}
+              {taskStates.map(state => (
+                <div key={state} className="mock-step">
+                  <code className="mock-state-name">{state}</code>
+                  <select
+                    className="form-control"
+                    value={machineCases[testCase][state] || ""}
+                    onChange={e => setMock(testCase, state, e.target.value)}
+                  >
+                    <option value="">Not mocked</option>
+                    {responses.map(response => (
+                      <option key={response.name} value={response.name}>
+                        {response.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          ))}
+          <form className="mock-add" onSubmit={addTestCase}>
+            <input
+              type="text"
+              className="form-control"
+              value={newTestCase}
+              onChange={e => setNewTestCase(e.target.value)}
+              placeholder="New test case, e.g. HappyPath"
+            />
+            <button type="submit" className="btn btn-secondary">
+              + Test case
+            </button>
+          </form>
+        </>
+      )}
+
+      <h3>Mocked responses</h3>
+      {responses.map((response, index) => (
+        <MockedResponseEditor
+          key={response.name}
+          response={response}
+          onChange={updated =>
+            setResponses(responses.map((r, i) => (i === index ? updated : r)))
+          }
+          onDelete={() => removeResponse(index)}
+        />
+      ))}
+      <form className="mock-add" onSubmit={addResponse}>
+        <input
+          type="text"
+          className="form-control"
+          value={newResponse}
+          onChange={e => setNewResponse(e.target.value)}
+          placeholder="New mocked response, e.g. LambdaThrottled"
+        />
+        <button type="submit" className="btn btn-secondary">
+          + Mocked response
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default MockTests;
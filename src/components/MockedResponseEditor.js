@@ -0,0 +1,96 @@
+import React from "react";
+import { createStep } from "../utils/mockConfig";
+
+// Edits the steps of one mocked response: which attempts each answers and
+// whether it returns a payload or throws an error.
+function MockedResponseEditor({ response, onChange, onDelete }) {
+  const updateStep = (index, field, value) =>
+    onChange({
+      ...response,
+      steps: response.steps.map((step, i) =>
+        i === index ? { ...step, [field]: value } : step
+      )
+    });
+
+  const addStep = () =>
+    onChange({
+      ...response,
+      steps: [...response.steps, createStep(String(response.steps.length))]
+    });
+
+  const removeStep = index =>
+    onChange({
+      ...response,
+      steps: response.steps.filter((step, i) => i !== index)
+    });
+
+  return (
+    <div className="mock-card">
+      <div className="page-header">
+        <h3>{response.name}</h3>
+        <div className="action-buttons">
+          <button className="btn btn-secondary btn-sm" onClick={addStep}>
+            + Attempt
+          </button>
+          <button className="btn btn-danger btn-sm" onClick={onDelete}>
+            Delete
+          </button>
+        </div>
+      </div>
+      {response.steps.map((step, index) => (
+        <div key={index} className="mock-step">
+          <input
+            type="text"
+            className="form-control mock-step-attempts"
+            value={step.attempts}
+            onChange={e => updateStep(index, "attempts", e.target.value)}
+            title="Attempt number from 0, or a range like 1-3"
+          />
+          <select
+            className="form-control mock-step-kind"
+            value={step.kind}
+            onChange={e => updateStep(index, "kind", e.target.value)}
+          >
+            <option value="Return">Return</option>
+            <option value="Throw">Throw</option>
+          </select>
+          {step.kind === "Return" ? (
+            <textarea
+              className="form-control"
+              rows="3"
+              value={step.payload}
+              onChange={e => updateStep(index, "payload", e.target.value)}
+              placeholder='{ "StatusCode": 200, "Payload": {} }'
+            />
+          ) : (
+            <div className="mock-step-throw">
+              <input
+                type="text"
+                className="form-control"
+                value={step.error}
+                onChange={e => updateStep(index, "error", e.target.value)}
+                placeholder="Error, e.g. Lambda.ServiceException"
+              />
+              <input
+                type="text"
+                className="form-control"
+                value={step.cause}
+                onChange={e => updateStep(index, "cause", e.target.value)}
+                placeholder="Cause"
+              />
+            </div>
+          )}
+          <button
+            className="btn btn-danger btn-sm"
+            onClick={() => removeStep(index)}
+            disabled={response.steps.length === 1}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default MockedResponseEditor;
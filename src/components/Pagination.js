@@ -0,0 +1,54 @@
+import React from "react";
+
+export const PAGE_SIZES = [25, 100, 500, 1000];
+
+// Footer for list pages: says how many items are shown, whether the runner
+// has more, and loads the next page on demand.
+function Pagination({
+  count,
+  itemName,
+  nextToken,
+  loading,
+  pageSize,
+  onPageSizeChange,
+  onLoadMore
+}) {
+  return (
+    <div className="pagination-bar">
+      <span className="pagination-summary">
+        Showing {count} {itemName}
+        {nextToken && (
+          <span className="pagination-truncated">
+            {" "}
+            · results truncated, more are available
+          </span>
+        )}
+      </span>
+      <label className="pagination-page-size">
+        Page size
+        <select
+          value={pageSize}
+          onChange={e => onPageSizeChange(Number(e.target.value))}
+          disabled={loading}
+        >
+          {PAGE_SIZES.map(size => (
+            <option key={size} value={size}>
+              {size}
+            </option>
+          ))}
+        </select>
+      </label>
+      {nextToken && (
+        <button
+          className="btn btn-secondary btn-sm"
+          onClick={onLoadMore}
+          disabled={loading}
+        >
+          {loading ? "Loading..." : "Load more"}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default Pagination;
@@ -0,0 +1,52 @@
+import React from "react";
+
+// Loads the tags of many resources with a single batch request. Resolves
+// with an object mapping each ARN to its tags, or to the ApiError its
+// listTagsForResource call failed with.
+export function fetchTags(client, resourceArns) {
+  if (resourceArns.length === 0) {
+    return Promise.resolve({});
+  }
+  return client
+    .batch(
+      resourceArns.map(resourceArn => ({
+        operation: "listTagsForResource",
+        param: { resourceArn }
+      }))
+    )
+    .then(results => {
+      const tags = {};
+      results.forEach((result, index) => {
+        tags[resourceArns[index]] = result.error || result.data.tags || [];
+      });
+      return tags;
+    });
+}
+
+// Table cell content for the tags of one row, as loaded by fetchTags
+function ResourceTags({ tags }) {
+  if (tags === undefined) {
+    return <span className="resource-tags-empty">…</span>;
+  }
+  if (tags instanceof Error) {
+    return (
+      <span className="resource-tags-empty" title={tags.message}>
+        unavailable
+      </span>
+    );
+  }
+  if (tags.length === 0) {
+    return <span className="resource-tags-empty">none</span>;
+  }
+  return (
+    <span className="resource-tags">
+      {tags.map(tag => (
+        <span key={tag.key} className="resource-tag">
+          {tag.key}={tag.value}
+        </span>
+      ))}
+    </span>
+  );
+}
+
+export default ResourceTags;
@@ -1,15 +1,16 @@
 import React, { Component } from "react";
+import { withEndpoint } from "../context/EndpointContext";
+import ErrorPanel from "./ErrorPanel";
 
 class SendTaskFailure extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       taskToken: "",
       cause: "",
       error: "",
       response: "",
-      statusCode: ""
+      apiError: null
     };
   }
 
@@ -31,37 +32,24 @@ class SendTaskFailure extends Component {
 
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        taskToken: this.state.taskToken,
-        cause: this.state.cause,
-        error: this.state.error
-      },
-      endpoint: this.state.endpoint
+    const param = {
+      taskToken: this.state.taskToken,
+      cause: this.state.cause,
+      error: this.state.error
     };
-    fetch("/api/send-task-failure", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          if ("statusCode" in data) {
-            this.setState({ statusCode: data.statusCode });
-          } else {
-            this.setState({ statusCode: "200" });
-          }
-          this.setState({ response: JSON.stringify(data, null, 4) });
+    this.props.client
+      .sendTaskFailure(param)
+      .then(data =>
+        this.setState({
+          apiError: null,
+          response: JSON.stringify(data, null, 4)
         })
       )
-      .catch(err => this.setState({ response: JSON.stringify(err, null, 4) }));
+      .catch(apiError => this.setState({ apiError, response: "" }));
   };
 
   render() {
     const response = this.state.response;
-    const statusCode = this.state.statusCode;
     return (
       <div>
         <form onSubmit={this.handleSubmit}>
@@ -102,15 +90,9 @@ class SendTaskFailure extends Component {
             Submit
           </button>
         </form>
+        <ErrorPanel error={this.state.apiError} />
         {response.length > 0 && (
-          <div
-            className={
-              statusCode === "200"
-                ? "alert alert-success response"
-                : "alert alert-danger response"
-            }
-            role="alert"
-          >
+          <div className="alert alert-success response" role="alert">
             <pre>{response}</pre>
           </div>
         )}
@@ -119,4 +101,4 @@ class SendTaskFailure extends Component {
   }
 }
 
-export default SendTaskFailure;
+export default withEndpoint(SendTaskFailure);
@@ -1,13 +1,14 @@
 import React, { Component } from "react";
+import { withEndpoint } from "../context/EndpointContext";
+import ErrorPanel from "./ErrorPanel";
 
 class SendTaskHearbeat extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       taskToken: "",
       response: "",
-      statusCode: ""
+      error: null
     };
   }
 
@@ -21,35 +22,22 @@ class SendTaskHearbeat extends Component {
 
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        taskToken: this.state.taskToken
-      },
-      endpoint: this.state.endpoint
+    const param = {
+      taskToken: this.state.taskToken
     };
-    fetch("/api/send-task-heartbeat", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          if ("statusCode" in data) {
-            this.setState({ statusCode: data.statusCode });
-          } else {
-            this.setState({ statusCode: "200" });
-          }
-          this.setState({ response: JSON.stringify(data, null, 4) });
+    this.props.client
+      .sendTaskHeartbeat(param)
+      .then(data =>
+        this.setState({
+          error: null,
+          response: JSON.stringify(data, null, 4)
         })
       )
-      .catch(err => this.setState({ response: JSON.stringify(err, null, 4) }));
+      .catch(error => this.setState({ error, response: "" }));
   };
 
   render() {
     const response = this.state.response;
-    const statusCode = this.state.statusCode;
     return (
       <div>
         <form onSubmit={this.handleSubmit}>
@@ -68,15 +56,9 @@ class SendTaskHearbeat extends Component {
             Submit
           </button>
         </form>
+        <ErrorPanel error={this.state.error} />
         {response.length > 0 && (
-          <div
-            className={
-              statusCode === "200"
-                ? "alert alert-success response"
-                : "alert alert-danger response"
-            }
-            role="alert"
-          >
+          <div className="alert alert-success response" role="alert">
             <pre>{response}</pre>
           </div>
         )}
@@ -85,4 +67,4 @@ class SendTaskHearbeat extends Component {
   }
 }
 
-export default SendTaskHearbeat;
+export default withEndpoint(SendTaskHearbeat);
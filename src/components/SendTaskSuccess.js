@@ -1,14 +1,15 @@
 import React, { Component } from "react";
+import { withEndpoint } from "../context/EndpointContext";
+import ErrorPanel from "./ErrorPanel";
 
 class SendTaskSuccess extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       taskToken: "",
       output: "",
       response: "",
-      statusCode: ""
+      error: null
     };
   }
 
@@ -26,36 +27,23 @@ class SendTaskSuccess extends Component {
 
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        taskToken: this.state.taskToken,
-        output: this.state.output
-      },
-      endpoint: this.state.endpoint
+    const param = {
+      taskToken: this.state.taskToken,
+      output: this.state.output
     };
-    fetch("/api/send-task-success", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          if ("statusCode" in data) {
-            this.setState({ statusCode: data.statusCode });
-          } else {
-            this.setState({ statusCode: "200" });
-          }
-          this.setState({ response: JSON.stringify(data, null, 4) });
+    this.props.client
+      .sendTaskSuccess(param)
+      .then(data =>
+        this.setState({
+          error: null,
+          response: JSON.stringify(data, null, 4)
         })
       )
-      .catch(err => this.setState({ response: JSON.stringify(err, null, 4) }));
+      .catch(error => this.setState({ error, response: "" }));
   };
 
   render() {
     const response = this.state.response;
-    const statusCode = this.state.statusCode;
     return (
       <div>
         <form onSubmit={this.handleSubmit}>
@@ -85,15 +73,9 @@ class SendTaskSuccess extends Component {
             Submit
           </button>
         </form>
+        <ErrorPanel error={this.state.error} />
         {response.length > 0 && (
-          <div
-            className={
-              statusCode === "200"
-                ? "alert alert-success response"
-                : "alert alert-danger response"
-            }
-            role="alert"
-          >
+          <div className="alert alert-success response" role="alert">
             <pre>{response}</pre>
           </div>
         )}
@@ -102,4 +84,4 @@ class SendTaskSuccess extends Component {
   }
 }
 
-export default SendTaskSuccess;
+export default withEndpoint(SendTaskSuccess);
@@ -1,45 +1,53 @@
 import React, { Component } from "react";
 import uuidv1 from "uuid/v1";
+import { withEndpoint } from "../context/EndpointContext";
+import { getMockConfig } from "../utils/stepFunctionsClient";
+import { EMPTY_MOCK_CONFIG, getTestCaseNames } from "../utils/mockConfig";
+import ErrorPanel from "./ErrorPanel";
 
 class StartExecution extends Component {
   constructor() {
     super();
     this.state = {
-      endpoint: "http://localhost:8083",
       name: "",
       stateMachineArn: "",
       stateMachines: [],
+      mockConfig: EMPTY_MOCK_CONFIG,
+      testCase: "",
       input: "",
       response: "",
-      statusCode: ""
+      error: null
     };
   }
 
   componentDidMount() {
-    const data = {
-      param: {},
-      endpoint: this.state.endpoint
-    };
+    this.loadStateMachines();
+    // Test cases are optional, so a missing mock config is not an error
+    getMockConfig()
+      .then(mockConfig => this.setState({ mockConfig }))
+      .catch(() => {});
+  }
 
-    fetch("/api/list-state-machines", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          const stateMachines = data.stateMachines;
-          this.setState({ stateMachines: stateMachines });
-          if (stateMachines.length > 0) {
-            this.setState({
-              stateMachineArn: stateMachines[0].stateMachineArn
-            });
-          }
-        })
-      )
-      .catch(err => console.log(err));
+  componentDidUpdate(prevProps) {
+    if (prevProps.client !== this.props.client) {
+      this.setState({ stateMachineArn: "", stateMachines: [] });
+      this.loadStateMachines();
+    }
+  }
+
+  loadStateMachines() {
+    this.props.client
+      .listStateMachines({}, { paginate: true })
+      .then(data => {
+        const stateMachines = data.stateMachines;
+        this.setState({ stateMachines: stateMachines });
+        if (stateMachines.length > 0) {
+          this.setState({
+            stateMachineArn: stateMachines[0].stateMachineArn
+          });
+        }
+      })
+      .catch(error => this.setState({ error }));
   }
 
   handleChange = event => {
@@ -47,13 +55,14 @@ class StartExecution extends Component {
       this.setState({
         name: event.target.value
       });
-    } else if (event.target.name === "endpoint") {
+    } else if (event.target.name === "stateMachineArn") {
       this.setState({
-        endpoint: event.target.value
+        stateMachineArn: event.target.value,
+        testCase: ""
       });
-    } else if (event.target.name === "stateMachineArn") {
+    } else if (event.target.name === "testCase") {
       this.setState({
-        stateMachineArn: event.target.value
+        testCase: event.target.value
       });
     } else if (event.target.name === "input") {
       this.setState({
@@ -64,32 +73,23 @@ class StartExecution extends Component {
 
   handleSubmit = event => {
     event.preventDefault();
-    const data = {
-      param: {
-        stateMachineArn: this.state.stateMachineArn,
-        input: this.state.input,
-        name: this.state.name === "" ? uuidv1() : this.state.name
-      },
-      endpoint: this.state.endpoint
+    // Step Functions Local runs a mock test case for "<arn>#<test case>"
+    const param = {
+      stateMachineArn: this.state.testCase
+        ? `${this.state.stateMachineArn}#${this.state.testCase}`
+        : this.state.stateMachineArn,
+      input: this.state.input,
+      name: this.state.name === "" ? uuidv1() : this.state.name
     };
-    fetch("/api/start-execution", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify(data)
-    })
-      .then(res =>
-        res.json().then(data => {
-          if ("statusCode" in data) {
-            this.setState({ statusCode: data.statusCode });
-          } else {
-            this.setState({ statusCode: "200" });
-          }
-          this.setState({ response: JSON.stringify(data, null, 4) });
+    this.props.client
+      .startExecution(param)
+      .then(data =>
+        this.setState({
+          error: null,
+          response: JSON.stringify(data, null, 4)
         })
       )
-      .catch(err => this.setState({ response: JSON.stringify(err, null, 4) }));
+      .catch(error => this.setState({ error, response: "" }));
   };
 
   reindent = event => {
@@ -99,24 +99,22 @@ class StartExecution extends Component {
     this.setState({ input: formattedInput });
   };
 
+  getTestCases() {
+    const stateMachine = this.state.stateMachines.find(
+      candidate => candidate.stateMachineArn === this.state.stateMachineArn
+    );
+    return stateMachine
+      ? getTestCaseNames(this.state.mockConfig, stateMachine.name)
+      : [];
+  }
+
   render() {
     const stateMachines = this.state.stateMachines;
     const response = this.state.response;
-    const statusCode = this.state.statusCode;
+    const testCases = this.getTestCases();
     return (
       <div>
         <form onSubmit={this.handleSubmit}>
-          {/* <div className="form-group">
-            <label htmlFor="endpoint">Endpoint</label>
-            <input
-              type="text"
-              className="form-control"
-              id="endpoint"
-              name="endpoint"
-              value={this.state.endpoint}
-              onChange={this.handleChange}
-            />
-          </div> */}
           <div className="form-group">
             <label htmlFor="stateMachineArn">State Machine ARN</label>
             <select
@@ -136,6 +134,25 @@ class StartExecution extends Component {
               })}
             </select>
           </div>
+          {testCases.length > 0 && (
+            <div className="form-group">
+              <label htmlFor="testCase">Mock Test Case</label>
+              <select
+                className="form-control"
+                name="testCase"
+                id="testCase"
+                onChange={this.handleChange}
+                value={this.state.testCase}
+              >
+                <option value="">None, call the real integrations</option>
+                {testCases.map(testCase => (
+                  <option key={testCase} value={testCase}>
+                    {testCase}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
           <div className="form-group">
             <label htmlFor="input">Input</label>
             <button
@@ -168,15 +185,9 @@ class StartExecution extends Component {
             Submit
           </button>
         </form>
+        <ErrorPanel error={this.state.error} />
         {response.length > 0 && (
-          <div
-            className={
-              statusCode === "200"
-                ? "alert alert-success response"
-                : "alert alert-danger response"
-            }
-            role="alert"
-          >
+          <div className="alert alert-success response" role="alert">
             <pre>{response}</pre>
           </div>
         )}
@@ -185,4 +196,4 @@ class StartExecution extends Component {
   }
 }
 
-export default StartExecution;
+export default withEndpoint(StartExecution);
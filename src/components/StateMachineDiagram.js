@@ -12,11 +12,102 @@ import ReactFlow, {
 import "reactflow/dist/style.css";
 import { useEndpoint } from "../context/EndpointContext";
 import { parseStateMachine } from "../utils/stateMachineParser";
+import ErrorPanel from "./ErrorPanel";
 import "./StateMachineDiagram.css";
 
+const DIRECTION_STORAGE_KEY = "stepfunctions-diagram-direction";
+
+// Where each node's handles go for a layout direction: edges come in and go
+// out along the flow, Catch edges leave to the side, and loops back to an
+// earlier state use the other side
+const HANDLE_POSITIONS = {
+  TB: {
+    in: Position.Top,
+    out: Position.Bottom,
+    catch: Position.Right,
+    loop: Position.Left
+  },
+  LR: {
+    in: Position.Left,
+    out: Position.Right,
+    catch: Position.Bottom,
+    loop: Position.Top
+  }
+};
+
+// Handles for the loop edges of a node, apart so both can be drawn on the
+// same side
+function LoopHandles({ direction, loopIn, loopOut }) {
+  const position = HANDLE_POSITIONS[direction].loop;
+  const offset = share =>
+    position === Position.Left ? { top: share } : { left: share };
+  return (
+    <>
+      {loopIn && (
+        <Handle
+          type="target"
+          position={position}
+          id="loop-in"
+          style={offset("30%")}
+          className="custom-handle custom-handle-loop"
+        />
+      )}
+      {loopOut && (
+        <Handle
+          type="source"
+          position={position}
+          id="loop-out"
+          style={offset("70%")}
+          className="custom-handle custom-handle-loop"
+        />
+      )}
+    </>
+  );
+}
+
+// Number of retriers on a retrying state; hover for their settings, click
+// to keep them open
+function RetryBadge({ retriers }) {
+  const [open, setOpen] = useState(false);
+  const summary = retriers
+    .map(retrier =>
+      [retrier.errors]
+        .concat(retrier.settings.map(s => `  ${s.name}: ${s.value}`))
+        .join("\n")
+    )
+    .join("\n");
+  return (
+    <>
+      <button
+        className="retry-badge nodrag"
+        title={summary}
+        onClick={() => setOpen(!open)}
+      >
+        ↺ {retriers.length}
+      </button>
+      {open && (
+        <div className="retry-details nodrag">
+          {retriers.map((retrier, index) => (
+            <div key={index} className="retry-details-item">
+              <div className="retry-details-errors">{retrier.errors}</div>
+              {retrier.settings.map(setting => (
+                <div key={setting.name} className="retry-details-setting">
+                  <span>{setting.name}</span>
+                  <strong>{setting.value}</strong>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+    </>
+  );
+}
+
 // Custom Node Component - Clean design with multiple handles
 function CustomNode({ data }) {
-  const { label, type, isBranch, hasCatch } = data;
+  const { label, type, hasCatch, retriers, direction } = data;
+  const positions = HANDLE_POSITIONS[direction];
   const isStart = type === "Start";
   const isEnd = type === "End";
   const isFail = type === "Fail";
@@ -35,76 +126,104 @@ function CustomNode({ data }) {
     Map: "↻"
   };
 
-  const nodeClasses = [
-    "custom-node",
-    `custom-node-${type.toLowerCase()}`,
-    isBranch ? "is-branch" : ""
-  ]
-    .filter(Boolean)
-    .join(" ");
+  const nodeClasses = `custom-node custom-node-${type.toLowerCase()}`;
 
   return (
-    <div className={nodeClasses}>
-      {/* Top handle - main input */}
+    <div className={nodeClasses} title={label}>
+      {/* Main input */}
       {!isStart && (
         <Handle
           type="target"
-          position={Position.Top}
-          id="top"
+          position={positions.in}
+          id="in"
           className="custom-handle"
         />
       )}
 
-      {/* Left handle - for receiving error connections */}
-      {isFail && (
-        <Handle
-          type="target"
-          position={Position.Left}
-          id="left"
-          className="custom-handle custom-handle-error"
-        />
-      )}
-
       <div className="custom-node-content">
         <span className="custom-node-icon">{icons[type] || "●"}</span>
         <span className="custom-node-label">{label}</span>
         {!isStart && !isEnd && <span className="custom-node-type">{type}</span>}
+        {retriers && retriers.length > 0 && <RetryBadge retriers={retriers} />}
       </div>
 
-      {/* Bottom handle - main output */}
+      {/* Main output */}
       {!isEnd && !isFail && (
         <Handle
           type="source"
-          position={Position.Bottom}
-          id="bottom"
+          position={positions.out}
+          id="out"
           className="custom-handle"
         />
       )}
 
-      {/* Right handle - for error/catch outputs */}
+      {/* Error/catch outputs */}
       {hasCatch && (
         <Handle
           type="source"
-          position={Position.Right}
-          id="right"
+          position={positions.catch}
+          id="catch"
           className="custom-handle custom-handle-error"
         />
       )}
+
+      <LoopHandles {...data} />
+    </div>
+  );
+}
+
+// Frame around the workflow a Map state runs for each item, or one branch of
+// a Parallel, headed by the Map's settings. The nodes of that workflow are
+// its children.
+function SubgraphNode({ data }) {
+  const { label, type, settings, direction } = data;
+  const positions = HANDLE_POSITIONS[direction];
+  return (
+    <div className={`subgraph-node subgraph-node-${type.toLowerCase()}`}>
+      <Handle
+        type="target"
+        position={positions.in}
+        id="in"
+        className="custom-handle"
+      />
+      <div className="subgraph-header">
+        <span className="subgraph-label">{label}</span>
+        {settings.map(setting => (
+          <span
+            key={setting.name}
+            className="subgraph-badge"
+            title={`${setting.name}: ${setting.value}`}
+          >
+            {setting.name} <strong>{setting.value}</strong>
+          </span>
+        ))}
+      </div>
+      <Handle
+        type="source"
+        position={positions.out}
+        id="out"
+        className="custom-handle"
+      />
+      <LoopHandles {...data} />
     </div>
   );
 }
 
 const nodeTypes = {
-  custom: CustomNode
+  custom: CustomNode,
+  subgraph: SubgraphNode
 };
 
 function StateMachineDiagram({ match, history }) {
   const { arn } = match.params;
-  const { endpoint } = useEndpoint();
+  const { client } = useEndpoint();
 
   const [stateMachine, setStateMachine] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [direction, setDirection] = useState(
+    () => localStorage.getItem(DIRECTION_STORAGE_KEY) || "TB"
+  );
 
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
@@ -118,39 +237,38 @@ function StateMachineDiagram({ match, history }) {
     setError(null);
 
     try {
-      const response = await fetch("/api/describe-state-machine", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          param: { stateMachineArn: decodedArn },
-          endpoint
-        })
+      const data = await client.describeStateMachine({
+        stateMachineArn: decodedArn
       });
-
-      if (!response.ok) {
-        throw new Error("Failed to fetch state machine");
-      }
-
-      const data = await response.json();
       setStateMachine(data);
-
-      // Parse definition and create flow elements
-      const { nodes: parsedNodes, edges: parsedEdges } = parseStateMachine(
-        data.definition
-      );
-      setNodes(parsedNodes);
-      setEdges(parsedEdges);
     } catch (err) {
-      setError(err.message);
+      setError(err);
     } finally {
       setLoading(false);
     }
-  }, [decodedArn, endpoint, setNodes, setEdges]);
+  }, [decodedArn, client]);
 
   useEffect(() => {
     fetchStateMachine();
   }, [fetchStateMachine]);
 
+  // Parse definition and create flow elements, again when the direction
+  // changes
+  useEffect(() => {
+    if (!stateMachine) return;
+    const { nodes: parsedNodes, edges: parsedEdges } = parseStateMachine(
+      stateMachine.definition,
+      { direction }
+    );
+    setNodes(parsedNodes);
+    setEdges(parsedEdges);
+  }, [stateMachine, direction, setNodes, setEdges]);
+
+  const changeDirection = value => {
+    localStorage.setItem(DIRECTION_STORAGE_KEY, value);
+    setDirection(value);
+  };
+
   const handleBack = () => {
     history.push("/");
   };
@@ -169,16 +287,11 @@ function StateMachineDiagram({ match, history }) {
   if (error) {
     return (
       <div className="diagram-container">
-        <div className="error-state">
-          <span className="error-icon">⚠</span>
-          <span>{error}</span>
-          <button className="btn btn-primary" onClick={fetchStateMachine}>
-            Retry
-          </button>
-          <button className="btn btn-secondary" onClick={handleBack}>
-            Back to List
-          </button>
-        </div>
+        <ErrorPanel
+          error={error}
+          onRetry={fetchStateMachine}
+          onDismiss={handleBack}
+        />
       </div>
     );
   }
@@ -194,6 +307,30 @@ function StateMachineDiagram({ match, history }) {
           <code className="diagram-arn">{decodedArn}</code>
         </div>
         <div className="diagram-actions">
+          <div className="direction-toggle" role="group" aria-label="Layout">
+            {[["TB", "↓ Top-down"], ["LR", "→ Left-right"]].map(
+              ([value, label]) => (
+                <button
+                  key={value}
+                  className={direction === value ? "active" : ""}
+                  aria-pressed={direction === value}
+                  onClick={() => changeDirection(value)}
+                >
+                  {label}
+                </button>
+              )
+            )}
+          </div>
+          <button
+            className="btn btn-secondary"
+            onClick={() =>
+              history.push(
+                `/state-machine/${encodeURIComponent(decodedArn)}/edit`
+              )
+            }
+          >
+            ✎ Edit
+          </button>
           <button
             className="btn btn-primary"
             onClick={() =>
@@ -209,6 +346,7 @@ function StateMachineDiagram({ match, history }) {
 
       <div className="diagram-container">
         <ReactFlow
+          key={direction}
           nodes={nodes}
           edges={edges}
           onNodesChange={onNodesChange}
@@ -226,6 +364,11 @@ function StateMachineDiagram({ match, history }) {
           <MiniMap
             className="flow-minimap"
             nodeColor={node => {
+              if (node.type === "subgraph") {
+                return node.data.type === "Parallel"
+                  ? "rgba(167, 139, 250, 0.15)"
+                  : "rgba(45, 212, 191, 0.15)";
+              }
               const type = node.data?.type?.toLowerCase();
               if (type === "start") return "#4ade80";
               if (type === "end" || type === "fail") return "#f87171";
@@ -0,0 +1,70 @@
+import React from "react";
+
+// Drops rows without a key and trims whitespace so the result can be passed
+// straight to createStateMachine, createActivity or tagResource.
+export function cleanTags(tags) {
+  return tags
+    .map(tag => ({ key: tag.key.trim(), value: tag.value.trim() }))
+    .filter(tag => tag.key.length !== 0);
+}
+
+function TagEditor({ tags, onChange, disabled }) {
+  const updateTag = (index, field, value) => {
+    onChange(
+      tags.map((tag, i) => (i === index ? { ...tag, [field]: value } : tag))
+    );
+  };
+
+  const addTag = event => {
+    event.preventDefault();
+    onChange([...tags, { key: "", value: "" }]);
+  };
+
+  const removeTag = (event, index) => {
+    event.preventDefault();
+    onChange(tags.filter((tag, i) => i !== index));
+  };
+
+  return (
+    <div className="tag-editor">
+      {tags.length === 0 && <div className="tag-editor-empty">No tags</div>}
+      {tags.map((tag, index) => (
+        <div className="tag-editor-row" key={index}>
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Key"
+            value={tag.key}
+            onChange={e => updateTag(index, "key", e.target.value)}
+            disabled={disabled}
+          />
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Value"
+            value={tag.value}
+            onChange={e => updateTag(index, "value", e.target.value)}
+            disabled={disabled}
+          />
+          <button
+            className="btn btn-danger btn-sm"
+            onClick={e => removeTag(e, index)}
+            disabled={disabled}
+            title="Remove tag"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        className="btn btn-secondary btn-sm"
+        onClick={addTag}
+        disabled={disabled}
+      >
+        + Add Tag
+      </button>
+    </div>
+  );
+}
+
+export default TagEditor;
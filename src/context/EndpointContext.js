@@ -1,70 +1,301 @@
-import React, { createContext, useState, useContext, useEffect } from "react";
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useCallback,
+  useEffect,
+  useMemo
+} from "react";
+import uuidv1 from "uuid/v1";
+import { createClient, request } from "../utils/stepFunctionsClient";
+import { isEndpointAllowed } from "../utils/endpointAllowlist";
 
 const EndpointContext = createContext();
 
 const DEFAULT_ENDPOINT = "http://localhost:8083";
+const DEFAULT_REGION = "us-east-1";
 const STORAGE_KEY = "stepfunctions-endpoint";
+const PROFILES_STORAGE_KEY = "stepfunctions-profiles";
+const ACTIVE_PROFILE_STORAGE_KEY = "stepfunctions-active-profile";
+const SECRETS_STORAGE_KEY = "stepfunctions-profile-secrets";
+const SECRET_FIELDS = ["secretAccessKey", "sessionToken"];
+const SERVER_PROFILE_PREFIX = "server:";
 
-export function EndpointProvider({ children }) {
-  const [endpoint, setEndpoint] = useState(() => {
-    const saved = localStorage.getItem(STORAGE_KEY);
-    return saved || DEFAULT_ENDPOINT;
+export const CREDENTIAL_SOURCES = {
+  default: "Default provider chain",
+  shared: "Shared credentials file profile",
+  static: "Access key"
+};
+
+export const BACKEND_MODES = {
+  runner: "Step Functions runner",
+  emulator: "Built-in emulator"
+};
+
+export function createProfile(fields) {
+  return {
+    id: uuidv1(),
+    name: "New profile",
+    mode: "runner",
+    endpoint: DEFAULT_ENDPOINT,
+    region: DEFAULT_REGION,
+    accountId: "",
+    credentials: { source: "default" },
+    ...fields
+  };
+}
+
+// Profiles are kept in local storage, except for the secrets of static
+// credentials: those only go to session storage, which the browser clears
+// when it closes.
+function storeProfiles(profiles) {
+  const secrets = {};
+  const stored = profiles.map(profile => {
+    const credentials = { ...profile.credentials };
+    SECRET_FIELDS.forEach(field => {
+      if (credentials[field]) {
+        secrets[profile.id] = {
+          ...secrets[profile.id],
+          [field]: credentials[field]
+        };
+      }
+      delete credentials[field];
+    });
+    return { ...profile, credentials };
   });
+  localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(stored));
+  sessionStorage.setItem(SECRETS_STORAGE_KEY, JSON.stringify(secrets));
+}
+
+function loadSecrets() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SECRETS_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// The first run seeds a single profile from the endpoint saved by earlier
+// versions of the dashboard, if there is one.
+function loadProfiles() {
+  const saved = localStorage.getItem(PROFILES_STORAGE_KEY);
+  if (saved) {
+    try {
+      const secrets = loadSecrets();
+      const profiles = JSON.parse(saved);
+      if (Array.isArray(profiles) && profiles.length > 0) {
+        const merged = profiles.map(profile => ({
+          ...profile,
+          credentials: { ...profile.credentials, ...secrets[profile.id] }
+        }));
+        // Moves secrets saved by earlier versions out of local storage
+        storeProfiles(merged);
+        return merged;
+      }
+    } catch (e) {
+      console.error("Failed to parse saved connection profiles:", e);
+    }
+  }
+  const endpoint = localStorage.getItem(STORAGE_KEY) || DEFAULT_ENDPOINT;
+  return [createProfile({ name: "Local runner", endpoint })];
+}
+
+export function EndpointProvider({ children }) {
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeProfileId, setActiveProfileId] = useState(
+    () => localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY) || profiles[0].id
+  );
+
+  // Allowed endpoints and shared profiles from the server's configuration
+  const [serverConfig, setServerConfig] = useState(null);
+
+  useEffect(() => {
+    request("config", undefined, "GET")
+      .then(setServerConfig)
+      .catch(error => console.error("Failed to load server config:", error));
+  }, []);
+
+  // Server profiles are offered next to the saved ones but never stored
+  const serverProfiles = useMemo(
+    () =>
+      (serverConfig ? serverConfig.profiles : []).map(serverProfile => ({
+        ...serverProfile,
+        id: `${SERVER_PROFILE_PREFIX}${serverProfile.name}`,
+        fromServer: true
+      })),
+    [serverConfig]
+  );
+  const allProfiles = useMemo(() => [...profiles, ...serverProfiles], [
+    profiles,
+    serverProfiles
+  ]);
+
+  const profile =
+    allProfiles.find(candidate => candidate.id === activeProfileId) ||
+    profiles[0];
+
+  // Whether the server sends a profile's calls to its built-in emulator
+  const usesEmulator = candidate =>
+    candidate.mode === "emulator" ||
+    (!!serverConfig && serverConfig.mode === "emulator");
+  const endpoint = profile.endpoint;
+  const client = useMemo(() => createClient(profile), [profile]);
 
   const [isConnected, setIsConnected] = useState(false);
   const [isChecking, setIsChecking] = useState(true);
   const [lastError, setLastError] = useState(null);
+  const [checkedAt, setCheckedAt] = useState(null);
+
+  // Resources the dashboard created that the runner has lost, and the
+  // outcome of the last attempt to create them again
+  const [missingResources, setMissingResources] = useState(null);
+  const [restoreResult, setRestoreResult] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
 
-  const updateEndpoint = newEndpoint => {
-    setEndpoint(newEndpoint);
-    localStorage.setItem(STORAGE_KEY, newEndpoint);
+  const persistProfiles = newProfiles => {
+    setProfiles(newProfiles);
+    storeProfiles(newProfiles);
   };
 
-  const checkConnection = async () => {
+  const selectProfile = id => {
+    setActiveProfileId(id);
+    localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, id);
+  };
+
+  const saveProfile = savedProfile => {
+    const exists = profiles.some(candidate => candidate.id === savedProfile.id);
+    persistProfiles(
+      exists
+        ? profiles.map(candidate =>
+            candidate.id === savedProfile.id ? savedProfile : candidate
+          )
+        : [...profiles, savedProfile]
+    );
+  };
+
+  const deleteProfile = id => {
+    const remaining = profiles.filter(candidate => candidate.id !== id);
+    if (remaining.length === 0) {
+      return;
+    }
+    persistProfiles(remaining);
+    if (id === profile.id) {
+      selectProfile(remaining[0].id);
+    }
+  };
+
+  const checkConnection = useCallback(async () => {
     setIsChecking(true);
     setLastError(null);
 
     try {
-      const response = await fetch("/api/list-state-machines", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ param: {}, endpoint })
-      });
-
-      if (response.ok) {
-        setIsConnected(true);
-        setLastError(null);
-      } else {
-        const error = await response.json();
-        setIsConnected(false);
-        setLastError(error.message || "Connection failed");
-      }
+      await client.listStateMachines();
+      setIsConnected(true);
+      setLastError(null);
+      setCheckedAt(Date.now());
     } catch (error) {
       setIsConnected(false);
       setLastError(error.message || "Unable to connect");
     } finally {
       setIsChecking(false);
     }
-  };
+  }, [client]);
 
-  // Check connection on mount and when endpoint changes
+  // Check connection on mount and when the profile changes
   useEffect(() => {
     checkConnection();
-  }, [endpoint]);
+  }, [checkConnection]);
 
   // Periodically check connection every 30 seconds
   useEffect(() => {
     const interval = setInterval(checkConnection, 30000);
     return () => clearInterval(interval);
-  }, [endpoint]);
+  }, [checkConnection]);
+
+  useEffect(() => {
+    setMissingResources(null);
+    setRestoreResult(null);
+  }, [client]);
+
+  // A runner that restarted comes back empty. After each successful check,
+  // compare it with the server's registry and offer to recreate what is
+  // gone, or do so right away when the server has registry.autoRestore.
+  useEffect(() => {
+    if (!checkedAt || !serverConfig || !(serverConfig.registry || {}).enabled) {
+      return;
+    }
+    let cancelled = false;
+    const readOnly =
+      !!serverConfig.auth && serverConfig.auth.role === "read-only";
+    client
+      .checkRegistry()
+      .then(({ missing }) => {
+        const count = missing.stateMachines.length + missing.activities.length;
+        if (cancelled) {
+          return;
+        }
+        if (count === 0) {
+          setMissingResources(null);
+        } else if (serverConfig.registry.autoRestore && !readOnly) {
+          return client.restoreRegistry().then(result => {
+            if (!cancelled) {
+              setRestoreResult(result);
+            }
+          });
+        } else {
+          setMissingResources(missing);
+        }
+      })
+      .catch(error => console.error("Failed to check the registry:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [client, serverConfig, checkedAt]);
+
+  const restoreResources = async () => {
+    setIsRestoring(true);
+    try {
+      setRestoreResult(await client.restoreRegistry());
+      setMissingResources(null);
+    } catch (error) {
+      setRestoreResult({ error });
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  const forgetResources = async () => {
+    try {
+      await client.forgetRegistry(missingResources);
+      setMissingResources(null);
+    } catch (error) {
+      setRestoreResult({ error });
+    }
+  };
 
   const value = {
     endpoint,
-    updateEndpoint,
+    profile,
+    client,
+    profiles: allProfiles,
+    serverConfig,
+    usesEmulator,
+    isProfileAllowed: candidate =>
+      usesEmulator(candidate) ||
+      isEndpointAllowed(candidate.endpoint, serverConfig),
+    selectProfile,
+    saveProfile,
+    deleteProfile,
     isConnected,
     isChecking,
     lastError,
-    checkConnection
+    checkConnection,
+    missingResources,
+    restoreResult,
+    isRestoring,
+    restoreResources,
+    forgetResources,
+    dismissRestoreResult: () => setRestoreResult(null)
   };
 
   return (
@@ -82,4 +313,16 @@ export function useEndpoint() {
   return context;
 }
 
+// Gives class components the same context as useEndpoint() through props.
+// Pages should compare props.client in componentDidUpdate and reload when the
+// selected profile changes.
+export function withEndpoint(Component) {
+  function WithEndpoint(props) {
+    return <Component {...props} {...useEndpoint()} />;
+  }
+  WithEndpoint.displayName = `withEndpoint(${Component.displayName ||
+    Component.name})`;
+  return WithEndpoint;
+}
+
 export default EndpointContext;
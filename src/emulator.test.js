@@ -0,0 +1,403 @@
+import { createEmulator } from "../backend/emulator";
+import { recordTestCase } from "./utils/mockConfig";
+
+const definition = {
+  StartAt: "Init",
+  States: {
+    Init: {
+      Type: "Pass",
+      Result: { count: 3 },
+      ResultPath: "$.config",
+      Next: "Pause"
+    },
+    Pause: { Type: "Wait", Seconds: 30, Next: "Decide" },
+    Decide: {
+      Type: "Choice",
+      Choices: [
+        { Variable: "$.config.count", NumericGreaterThan: 2, Next: "FanOut" }
+      ],
+      Default: "TooFew"
+    },
+    TooFew: { Type: "Fail", Error: "TooFew", Cause: "count is too small" },
+    FanOut: {
+      Type: "Parallel",
+      Branches: [
+        {
+          StartAt: "Greet",
+          States: {
+            Greet: {
+              Type: "Pass",
+              Parameters: { "greeting.$": "States.Format('hi {}', $.name)" },
+              End: true
+            }
+          }
+        },
+        {
+          StartAt: "Break",
+          States: {
+            Break: { Type: "Fail", Error: "Broken" }
+          }
+        }
+      ],
+      Catch: [{ ErrorEquals: ["Broken"], ResultPath: "$.error", Next: "Done" }],
+      End: true
+    },
+    Done: { Type: "Succeed", OutputPath: "$.error" }
+  }
+};
+
+async function run(emulator, input) {
+  const { stateMachineArn } = await emulator
+    .createStateMachine({
+      name: "emulated",
+      definition: JSON.stringify(definition),
+      roleArn: "arn:aws:iam::123456789012:role/emulated"
+    })
+    .promise();
+  const { executionArn } = await emulator
+    .startExecution({ stateMachineArn, input: JSON.stringify(input) })
+    .promise();
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return executionArn;
+}
+
+it("runs Pass, Wait, Choice, Parallel, Fail and Succeed states", async () => {
+  const emulator = createEmulator({ timeScale: 0 });
+  const executionArn = await run(emulator, { name: "Ada" });
+
+  const execution = await emulator
+    .describeExecution({ executionArn })
+    .promise();
+  expect(execution.status).toBe("SUCCEEDED");
+  expect(JSON.parse(execution.output)).toEqual({
+    Error: "Broken",
+    Cause: ""
+  });
+
+  const { events } = await emulator
+    .getExecutionHistory({ executionArn })
+    .promise();
+  const types = events.map(event => event.type);
+  expect(types[0]).toBe("ExecutionStarted");
+  expect(types).toContain("ParallelStateFailed");
+  expect(types[types.length - 1]).toBe("ExecutionSucceeded");
+});
+
+it("answers unknown resources with SDK-style errors", async () => {
+  const emulator = createEmulator({ timeScale: 0 });
+  await expect(
+    emulator
+      .describeStateMachine({
+        stateMachineArn: "arn:aws:states:us-east-1:123456789012:stateMachine:x"
+      })
+      .promise()
+  ).rejects.toMatchObject({
+    code: "StateMachineDoesNotExist",
+    statusCode: 400
+  });
+});
+
+it("rejects Map states that read items elsewhere and names with control characters", async () => {
+  const emulator = createEmulator({ timeScale: 0 });
+  const create = (name, states) =>
+    emulator
+      .createStateMachine({
+        name,
+        roleArn: "arn:aws:iam::123456789012:role/test",
+        definition: JSON.stringify({ StartAt: "Each", States: states })
+      })
+      .promise();
+
+  await expect(
+    create("map", {
+      Each: {
+        Type: "Map",
+        ItemReader: {
+          Resource: "arn:aws:states:::s3:getObject",
+          Parameters: { Bucket: "items", Key: "items.json" }
+        },
+        ItemProcessor: {
+          StartAt: "Work",
+          States: { Work: { Type: "Pass", End: true } }
+        },
+        End: true
+      }
+    })
+  ).rejects.toMatchObject({
+    code: "InvalidDefinition",
+    message: expect.stringContaining("ItemReader or ResultWriter")
+  });
+  await expect(
+    create("bad\u0007name", { Each: { Type: "Pass", End: true } })
+  ).rejects.toMatchObject({ code: "InvalidName" });
+});
+
+it("runs Map states over their items, MaxConcurrency at a time", async () => {
+  const emulator = createEmulator({ timeScale: 0 });
+  const { stateMachineArn } = await emulator
+    .createStateMachine({
+      name: "mapped",
+      roleArn: "arn:aws:iam::123456789012:role/test",
+      definition: JSON.stringify({
+        StartAt: "Each",
+        States: {
+          Each: {
+            Type: "Map",
+            ItemsPath: "$.grades",
+            MaxConcurrency: 2,
+            ItemSelector: {
+              "student.$": "$.student",
+              "grade.$": "$$.Map.Item.Value",
+              "index.$": "$$.Map.Item.Index"
+            },
+            ItemProcessor: {
+              StartAt: "Mark",
+              States: {
+                Mark: {
+                  Type: "Pass",
+                  Parameters: {
+                    "mark.$": "States.Format('{}: {}', $.student, $.grade)",
+                    "index.$": "$.index"
+                  },
+                  End: true
+                }
+              }
+            },
+            ResultPath: "$.marks",
+            End: true
+          }
+        }
+      })
+    })
+    .promise();
+  const { executionArn } = await emulator
+    .startExecution({
+      stateMachineArn,
+      input: JSON.stringify({ student: "Ada", grades: ["A", "B", "C"] })
+    })
+    .promise();
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const execution = await emulator
+    .describeExecution({ executionArn })
+    .promise();
+  expect(execution.status).toBe("SUCCEEDED");
+  expect(JSON.parse(execution.output).marks).toEqual([
+    { mark: "Ada: A", index: 0 },
+    { mark: "Ada: B", index: 1 },
+    { mark: "Ada: C", index: 2 }
+  ]);
+
+  const { events } = await emulator
+    .getExecutionHistory({ executionArn })
+    .promise();
+  const types = events.map(event => event.type);
+  expect(types.filter(type => type === "MapIterationSucceeded")).toHaveLength(
+    3
+  );
+  // The third item only starts once one of the first two has finished
+  expect(types.indexOf("MapIterationSucceeded")).toBeLessThan(
+    types.lastIndexOf("MapIterationStarted")
+  );
+});
+
+it("cancels the activity tasks of sibling branches when a branch fails", async () => {
+  const emulator = createEmulator({ timeScale: 0 });
+  const { activityArn } = await emulator
+    .createActivity({ name: "slow" })
+    .promise();
+  const { stateMachineArn } = await emulator
+    .createStateMachine({
+      name: "forked",
+      roleArn: "arn:aws:iam::123456789012:role/test",
+      definition: JSON.stringify({
+        StartAt: "Fork",
+        States: {
+          Fork: {
+            Type: "Parallel",
+            Branches: [
+              {
+                StartAt: "Wait for worker",
+                States: {
+                  "Wait for worker": {
+                    Type: "Task",
+                    Resource: activityArn,
+                    End: true
+                  }
+                }
+              },
+              {
+                StartAt: "Break",
+                States: { Break: { Type: "Fail", Error: "Broken" } }
+              }
+            ],
+            Catch: [{ ErrorEquals: ["Broken"], Next: "Recovered" }],
+            End: true
+          },
+          // Keeps the execution running, and so the run's own cancellers
+          // out of the way
+          Recovered: { Type: "Task", Resource: activityArn, End: true }
+        }
+      })
+    })
+    .promise();
+
+  const polled = emulator.getActivityTask({ activityArn }).promise();
+  const { executionArn } = await emulator
+    .startExecution({ stateMachineArn })
+    .promise();
+  const { taskToken } = await polled;
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const execution = await emulator
+    .describeExecution({ executionArn })
+    .promise();
+  expect(execution.status).toBe("RUNNING");
+  await expect(
+    emulator.sendTaskSuccess({ taskToken, output: "{}" }).promise()
+  ).rejects.toMatchObject({ code: "TaskDoesNotExist" });
+  await emulator.stopExecution({ executionArn }).promise();
+});
+
+it("answers Task states from a mock config test case", async () => {
+  const mockConfig = {
+    StateMachines: {
+      charged: { TestCases: { Retried: { Charge: "ThrottledOnce" } } }
+    },
+    MockedResponses: {
+      ThrottledOnce: {
+        "0": { Throw: { Error: "Lambda.TooManyRequestsException" } },
+        "1": { Return: { StatusCode: 200, Payload: { paid: true } } }
+      }
+    }
+  };
+  const emulator = createEmulator({
+    timeScale: 0,
+    loadMockConfig: () => mockConfig
+  });
+  const { stateMachineArn } = await emulator
+    .createStateMachine({
+      name: "charged",
+      definition: JSON.stringify({
+        StartAt: "Charge",
+        States: {
+          Charge: {
+            Type: "Task",
+            Resource: "arn:aws:states:::lambda:invoke",
+            Retry: [{ ErrorEquals: ["Lambda.TooManyRequestsException"] }],
+            ResultSelector: { "paid.$": "$.Payload.paid" },
+            End: true
+          }
+        }
+      }),
+      roleArn: "arn:aws:iam::123456789012:role/emulated"
+    })
+    .promise();
+  const { executionArn } = await emulator
+    .startExecution({ stateMachineArn: `${stateMachineArn}#Retried` })
+    .promise();
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const execution = await emulator
+    .describeExecution({ executionArn })
+    .promise();
+  expect(execution.status).toBe("SUCCEEDED");
+  expect(JSON.parse(execution.output)).toEqual({ paid: true });
+
+  await expect(
+    emulator
+      .startExecution({ stateMachineArn: `${stateMachineArn}#Missing` })
+      .promise()
+  ).rejects.toMatchObject({ code: "InvalidArn" });
+});
+
+it("rejects test cases that use unknown mocked responses", async () => {
+  const documents = [
+    {
+      StateMachines: { broken: { TestCases: { Bad: { Charge: "Missing" } } } }
+    },
+    {
+      StateMachines: { broken: { TestCases: { Bad: { Charge: "Missing" } } } },
+      MockedResponses: { Other: { "0": { Return: {} } } }
+    }
+  ];
+  for (const document of documents) {
+    const emulator = createEmulator({
+      timeScale: 0,
+      loadMockConfig: () => document
+    });
+    const { stateMachineArn } = await emulator
+      .createStateMachine({
+        name: "broken",
+        definition: JSON.stringify({
+          StartAt: "Charge",
+          States: {
+            Charge: {
+              Type: "Task",
+              Resource: "arn:aws:states:::lambda:invoke",
+              End: true
+            }
+          }
+        }),
+        roleArn: "arn:aws:iam::123456789012:role/emulated"
+      })
+      .promise();
+    await expect(
+      emulator
+        .startExecution({ stateMachineArn: `${stateMachineArn}#Bad` })
+        .promise()
+    ).rejects.toMatchObject({
+      code: "InvalidMockConfig",
+      statusCode: 400,
+      message: expect.stringContaining("unknown mocked response Missing")
+    });
+  }
+});
+
+it("records a test case that replays an execution's Task results", async () => {
+  const throttled = { Throw: { Error: "Throttled", Cause: "slow down" } };
+  const mockedResponses = {
+    "Original-Charge": {
+      "0-1": throttled,
+      "2": { Return: { paid: true } }
+    }
+  };
+  const emulator = createEmulator({
+    timeScale: 0,
+    loadMockConfig: () => ({
+      StateMachines: {
+        recorded: { TestCases: { Original: { Charge: "Original-Charge" } } }
+      },
+      MockedResponses: mockedResponses
+    })
+  });
+  const { stateMachineArn } = await emulator
+    .createStateMachine({
+      name: "recorded",
+      definition: JSON.stringify({
+        StartAt: "Charge",
+        States: {
+          Charge: {
+            Type: "Task",
+            Resource: "arn:aws:states:::lambda:invoke",
+            Retry: [{ ErrorEquals: ["Throttled"] }],
+            End: true
+          }
+        }
+      }),
+      roleArn: "arn:aws:iam::123456789012:role/emulated"
+    })
+    .promise();
+  const { executionArn } = await emulator
+    .startExecution({ stateMachineArn: `${stateMachineArn}#Original` })
+    .promise();
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  const { events } = await emulator
+    .getExecutionHistory({ executionArn })
+    .promise();
+  expect(recordTestCase(events, "Original")).toEqual({
+    states: { Charge: "Original-Charge" },
+    mockedResponses
+  });
+});
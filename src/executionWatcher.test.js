@@ -0,0 +1,75 @@
+import { watchHistory } from "../backend/ExecutionWatcher";
+import { createClient } from "../backend/StepFunctionsAPI";
+
+const profile = { mode: "emulator", region: "eu-west-3" };
+
+// Ten Pass states make a history of 22 events
+const definition = {
+  StartAt: "Step1",
+  States: Array.from({ length: 10 }, (_, i) => i + 1).reduce(
+    (states, n) => ({
+      ...states,
+      [`Step${n}`]:
+        n < 10
+          ? { Type: "Pass", Next: `Step${n + 1}` }
+          : { Type: "Pass", End: true }
+    }),
+    {}
+  )
+};
+
+async function runExecution(name) {
+  const emulator = createClient(profile);
+  const { stateMachineArn } = await emulator
+    .createStateMachine({
+      name,
+      definition: JSON.stringify(definition),
+      roleArn: "arn:aws:iam::123456789012:role/watched"
+    })
+    .promise();
+  const { executionArn } = await emulator
+    .startExecution({ stateMachineArn })
+    .promise();
+  await new Promise(resolve => setTimeout(resolve, 50));
+  return executionArn;
+}
+
+// Collects the event ids a subscriber is sent; resolves once the execution
+// completed and stragglers had a moment to arrive
+function subscribe(executionArn, afterEventId) {
+  const ids = [];
+  let unsubscribe;
+  return new Promise(resolve => {
+    unsubscribe = watchHistory(
+      profile,
+      executionArn,
+      afterEventId,
+      (type, data) => {
+        if (type === "history") {
+          ids.push(...data.events.map(event => event.id));
+        }
+        if (type === "complete") {
+          setTimeout(resolve, 50);
+        }
+      }
+    );
+  }).then(() => {
+    unsubscribe();
+    return ids.sort((a, b) => a - b);
+  });
+}
+
+it("only streams the history events after afterEventId", async () => {
+  const executionArn = await runExecution("watched-after");
+  const ids = await subscribe(executionArn, 5);
+  expect(ids[0]).toBe(6);
+  expect(ids).toHaveLength(22 - 5);
+});
+
+it("sends a subscriber further behind the events it missed", async () => {
+  const executionArn = await runExecution("watched-behind");
+  const ahead = subscribe(executionArn, 20);
+  const behind = subscribe(executionArn, 10);
+  expect(await ahead).toEqual([21, 22]);
+  expect(await behind).toEqual(Array.from({ length: 12 }, (_, i) => i + 11));
+});
@@ -0,0 +1,142 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import Registry from "../backend/Registry";
+import Reprovision from "../backend/Reprovision";
+import {
+  createClient,
+  getProfileKey,
+  invoke
+} from "../backend/StepFunctionsAPI";
+import { config } from "../backend/config";
+
+// An emulator of its own, so other suites' resources do not show up
+const profile = { mode: "emulator", accountId: "210987654321" };
+const profileKey = getProfileKey(profile);
+const definition = JSON.stringify({
+  StartAt: "Done",
+  States: { Done: { Type: "Succeed" } }
+});
+const roleArn = "arn:aws:iam::210987654321:role/registered";
+const tag = (key, value) => ({ key, value });
+
+let directory;
+const { registry } = config;
+
+beforeAll(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "registry-"));
+  config.registry = { file: path.join(directory, "registry.json") };
+});
+
+afterAll(() => {
+  config.registry = registry;
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const call = (type, param, role) =>
+  invoke(type, { profile, param, cache: false }, { role });
+
+it("records what is created, tagged, updated and deleted", async () => {
+  const { stateMachineArn } = await call("createStateMachine", {
+    name: "Recorded",
+    definition,
+    roleArn,
+    tags: [tag("team", "a")]
+  });
+  const { activityArn } = await call("createActivity", { name: "Gone" });
+  await call("tagResource", {
+    resourceArn: stateMachineArn,
+    tags: [tag("team", "b"), tag("env", "dev")]
+  });
+  await call("untagResource", {
+    resourceArn: stateMachineArn,
+    tagKeys: ["env"]
+  });
+  await call("updateStateMachine", {
+    stateMachineArn,
+    roleArn: `${roleArn}-2`
+  });
+  await call("deleteActivity", { activityArn });
+
+  expect(Registry.list(profileKey)).toEqual({
+    stateMachines: [
+      {
+        name: "Recorded",
+        definition,
+        roleArn: `${roleArn}-2`,
+        tags: [tag("team", "b")]
+      }
+    ],
+    activities: []
+  });
+  const saved = JSON.parse(fs.readFileSync(Registry.getFile(), "utf8"));
+  expect(Object.keys(saved[profileKey].stateMachines)).toEqual(["Recorded"]);
+});
+
+describe("Reprovision", () => {
+  let stateMachineArn;
+
+  beforeAll(async () => {
+    await call("createActivity", { name: "Approve", tags: [tag("k", "v")] });
+    stateMachineArn = (await call("createStateMachine", {
+      name: "Lost",
+      definition,
+      roleArn
+    })).stateMachineArn;
+    // The runner forgets them, as Step Functions Local does on a restart
+    const runner = createClient(profile);
+    await runner.deleteStateMachine({ stateMachineArn }).promise();
+    const { activities } = await runner.listActivities({}).promise();
+    await runner
+      .deleteActivity({ activityArn: activities[0].activityArn })
+      .promise();
+  });
+
+  it("finds what the runner lost", async () => {
+    const result = await Reprovision.check({ profile }, "read-only");
+    expect(result.missing).toEqual({
+      stateMachines: ["Lost"],
+      activities: ["Approve"]
+    });
+  });
+
+  it("leaves restoring to callers who may create resources", async () => {
+    const result = await Reprovision.restore({ profile }, "read-only");
+    expect(result.restored).toEqual({ stateMachines: [], activities: [] });
+    expect(result.failed.map(failure => failure.error.code)).toEqual([
+      "Forbidden",
+      "Forbidden"
+    ]);
+  });
+
+  it("creates the lost resources again, with their tags", async () => {
+    const result = await Reprovision.restore({ profile }, "admin");
+    expect(result).toEqual({
+      restored: {
+        stateMachines: ["Lost"],
+        activities: ["Approve"]
+      },
+      failed: []
+    });
+    const runner = createClient(profile);
+    const { activities } = await runner.listActivities({}).promise();
+    const { tags } = await runner
+      .listTagsForResource({ resourceArn: activities[0].activityArn })
+      .promise();
+    expect(tags).toEqual([tag("k", "v")]);
+    expect((await Reprovision.check({ profile })).missing).toEqual({
+      stateMachines: [],
+      activities: []
+    });
+  });
+
+  it("forgets resources on request", () => {
+    expect(() =>
+      Reprovision.forget({ profile, activities: "Approve" })
+    ).toThrow("activities must be an array of names");
+    Reprovision.forget({ profile, stateMachines: ["Lost"] });
+    expect(
+      Registry.list(profileKey).stateMachines.map(machine => machine.name)
+    ).toEqual(["Recorded"]);
+  });
+});
@@ -0,0 +1,128 @@
+import ResponseCache from "../backend/ResponseCache";
+import { getProfileKey, invoke } from "../backend/StepFunctionsAPI";
+
+const profileKey = "profile";
+const stateMachineArn =
+  "arn:aws:states:us-east-1:123456789012:stateMachine:cached";
+const executionArn =
+  "arn:aws:states:us-east-1:123456789012:execution:cached:run";
+
+const body = param => ({ param });
+const cached = (operation, param) =>
+  ResponseCache.get(profileKey, operation, body(param));
+
+beforeEach(() => ResponseCache.clear());
+
+describe("CACHEABLE", () => {
+  it("keeps finished executions and lists without running ones", () => {
+    ResponseCache.store(
+      profileKey,
+      "describeExecution",
+      body({ executionArn }),
+      {
+        status: "SUCCEEDED"
+      }
+    );
+    expect(cached("describeExecution", { executionArn })).toEqual({
+      status: "SUCCEEDED"
+    });
+
+    ResponseCache.store(
+      profileKey,
+      "listExecutions",
+      body({ stateMachineArn }),
+      {
+        executions: [{ status: "SUCCEEDED" }, { status: "RUNNING" }]
+      }
+    );
+    expect(cached("listExecutions", { stateMachineArn })).toBeUndefined();
+  });
+
+  it("keeps histories only once the execution has ended", () => {
+    const started = { events: [{ id: 1, type: "ExecutionStarted" }] };
+    ResponseCache.store(
+      profileKey,
+      "getExecutionHistory",
+      body({ executionArn }),
+      started
+    );
+    expect(cached("getExecutionHistory", { executionArn })).toBeUndefined();
+
+    const ended = {
+      events: started.events.concat({ id: 2, type: "ExecutionFailed" })
+    };
+    ResponseCache.store(
+      profileKey,
+      "getExecutionHistory",
+      body({ executionArn }),
+      ended
+    );
+    expect(cached("getExecutionHistory", { executionArn })).toEqual(ended);
+  });
+
+  it("never keeps mutating operations", () => {
+    ResponseCache.store(
+      profileKey,
+      "startExecution",
+      body({ stateMachineArn }),
+      {
+        executionArn
+      }
+    );
+    expect(cached("startExecution", { stateMachineArn })).toBeUndefined();
+  });
+});
+
+describe("INVALIDATES", () => {
+  const other = `${stateMachineArn}-other`;
+
+  beforeEach(() => {
+    [stateMachineArn, other].forEach(arn =>
+      ResponseCache.store(
+        profileKey,
+        "listExecutions",
+        body({ stateMachineArn: arn }),
+        {
+          executions: []
+        }
+      )
+    );
+    ResponseCache.store(profileKey, "listStateMachines", body({}), {
+      stateMachines: []
+    });
+  });
+
+  it("drops only the entries about the resource a call changed", () => {
+    ResponseCache.invalidate(profileKey, "startExecution", { stateMachineArn });
+    expect(cached("listExecutions", { stateMachineArn })).toBeUndefined();
+    expect(cached("listExecutions", { stateMachineArn: other })).toBeDefined();
+    expect(cached("listStateMachines", {})).toBeDefined();
+  });
+
+  it("treats a test case run as a call about its state machine", () => {
+    ResponseCache.invalidate(profileKey, "startExecution", {
+      stateMachineArn: `${stateMachineArn}#HappyPath`
+    });
+    expect(cached("listExecutions", { stateMachineArn })).toBeUndefined();
+    expect(cached("listExecutions", { stateMachineArn: other })).toBeDefined();
+  });
+
+  it("leaves the entries of other profiles alone", () => {
+    ResponseCache.invalidate("another profile", "createStateMachine", {});
+    expect(cached("listStateMachines", {})).toBeDefined();
+  });
+});
+
+it("checks a call before answering it from the cache", async () => {
+  const profile = { endpoint: "http://not-allowed.example.com:8083" };
+  const param = {};
+  ResponseCache.store(
+    getProfileKey(profile),
+    "listStateMachines",
+    { profile, param },
+    { stateMachines: [] }
+  );
+  await expect(
+    invoke("listStateMachines", { profile, param })
+  ).rejects.toMatchObject({ code: "EndpointNotAllowed" });
+});
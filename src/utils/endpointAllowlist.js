@@ -0,0 +1,61 @@
+/**
+ * Browser-side copy of the server's endpoint allowlist check, so the profile
+ * form can warn before a request is rejected with EndpointNotAllowed.
+ * serverConfig is the body of GET /api/config.
+ */
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function matchesEntry(url, entry) {
+  const allowed = parseUrl(entry);
+  if (allowed) {
+    return allowed.origin === url.origin;
+  }
+  return url.hostname === entry.toLowerCase();
+}
+
+export function isEndpointAllowed(endpoint, serverConfig) {
+  if (!serverConfig) {
+    // Not loaded yet; the server still enforces the allowlist
+    return true;
+  }
+  if (!endpoint) {
+    return serverConfig.allowAwsEndpoints;
+  }
+  const url = parseUrl(endpoint);
+  if (!url) {
+    return false;
+  }
+  return getAllowedEntries(serverConfig).some(entry =>
+    matchesEntry(url, entry)
+  );
+}
+
+function getAllowedEntries(serverConfig) {
+  return serverConfig.allowedEndpoints.concat(
+    serverConfig.profiles.map(profile => profile.endpoint).filter(Boolean)
+  );
+}
+
+/**
+ * Endpoints to offer in the profile form: every allowed URL, plus
+ * http://<host>:8083 for allowed host names since that is the runner's
+ * default port.
+ */
+export function getEndpointSuggestions(serverConfig) {
+  if (!serverConfig) {
+    return [];
+  }
+  const suggestions = getAllowedEntries(serverConfig).map(entry =>
+    parseUrl(entry) ? entry : `http://${entry}:8083`
+  );
+  return suggestions.filter(
+    (suggestion, index) => suggestions.indexOf(suggestion) === index
+  );
+}
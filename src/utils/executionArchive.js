@@ -0,0 +1,44 @@
+/**
+ * Helpers to show runs from the server's execution archive next to the ones
+ * the runner still has. Archived entries are marked with archived: true.
+ */
+
+// Archive lookups are optional; a server without the archive lists nothing
+export function listArchived(client, param) {
+  return client
+    .listArchivedExecutions(param)
+    .then(data => data.executions)
+    .catch(() => []);
+}
+
+// Appends the archived runs the runner no longer lists
+export function mergeArchivedExecutions(executions, archived) {
+  const live = executions.map(execution => execution.executionArn);
+  return executions.concat(
+    archived
+      .filter(execution => live.indexOf(execution.executionArn) < 0)
+      .map(execution => ({ ...execution, archived: true }))
+  );
+}
+
+// Appends the state machines that only archived runs still refer to
+export function mergeArchivedStateMachines(stateMachines, archived) {
+  const known = stateMachines.map(stateMachine => stateMachine.stateMachineArn);
+  const merged = stateMachines.slice();
+  archived.forEach(execution => {
+    if (known.indexOf(execution.stateMachineArn) < 0) {
+      known.push(execution.stateMachineArn);
+      merged.push({
+        stateMachineArn: execution.stateMachineArn,
+        name: execution.stateMachineArn.split(":").pop(),
+        archived: true
+      });
+    }
+  });
+  return merged;
+}
+
+export function isArchived(items, key, arn) {
+  const item = items.find(candidate => candidate[key] === arn);
+  return !!item && !!item.archived;
+}
@@ -0,0 +1,297 @@
+/**
+ * Layered ("Sugiyama") layout for the state machine diagrams.
+ *
+ * 1. Edges that close a cycle, e.g. a retry loop back to an earlier state,
+ *    are found with a depth-first search and reversed for the next steps.
+ * 2. Each node gets the layer of the longest path to it from a source.
+ * 3. Edges spanning several layers get a dummy node per layer in between,
+ *    so they keep a lane of their own.
+ * 4. Nodes are ordered within their layers by repeated barycenter sweeps,
+ *    keeping the order with the fewest crossings.
+ * 5. Each node is pulled towards the middle of its neighbours without
+ *    overlapping the others in its layer.
+ *
+ * Layers run top to bottom (direction "TB") or left to right ("LR").
+ */
+
+const LAYER_GAP = { TB: 60, LR: 90 };
+const NODE_GAP = 40;
+const DUMMY_SIZE = 20;
+const ORDER_SWEEPS = 12;
+const POSITION_SWEEPS = 8;
+
+// Depth-first from each node in turn; an edge to a node still on the stack
+// closes a cycle
+function findBackEdges(ids, edges) {
+  const outgoing = new Map(ids.map(id => [id, []]));
+  edges.forEach(edge => outgoing.get(edge.source).push(edge));
+  const state = new Map();
+  const backEdges = new Set();
+
+  function visit(id) {
+    state.set(id, "active");
+    outgoing.get(id).forEach(edge => {
+      const next = state.get(edge.target);
+      if (next === "active") {
+        backEdges.add(edge.id);
+      } else if (next === undefined) {
+        visit(edge.target);
+      }
+    });
+    state.set(id, "done");
+  }
+
+  ids.forEach(id => {
+    if (!state.has(id)) {
+      visit(id);
+    }
+  });
+  return backEdges;
+}
+
+// Longest path layering of an acyclic graph given as [from, to] pairs
+function assignLayers(ids, links) {
+  const layer = new Map(ids.map(id => [id, 0]));
+  const incoming = new Map(ids.map(id => [id, 0]));
+  links.forEach(([, to]) => incoming.set(to, incoming.get(to) + 1));
+  const ready = ids.filter(id => incoming.get(id) === 0);
+  while (ready.length > 0) {
+    const id = ready.shift();
+    links.forEach(([from, to]) => {
+      if (from !== id) {
+        return;
+      }
+      layer.set(to, Math.max(layer.get(to), layer.get(id) + 1));
+      incoming.set(to, incoming.get(to) - 1);
+      if (incoming.get(to) === 0) {
+        ready.push(to);
+      }
+    });
+  }
+  return layer;
+}
+
+// Links only join neighbouring layers, so two of them can only cross when
+// they leave the same layer
+function countCrossings(layers, links) {
+  const index = new Map();
+  const depth = new Map();
+  layers.forEach((layer, d) =>
+    layer.forEach((id, i) => {
+      index.set(id, i);
+      depth.set(id, d);
+    })
+  );
+  let crossings = 0;
+  for (let i = 0; i < links.length; i++) {
+    for (let j = i + 1; j < links.length; j++) {
+      const [a1, a2] = links[i];
+      const [b1, b2] = links[j];
+      if (a1 !== b1 && a2 !== b2 && depth.get(a1) === depth.get(b1)) {
+        const before = index.get(a1) - index.get(b1);
+        const after = index.get(a2) - index.get(b2);
+        if (before * after < 0) {
+          crossings++;
+        }
+      }
+    }
+  }
+  return crossings;
+}
+
+// Sorts each layer by the mean index of its neighbours in the layer before
+// (or after, going up). Nodes without such neighbours keep their place.
+function sweep(layers, neighbours) {
+  const index = new Map();
+  layers.forEach(layer => layer.forEach((id, i) => index.set(id, i)));
+  return layers.map((layer, depth) => {
+    if (depth === 0) {
+      return layer;
+    }
+    const weights = new Map(
+      layer.map((id, i) => {
+        const linked = neighbours.get(id);
+        return [
+          id,
+          linked.length > 0
+            ? linked.reduce((sum, other) => sum + index.get(other), 0) /
+              linked.length
+            : i
+        ];
+      })
+    );
+    const sorted = layer
+      .slice()
+      .sort((a, b) => weights.get(a) - weights.get(b));
+    sorted.forEach((id, i) => index.set(id, i));
+    return sorted;
+  });
+}
+
+function orderLayers(layers, links) {
+  const predecessors = new Map();
+  const successors = new Map();
+  layers.forEach(layer =>
+    layer.forEach(id => {
+      predecessors.set(id, []);
+      successors.set(id, []);
+    })
+  );
+  links.forEach(([from, to]) => {
+    predecessors.get(to).push(from);
+    successors.get(from).push(to);
+  });
+
+  let best = layers;
+  let bestCrossings = countCrossings(layers, links);
+  let current = layers;
+  for (let i = 0; i < ORDER_SWEEPS && bestCrossings > 0; i++) {
+    current =
+      i % 2 === 0
+        ? sweep(current, predecessors)
+        : sweep(current.slice().reverse(), successors).reverse();
+    const crossings = countCrossings(current, links);
+    if (crossings < bestCrossings) {
+      best = current;
+      bestCrossings = crossings;
+    }
+  }
+  return { layers: best, predecessors, successors };
+}
+
+// Places the centres of a layer's nodes as close to desired as their sizes
+// and the gap allow, keeping their order
+function placeLayer(layer, desired, size) {
+  const separation = i => (size(layer[i - 1]) + size(layer[i])) / 2 + NODE_GAP;
+  const forward = [];
+  layer.forEach((id, i) => {
+    forward[i] =
+      i === 0
+        ? desired[i]
+        : Math.max(desired[i], forward[i - 1] + separation(i));
+  });
+  const backward = [];
+  for (let i = layer.length - 1; i >= 0; i--) {
+    backward[i] =
+      i === layer.length - 1
+        ? desired[i]
+        : Math.min(desired[i], backward[i + 1] - separation(i + 1));
+  }
+  const placed = [];
+  layer.forEach((id, i) => {
+    const middle = (forward[i] + backward[i]) / 2;
+    placed[i] =
+      i === 0 ? middle : Math.max(middle, placed[i - 1] + separation(i));
+  });
+  return placed;
+}
+
+/**
+ * nodes are { id, width, height } and edges { id, source, target } between
+ * them. Returns the top-left position of each node by id, the ids of the
+ * edges that point back against the flow, and the size of the whole layout.
+ */
+export function layeredLayout(nodes, edges, direction = "TB") {
+  const horizontal = direction === "LR";
+  const ids = nodes.map(node => node.id);
+  const sizes = new Map(nodes.map(node => [node.id, node]));
+  // Sizes across and along the layers
+  const crossSize = id => {
+    const node = sizes.get(id);
+    return node ? (horizontal ? node.height : node.width) : DUMMY_SIZE;
+  };
+  const layerSize = id => {
+    const node = sizes.get(id);
+    return node ? (horizontal ? node.width : node.height) : 0;
+  };
+
+  const backEdges = findBackEdges(ids, edges);
+  const links = edges
+    .filter(edge => edge.source !== edge.target)
+    .map(edge =>
+      backEdges.has(edge.id)
+        ? [edge.target, edge.source]
+        : [edge.source, edge.target]
+    );
+  const layerOf = assignLayers(ids, links);
+
+  // Split long links with dummy nodes
+  const splitLinks = [];
+  links.forEach(([from, to], i) => {
+    let previous = from;
+    for (let depth = layerOf.get(from) + 1; depth < layerOf.get(to); depth++) {
+      const dummy = `__dummy_${i}_${depth}`;
+      layerOf.set(dummy, depth);
+      splitLinks.push([previous, dummy]);
+      previous = dummy;
+    }
+    splitLinks.push([previous, to]);
+  });
+
+  const layerCount = Math.max(0, ...Array.from(layerOf.values())) + 1;
+  const initial = Array.from({ length: layerCount }, () => []);
+  layerOf.forEach((depth, id) => initial[depth].push(id));
+  const { layers, predecessors, successors } = orderLayers(initial, splitLinks);
+
+  // Cross-axis centres, packed first and then balanced
+  const centre = new Map();
+  layers.forEach(layer => {
+    placeLayer(layer, layer.map(() => 0), crossSize).forEach((c, i) =>
+      centre.set(layer[i], c)
+    );
+  });
+  for (let i = 0; i < POSITION_SWEEPS; i++) {
+    const down = i % 2 === 0;
+    const order = down ? layers : layers.slice().reverse();
+    order.forEach(layer => {
+      const desired = layer.map(id => {
+        const linked = (down ? predecessors : successors).get(id);
+        return linked.length > 0
+          ? linked.reduce((sum, other) => sum + centre.get(other), 0) /
+              linked.length
+          : centre.get(id);
+      });
+      placeLayer(layer, desired, crossSize).forEach((c, j) =>
+        centre.set(layer[j], c)
+      );
+    });
+  }
+
+  // Along the layers, each layer as thick as its largest node
+  const layerStart = [];
+  let offset = 0;
+  layers.forEach((layer, depth) => {
+    layerStart[depth] = offset;
+    offset += Math.max(0, ...layer.map(layerSize)) + LAYER_GAP[direction];
+  });
+  const thickness = depth => Math.max(0, ...layers[depth].map(layerSize));
+
+  const positions = new Map();
+  nodes.forEach(node => {
+    const depth = layerOf.get(node.id);
+    const along =
+      layerStart[depth] + (thickness(depth) - layerSize(node.id)) / 2;
+    const across = centre.get(node.id) - crossSize(node.id) / 2;
+    positions.set(
+      node.id,
+      horizontal ? { x: along, y: across } : { x: across, y: along }
+    );
+  });
+
+  // Shift everything to start at 0,0
+  const minX = Math.min(...nodes.map(node => positions.get(node.id).x));
+  const minY = Math.min(...nodes.map(node => positions.get(node.id).y));
+  let width = 0;
+  let height = 0;
+  nodes.forEach(node => {
+    const position = positions.get(node.id);
+    position.x -= minX;
+    position.y -= minY;
+    width = Math.max(width, position.x + node.width);
+    height = Math.max(height, position.y + node.height);
+  });
+
+  return { positions, backEdges, width, height };
+}
+
+export default layeredLayout;
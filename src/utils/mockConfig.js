@@ -0,0 +1,200 @@
+/**
+ * Helpers for editing a Step Functions Local mock config (see
+ * backend/MockConfig). The editor keeps mocked responses as a list of
+ * { name, steps } where each step is { attempts, kind, payload, error,
+ * cause } and payload is the JSON text of a Return, so half-typed JSON can
+ * live in the form until it is saved.
+ */
+
+export const EMPTY_MOCK_CONFIG = { StateMachines: {}, MockedResponses: {} };
+
+/**
+ * Names of the Task states in a definition, including those inside
+ * Parallel branches and Map iterators, which test cases can mock too.
+ */
+export function getTaskStates(definition) {
+  const names = [];
+  const visit = machine => {
+    const states = (machine && machine.States) || {};
+    Object.keys(states).forEach(name => {
+      const state = states[name];
+      if (state.Type === "Task") {
+        names.push(name);
+      }
+      (state.Branches || []).forEach(visit);
+      visit(state.Iterator || state.ItemProcessor);
+    });
+  };
+  visit(definition);
+  return names;
+}
+
+export function getTestCaseNames(document, stateMachineName) {
+  const machine = (document.StateMachines || {})[stateMachineName];
+  return machine && machine.TestCases ? Object.keys(machine.TestCases) : [];
+}
+
+export function createStep(attempts = "0") {
+  return { attempts, kind: "Return", payload: "{}", error: "", cause: "" };
+}
+
+export function fromDocument(document) {
+  const responses = document.MockedResponses || {};
+  return Object.keys(responses).map(name => ({
+    name,
+    steps: Object.keys(responses[name]).map(attempts => {
+      const step = responses[name][attempts];
+      return step.Throw
+        ? {
+            attempts,
+            kind: "Throw",
+            payload: "{}",
+            error: step.Throw.Error,
+            cause: step.Throw.Cause || ""
+          }
+        : {
+            attempts,
+            kind: "Return",
+            payload: JSON.stringify(step.Return, null, 2),
+            error: "",
+            cause: ""
+          };
+    })
+  }));
+}
+
+/**
+ * Builds the file contents from the test cases (the StateMachines object)
+ * and the edited responses. Throws an Error naming every Return that is
+ * not valid JSON.
+ */
+export function toDocument(stateMachines, responses) {
+  const problems = [];
+  const mockedResponses = {};
+  responses.forEach(response => {
+    const steps = {};
+    response.steps.forEach(step => {
+      if (step.kind === "Throw") {
+        steps[step.attempts] = {
+          Throw: { Error: step.error, Cause: step.cause }
+        };
+        return;
+      }
+      try {
+        steps[step.attempts] = { Return: JSON.parse(step.payload) };
+      } catch (err) {
+        problems.push(
+          `${response.name}, attempts ${step.attempts}: Return is not valid JSON`
+        );
+      }
+    });
+    mockedResponses[response.name] = steps;
+  });
+  if (problems.length > 0) {
+    throw new Error(problems.join("; "));
+  }
+  return { StateMachines: stateMachines, MockedResponses: mockedResponses };
+}
+
+// History events that end one Task attempt, turned into a mocked step
+const TASK_RESULTS = {
+  TaskSucceeded: details => ({
+    Return: details.output !== undefined ? JSON.parse(details.output) : {}
+  }),
+  TaskFailed: details => ({
+    Throw: {
+      Error: details.error || "States.TaskFailed",
+      Cause: details.cause || ""
+    }
+  }),
+  TaskTimedOut: details => ({
+    Throw: {
+      Error: details.error || "States.Timeout",
+      Cause: details.cause || ""
+    }
+  })
+};
+TASK_RESULTS.LambdaFunctionSucceeded = TASK_RESULTS.TaskSucceeded;
+TASK_RESULTS.LambdaFunctionFailed = TASK_RESULTS.TaskFailed;
+TASK_RESULTS.LambdaFunctionTimedOut = TASK_RESULTS.TaskTimedOut;
+
+function getDetails(event) {
+  const key = `${event.type[0].toLowerCase()}${event.type.slice(
+    1
+  )}EventDetails`;
+  return event[key] || {};
+}
+
+// Collapses runs of identical steps into ranges: { "0": a, "1-3": b }
+function toAttempts(steps) {
+  const attempts = {};
+  let start = 0;
+  steps.forEach((step, index) => {
+    const next = steps[index + 1];
+    if (next && JSON.stringify(next) === JSON.stringify(step)) {
+      return;
+    }
+    attempts[start === index ? `${start}` : `${start}-${index}`] = step;
+    start = index + 1;
+  });
+  return attempts;
+}
+
+/**
+ * Turns an execution's full history into mocked responses that replay it:
+ * every Task result becomes a step of its state's response, in attempt
+ * order. Returns { states, mockedResponses } where states maps each Task
+ * state to the name of its response, which starts with prefix.
+ */
+export function recordTestCase(events, prefix) {
+  const byId = {};
+  events.forEach(event => {
+    byId[event.id] = event;
+  });
+  // Results chain back through scheduling and retries to the state's entry
+  const getStateName = event => {
+    let current = byId[event.previousEventId];
+    while (current && current.type !== "TaskStateEntered") {
+      current = byId[current.previousEventId];
+    }
+    return current ? current.stateEnteredEventDetails.name : null;
+  };
+
+  const steps = {};
+  events.forEach(event => {
+    const toStep = TASK_RESULTS[event.type];
+    const state = toStep && getStateName(event);
+    if (state) {
+      steps[state] = (steps[state] || []).concat(toStep(getDetails(event)));
+    }
+  });
+
+  const states = {};
+  const mockedResponses = {};
+  Object.keys(steps).forEach(state => {
+    const name = `${prefix}-${state}`;
+    states[state] = name;
+    mockedResponses[name] = toAttempts(steps[state]);
+  });
+  return { states, mockedResponses };
+}
+
+/**
+ * A copy of document with a recorded test case added to stateMachineName,
+ * replacing a test case and responses of the same names.
+ */
+export function addTestCase(document, stateMachineName, testCase, recorded) {
+  const stateMachines = { ...(document.StateMachines || {}) };
+  const machine = stateMachines[stateMachineName] || {};
+  stateMachines[stateMachineName] = {
+    ...machine,
+    TestCases: { ...(machine.TestCases || {}), [testCase]: recorded.states }
+  };
+  return {
+    StateMachines: stateMachines,
+    MockedResponses: {
+      ...(document.MockedResponses || {}),
+      ...recorded.mockedResponses
+    }
+  };
+}
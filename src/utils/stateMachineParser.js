@@ -1,16 +1,49 @@
 /**
- * Converts AWS Step Functions State Machine definition to React Flow nodes and edges
- * with improved layout algorithm and Parallel state support
+ * Converts AWS Step Functions State Machine definition to React Flow nodes and edges,
+ * placed by the layered layout in ./layeredLayout.
+ *
+ * The items of a Map state run their own workflow (ItemProcessor, or Iterator
+ * in older definitions), and each branch of a Parallel state is one too.
+ * These are laid out like the top level and drawn inside "subgraph" frame
+ * nodes under their state; their nodes are children of the frame, with ids
+ * prefixed by the frame's id so state names may repeat.
+ *
+ * Edges connect the "in" and "out" handles of their nodes, Catch edges leave
+ * from "catch", and edges looping back against the flow (retries through a
+ * Choice, say) run between "loop-out" and "loop-in" so they go around the
+ * states in between. Where the handles sit depends on the direction.
  */
 
-const HORIZONTAL_SPACING = 240;
-const VERTICAL_SPACING = 100;
-const PARALLEL_BRANCH_SPACING = 200;
+import { layeredLayout } from "./layeredLayout";
+
+// Node size: the label sets the width, within limits
+const NODE_HEIGHT = 48;
+const NODE_MIN_WIDTH = 140;
+const NODE_MAX_WIDTH = 360;
+const CHAR_WIDTH = 8;
+const TYPE_CHAR_WIDTH = 7;
+// Icon, gaps, padding and border around the label
+const NODE_CHROME_WIDTH = 72;
+const RETRY_BADGE_WIDTH = 44;
+const FRAME_PADDING = 24;
+const FRAME_HEADER_HEIGHT = 56;
+const FRAME_MIN_WIDTH = 280;
+const FRAME_STROKES = { Map: "#2dd4bf", Parallel: "#a78bfa" };
+const RETRY_SETTINGS = [
+  "IntervalSeconds",
+  "MaxAttempts",
+  "BackoffRate",
+  "MaxDelaySeconds",
+  "JitterStrategy"
+];
+// What a retrier does when it leaves these out
+const RETRY_DEFAULTS = { IntervalSeconds: 1, MaxAttempts: 3, BackoffRate: 2 };
 
 /**
- * Parse State Machine definition and return React Flow elements
+ * Parse State Machine definition and return React Flow elements. direction
+ * is "TB" (top to bottom, the default) or "LR" (left to right).
  */
-export function parseStateMachine(definition) {
+export function parseStateMachine(definition, { direction = "TB" } = {}) {
   if (!definition || typeof definition === "string") {
     try {
       definition = JSON.parse(definition);
@@ -20,47 +53,217 @@ export function parseStateMachine(definition) {
     }
   }
 
-  const states = definition.States || {};
-  const startAt = definition.StartAt;
+  const { nodes, edges } = layoutWorkflow(definition, "", false, direction);
+  return { nodes, edges };
+}
 
-  if (!startAt || Object.keys(states).length === 0) {
-    return { nodes: [], edges: [] };
+/**
+ * The Map settings worth seeing on the diagram, as { name, value } pairs
+ */
+export function getMapSettings(state) {
+  const processorConfig = (state.ItemProcessor || {}).ProcessorConfig || {};
+  const selector = state.ItemSelector || state.Parameters;
+  const settings = [
+    ["Mode", processorConfig.Mode],
+    ["ItemsPath", state.ItemsPath],
+    ["ItemSelector", selector && Object.keys(selector).join(", ")],
+    [
+      "MaxConcurrency",
+      state.MaxConcurrency === 0 ? "0 (no limit)" : state.MaxConcurrency
+    ],
+    ["ItemReader", state.ItemReader && state.ItemReader.Resource],
+    [
+      "MaxItemsPerBatch",
+      state.ItemBatcher && state.ItemBatcher.MaxItemsPerBatch
+    ],
+    ["ToleratedFailurePercentage", state.ToleratedFailurePercentage],
+    ["ToleratedFailureCount", state.ToleratedFailureCount],
+    ["ResultWriter", state.ResultWriter && state.ResultWriter.Resource]
+  ];
+  return settings
+    .filter(
+      ([, value]) => value !== undefined && value !== null && value !== ""
+    )
+    .map(([name, value]) => ({ name, value: String(value) }));
+}
+
+/**
+ * The Retry policies of a state, one { errors, settings } per retrier;
+ * settings are { name, value } pairs like those of getMapSettings, with the
+ * defaults filled in
+ */
+export function getRetriers(state) {
+  return (state.Retry || []).map(retrier => ({
+    errors: (retrier.ErrorEquals || []).join(", "),
+    settings: RETRY_SETTINGS.filter(
+      name => retrier[name] !== undefined || RETRY_DEFAULTS[name] !== undefined
+    ).map(name => ({
+      name,
+      value:
+        retrier[name] !== undefined
+          ? String(retrier[name])
+          : `${RETRY_DEFAULTS[name]} (default)`
+    }))
+  }));
+}
+
+/**
+ * The size of the node for a state (or Start/End), wide enough for its label,
+ * type and retry badge up to NODE_MAX_WIDTH; longer labels are cut short with
+ * an ellipsis
+ */
+export function getNodeSize(label, type, hasRetry = false) {
+  const typeWidth =
+    type === "Start" || type === "End" ? 0 : type.length * TYPE_CHAR_WIDTH;
+  const width =
+    NODE_CHROME_WIDTH +
+    String(label).length * CHAR_WIDTH +
+    typeWidth +
+    (hasRetry ? RETRY_BADGE_WIDTH : 0);
+  return {
+    width: Math.min(Math.max(width, NODE_MIN_WIDTH), NODE_MAX_WIDTH),
+    height: NODE_HEIGHT
+  };
+}
+
+/**
+ * Lays out workflow inside a new frame node with the given data. Returns the
+ * frame, its nodes (positioned within it) and edges, and its size. Returns
+ * null for an empty workflow.
+ */
+function buildFrame(frameId, workflow, data, direction) {
+  const inner = layoutWorkflow(workflow, `${frameId}/`, true, direction);
+  if (inner.nodes.length === 0) {
+    return null;
   }
 
-  const nodes = [];
-  const edges = [];
+  const width = Math.max(inner.width + 2 * FRAME_PADDING, FRAME_MIN_WIDTH);
+  const height = inner.height + FRAME_HEADER_HEIGHT + FRAME_PADDING;
+  const offsetX = (width - inner.width) / 2;
+
+  const children = inner.nodes.map(node =>
+    node.parentNode
+      ? node
+      : {
+          ...node,
+          parentNode: frameId,
+          extent: "parent",
+          position: {
+            x: node.position.x + offsetX,
+            y: node.position.y + FRAME_HEADER_HEIGHT
+          }
+        }
+  );
+  return {
+    node: {
+      id: frameId,
+      type: "subgraph",
+      style: { width, height },
+      data: { ...data, direction }
+    },
+    children,
+    edges: inner.edges,
+    width,
+    height
+  };
+}
+
+/**
+ * Lays out one workflow ({ StartAt, States }). Node ids are the state names
+ * with prefix in front. The top-level workflow starts with a Start node and
+ * ends its terminal states in End nodes; nested ones leave both to the frame
+ * they are drawn in. Returns the nodes, parents before their children, the
+ * edges and the size of the layout.
+ */
+function layoutWorkflow(workflow, prefix, nested, direction) {
+  const states = workflow.States || {};
+  const startAt = workflow.StartAt;
 
-  // Track positions
-  let currentY = 0;
-  const nodePositions = new Map();
+  if (!startAt || !states[startAt]) {
+    return { nodes: [], edges: [], width: 0, height: 0 };
+  }
+
+  const id = stateName => `${prefix}${stateName}`;
+
+  // The nodes of this workflow in the order they were reached, each with
+  // its size and, for frames, the nodes drawn inside
+  const entries = [];
+  // Edges between this workflow's nodes, and those inside its frames
+  const edges = [];
+  const innerEdges = [];
   const processedStates = new Set();
 
-  // Create Start node
-  nodes.push({
-    id: "__START__",
-    type: "custom",
-    position: { x: 0, y: currentY },
-    data: { label: "Start", type: "Start" }
-  });
+  function addNode(nodeId, label, type, data = {}) {
+    entries.push({
+      node: {
+        id: nodeId,
+        type: "custom",
+        data: { label, type, direction, ...data }
+      },
+      children: [],
+      ...getNodeSize(label, type, (data.retriers || []).length > 0)
+    });
+  }
 
-  currentY += VERTICAL_SPACING;
+  if (!nested) {
+    addNode("__START__", "Start", "Start");
+    edges.push({
+      id: `__START__-${startAt}`,
+      source: "__START__",
+      target: startAt,
+      type: "smoothstep",
+      animated: true,
+      style: { stroke: "#4ade80", strokeWidth: 2 }
+    });
+  }
 
-  // Edge from Start to first state
-  edges.push({
-    id: `__START__-${startAt}`,
-    source: "__START__",
-    target: startAt,
-    type: "smoothstep",
-    animated: true,
-    style: { stroke: "#4ade80", strokeWidth: 2 }
-  });
+  /**
+   * The frames a Map or Parallel state runs its workflows in: the item
+   * workflow of a Map, one per branch of a Parallel
+   */
+  function getFrames(stateName, state) {
+    if (state.Type === "Map") {
+      const processor = state.ItemProcessor || state.Iterator;
+      return [
+        processor &&
+          buildFrame(
+            `${id(stateName)}/items`,
+            processor,
+            {
+              label: state.ItemProcessor ? "ItemProcessor" : "Iterator",
+              type: "Map",
+              settings: getMapSettings(state)
+            },
+            direction
+          )
+      ].filter(Boolean);
+    }
+    if (state.Type === "Parallel") {
+      return (state.Branches || [])
+        .map((branch, index) =>
+          buildFrame(
+            `${id(stateName)}/branch-${index + 1}`,
+            branch,
+            {
+              label: `Branch ${index + 1}`,
+              type: "Parallel",
+              settings: []
+            },
+            direction
+          )
+        )
+        .filter(Boolean);
+    }
+    return [];
+  }
 
   /**
-   * Process states recursively with proper positioning
+   * Adds the node of a state and its outgoing edges, then the states those
+   * lead to
    */
-  function processState(stateName, x, y, parentBranch = null) {
+  function processState(stateName) {
     if (processedStates.has(stateName) || !states[stateName]) {
-      return y;
+      return;
     }
 
     processedStates.add(stateName);
@@ -69,156 +272,23 @@ export function parseStateMachine(definition) {
     // Check if this state has catch blocks
     const hasCatch = state.Catch && state.Catch.length > 0;
 
-    // Create node
-    nodes.push({
-      id: stateName,
-      type: "custom",
-      position: { x, y },
-      data: {
-        label: stateName,
-        type: state.Type,
-        state,
-        hasCatch
-      }
+    addNode(id(stateName), stateName, state.Type, {
+      state,
+      hasCatch,
+      retriers: getRetriers(state)
     });
 
-    nodePositions.set(stateName, { x, y });
-    let nextY = y + VERTICAL_SPACING;
-
     // Handle different state types
-    if (state.Type === "Parallel" && state.Branches) {
-      // Create parallel branch nodes
-      const branchCount = state.Branches.length;
-      const totalWidth = (branchCount - 1) * PARALLEL_BRANCH_SPACING;
-      const startX = x - totalWidth / 2;
-
-      let maxBranchY = nextY;
-
-      state.Branches.forEach((branch, index) => {
-        const branchX = startX + index * PARALLEL_BRANCH_SPACING;
-        const branchStartState = branch.StartAt;
-        const branchStates = branch.States || {};
-
-        if (branchStartState && branchStates[branchStartState]) {
-          // Create a mini state machine for this branch
-          const branchNodeId = `${stateName}_branch_${index}_${branchStartState}`;
-
-          // Add branch start node
-          nodes.push({
-            id: branchNodeId,
-            type: "custom",
-            position: { x: branchX, y: nextY },
-            data: {
-              label: branchStartState,
-              type: branchStates[branchStartState].Type,
-              state: branchStates[branchStartState],
-              isBranch: true
-            }
-          });
-
-          // Connect parallel to branch
-          edges.push({
-            id: `${stateName}-to-${branchNodeId}`,
-            source: stateName,
-            target: branchNodeId,
-            type: "smoothstep",
-            style: { stroke: "#a78bfa", strokeWidth: 2 }
-          });
-
-          // Track for connecting to next state after parallel
-          nodePositions.set(branchNodeId, { x: branchX, y: nextY });
-
-          // Process rest of branch states
-          let branchY = nextY + VERTICAL_SPACING;
-          let currentBranchState = branchStates[branchStartState];
-          let prevBranchNodeId = branchNodeId;
-
-          while (currentBranchState && currentBranchState.Next) {
-            const nextStateName = currentBranchState.Next;
-            const nextState = branchStates[nextStateName];
-
-            if (nextState) {
-              const nextBranchNodeId = `${stateName}_branch_${index}_${nextStateName}`;
-
-              nodes.push({
-                id: nextBranchNodeId,
-                type: "custom",
-                position: { x: branchX, y: branchY },
-                data: {
-                  label: nextStateName,
-                  type: nextState.Type,
-                  state: nextState,
-                  isBranch: true
-                }
-              });
-
-              edges.push({
-                id: `${prevBranchNodeId}-to-${nextBranchNodeId}`,
-                source: prevBranchNodeId,
-                target: nextBranchNodeId,
-                type: "smoothstep",
-                style: { stroke: "#6b7280", strokeWidth: 2 }
-              });
-
-              nodePositions.set(nextBranchNodeId, { x: branchX, y: branchY });
-              prevBranchNodeId = nextBranchNodeId;
-              currentBranchState = nextState;
-              branchY += VERTICAL_SPACING;
-            } else {
-              break;
-            }
-          }
-
-          maxBranchY = Math.max(maxBranchY, branchY);
-
-          // Store last node of branch for connecting to next state
-          nodePositions.set(
-            `${stateName}_branch_${index}_end`,
-            prevBranchNodeId
-          );
-        }
-      });
-
-      nextY = maxBranchY;
-
-      // Connect branch ends to next state if exists
-      if (state.Next) {
-        state.Branches.forEach((branch, index) => {
-          const lastBranchNode = nodePositions.get(
-            `${stateName}_branch_${index}_end`
-          );
-          if (lastBranchNode) {
-            edges.push({
-              id: `${lastBranchNode}-to-${state.Next}`,
-              source: lastBranchNode,
-              target: state.Next,
-              type: "smoothstep",
-              style: { stroke: "#a78bfa", strokeWidth: 2 }
-            });
-          }
-        });
-
-        // Process next state
-        nextY = processState(state.Next, x, nextY);
-      }
-    } else if (state.Type === "Choice" && state.Choices) {
-      // Handle Choice state with multiple branches
-      const choiceCount = state.Choices.length + (state.Default ? 1 : 0);
-      const totalWidth = (choiceCount - 1) * HORIZONTAL_SPACING;
-      const startX = x - totalWidth / 2;
-
-      let maxChoiceY = nextY;
-      const choiceTargets = new Set();
+    if (state.Type === "Choice" && state.Choices) {
+      const choiceTargets = [];
 
       state.Choices.forEach((choice, index) => {
-        if (choice.Next && !choiceTargets.has(choice.Next)) {
-          choiceTargets.add(choice.Next);
-          const choiceX = startX + index * HORIZONTAL_SPACING;
-
+        if (choice.Next && choiceTargets.indexOf(choice.Next) < 0) {
+          choiceTargets.push(choice.Next);
           edges.push({
-            id: `${stateName}-choice-${index}-${choice.Next}`,
-            source: stateName,
-            target: choice.Next,
+            id: `${id(stateName)}-choice-${index}-${id(choice.Next)}`,
+            source: id(stateName),
+            target: id(choice.Next),
             type: "smoothstep",
             label: getChoiceLabel(choice),
             labelStyle: { fill: "#fbbf24", fontSize: 11, fontWeight: 600 },
@@ -231,22 +301,15 @@ export function parseStateMachine(definition) {
             labelBgBorderRadius: 4,
             style: { stroke: "#fbbf24", strokeWidth: 2 }
           });
-
-          if (!processedStates.has(choice.Next)) {
-            const choiceY = processState(choice.Next, choiceX, nextY);
-            maxChoiceY = Math.max(maxChoiceY, choiceY);
-          }
         }
       });
 
-      if (state.Default && !choiceTargets.has(state.Default)) {
-        const defaultIndex = state.Choices.length;
-        const defaultX = startX + defaultIndex * HORIZONTAL_SPACING;
-
+      if (state.Default && choiceTargets.indexOf(state.Default) < 0) {
+        choiceTargets.push(state.Default);
         edges.push({
-          id: `${stateName}-default-${state.Default}`,
-          source: stateName,
-          target: state.Default,
+          id: `${id(stateName)}-default-${id(state.Default)}`,
+          source: id(stateName),
+          target: id(state.Default),
           type: "smoothstep",
           label: "default",
           labelStyle: { fill: "#9ca3af", fontSize: 11 },
@@ -255,112 +318,155 @@ export function parseStateMachine(definition) {
           labelBgBorderRadius: 4,
           style: { stroke: "#6b7280", strokeWidth: 2, strokeDasharray: "6,4" }
         });
-
-        if (!processedStates.has(state.Default)) {
-          const defaultY = processState(state.Default, defaultX, nextY);
-          maxChoiceY = Math.max(maxChoiceY, defaultY);
-        }
       }
 
-      nextY = maxChoiceY;
-    } else {
-      // Regular state - handle Next, Catch, End
-
-      if (state.Catch) {
-        state.Catch.forEach((catchBlock, index) => {
-          if (catchBlock.Next) {
-            // Check if target is a Fail state
-            const targetState = states[catchBlock.Next];
-            const targetIsFail = targetState && targetState.Type === "Fail";
-
-            edges.push({
-              id: `${stateName}-catch-${index}-${catchBlock.Next}`,
-              source: stateName,
-              target: catchBlock.Next,
-              sourceHandle: "right",
-              targetHandle: targetIsFail ? "left" : "top",
-              type: "smoothstep",
-              label: "error",
-              labelStyle: { fill: "#f87171", fontSize: 11, fontWeight: 600 },
-              labelBgStyle: {
-                fill: "#1e2030",
-                stroke: "#3a3d4e",
-                strokeWidth: 1
-              },
-              labelBgPadding: [4, 8],
-              labelBgBorderRadius: 4,
-              style: {
-                stroke: "#f87171",
-                strokeWidth: 2,
-                strokeDasharray: "4,4"
-              }
-            });
-
-            // Position Fail states to the right if not already positioned
-            if (targetIsFail && !processedStates.has(catchBlock.Next)) {
-              processedStates.add(catchBlock.Next);
-              const failX = x + HORIZONTAL_SPACING;
-              const failY = y;
-
-              nodes.push({
-                id: catchBlock.Next,
-                type: "custom",
-                position: { x: failX, y: failY },
-                data: {
-                  label: catchBlock.Next,
-                  type: targetState.Type,
-                  state: targetState
-                }
-              });
-              nodePositions.set(catchBlock.Next, { x: failX, y: failY });
-            }
+      choiceTargets.forEach(processState);
+      return;
+    }
+
+    // Regular state - handle Next, Catch, End. The workflows of a Map or
+    // Parallel sit between its node and whatever comes next.
+    let exits = [id(stateName)];
+    const frames = getFrames(stateName, state);
+    frames.forEach(frame => {
+      entries.push(frame);
+      innerEdges.push(...frame.edges);
+      edges.push({
+        id: `${id(stateName)}-to-${frame.node.id}`,
+        source: id(stateName),
+        target: frame.node.id,
+        type: "smoothstep",
+        style: { stroke: FRAME_STROKES[state.Type], strokeWidth: 2 }
+      });
+    });
+    if (frames.length > 0) {
+      exits = frames.map(frame => frame.node.id);
+    }
+
+    // Task, Parallel and Map states can catch errors. States only reached
+    // through Catch come after the main path.
+    const fallbacks = [];
+    (state.Catch || []).forEach((catchBlock, index) => {
+      if (catchBlock.Next) {
+        edges.push({
+          id: `${id(stateName)}-catch-${index}-${id(catchBlock.Next)}`,
+          source: id(stateName),
+          target: id(catchBlock.Next),
+          sourceHandle: "catch",
+          type: "smoothstep",
+          label: getCatchLabel(catchBlock),
+          labelStyle: { fill: "#f87171", fontSize: 11, fontWeight: 600 },
+          labelBgStyle: {
+            fill: "#1e2030",
+            stroke: "#3a3d4e",
+            strokeWidth: 1
+          },
+          labelBgPadding: [4, 8],
+          labelBgBorderRadius: 4,
+          style: {
+            stroke: "#f87171",
+            strokeWidth: 2,
+            strokeDasharray: "4,4"
           }
         });
+        fallbacks.push(catchBlock.Next);
       }
+    });
 
-      if (state.Next) {
+    if (state.Next) {
+      exits.forEach(exitId =>
         edges.push({
-          id: `${stateName}-${state.Next}`,
-          source: stateName,
-          target: state.Next,
+          id: `${exitId}-${id(state.Next)}`,
+          source: exitId,
+          target: id(state.Next),
           type: "smoothstep",
           style: { stroke: "#6b7280", strokeWidth: 2 }
-        });
-
-        if (!processedStates.has(state.Next)) {
-          nextY = processState(state.Next, x, nextY);
-        }
-      }
-
-      if (state.End) {
-        const endNodeId = `__END_${stateName}__`;
-
-        nodes.push({
-          id: endNodeId,
-          type: "custom",
-          position: { x, y: nextY },
-          data: { label: "End", type: "End" }
-        });
+        })
+      );
+    }
 
+    if (state.End && !nested) {
+      const endNodeId = `__END_${stateName}__`;
+      addNode(endNodeId, "End", "End");
+      exits.forEach(exitId =>
         edges.push({
-          id: `${stateName}-${endNodeId}`,
-          source: stateName,
+          id: `${exitId}-${endNodeId}`,
+          source: exitId,
           target: endNodeId,
           type: "smoothstep",
           style: { stroke: "#f87171", strokeWidth: 2 }
-        });
-
-        nextY += VERTICAL_SPACING;
-      }
+        })
+      );
     }
 
-    return nextY;
+    if (state.Next) {
+      processState(state.Next);
+    }
+    fallbacks.forEach(processState);
   }
 
   // Start processing from the initial state
-  processState(startAt, 0, currentY);
+  processState(startAt);
+
+  // Edges to states that do not exist have nothing to be laid out against
+  const nodeIds = entries.map(entry => entry.node.id);
+  const drawnEdges = edges.filter(edge => nodeIds.indexOf(edge.target) >= 0);
+
+  const layout = layeredLayout(
+    entries.map(entry => ({
+      id: entry.node.id,
+      width: entry.width,
+      height: entry.height
+    })),
+    drawnEdges,
+    direction
+  );
+
+  const loopSources = new Set();
+  const loopTargets = new Set();
+  drawnEdges.forEach(edge => {
+    const isLoop = layout.backEdges.has(edge.id);
+    edge.sourceHandle = edge.sourceHandle || (isLoop ? "loop-out" : "out");
+    edge.targetHandle = isLoop ? "loop-in" : "in";
+    if (isLoop) {
+      loopSources.add(edge.source);
+      loopTargets.add(edge.target);
+    }
+  });
 
-  return { nodes, edges };
+  // React Flow wants parents before their children
+  const nodes = [];
+  entries.forEach(({ node, children, width }) => {
+    nodes.push(
+      {
+        ...node,
+        position: layout.positions.get(node.id),
+        style: { width, ...node.style },
+        data: {
+          ...node.data,
+          loopIn: loopTargets.has(node.id),
+          loopOut: loopSources.has(node.id)
+        }
+      },
+      ...children
+    );
+  });
+
+  return {
+    nodes,
+    edges: drawnEdges.concat(innerEdges),
+    width: layout.width,
+    height: layout.height
+  };
+}
+
+// The errors a catcher handles, and where it puts the error output when it
+// says so
+function getCatchLabel(catcher) {
+  const errors = (catcher.ErrorEquals || []).join(", ") || "error";
+  return catcher.ResultPath !== undefined
+    ? `${errors} → ${catcher.ResultPath === null ? "null" : catcher.ResultPath}`
+    : errors;
 }
 
 function getChoiceLabel(choice) {
@@ -0,0 +1,308 @@
+import { parseStateMachine } from "./stateMachineParser";
+import SNIPPETS from "../StateMachineSnippet";
+
+const byId = nodes =>
+  nodes.reduce((result, node) => ({ ...result, [node.id]: node }), {});
+
+describe("parseStateMachine", () => {
+  it("draws a Map's item workflow in a frame under the Map node", () => {
+    const { nodes, edges } = parseStateMachine(SNIPPETS.Map);
+    const nodesById = byId(nodes);
+
+    const frame = nodesById["Test/items"];
+    expect(frame.type).toBe("subgraph");
+    expect(frame.data.settings).toEqual(
+      expect.arrayContaining([
+        { name: "ItemsPath", value: "$.grades" },
+        { name: "MaxConcurrency", value: "0 (no limit)" }
+      ])
+    );
+    expect(frame.position.y).toBeGreaterThan(nodesById.Test.position.y);
+
+    const inner = nodesById["Test/items/Mark-as-Complete"];
+    expect(inner.parentNode).toBe("Test/items");
+    expect(nodes.indexOf(frame)).toBeLessThan(nodes.indexOf(inner));
+
+    // Map -> frame -> End, instead of Map -> End
+    const targets = source =>
+      edges.filter(edge => edge.source === source).map(edge => edge.target);
+    expect(targets("Test")).toEqual(["Test/items"]);
+    expect(targets("Test/items")).toEqual(["__END_Test__"]);
+  });
+
+  it("nests the frames of Maps inside Maps", () => {
+    const { nodes } = parseStateMachine({
+      StartAt: "Outer",
+      States: {
+        Outer: {
+          Type: "Map",
+          ItemProcessor: {
+            ProcessorConfig: { Mode: "INLINE" },
+            StartAt: "Inner",
+            States: {
+              Inner: {
+                Type: "Map",
+                ItemProcessor: {
+                  StartAt: "Work",
+                  States: { Work: { Type: "Pass", End: true } }
+                },
+                End: true
+              }
+            }
+          },
+          End: true
+        }
+      }
+    });
+    const nodesById = byId(nodes);
+    expect(nodesById["Outer/items"].data.settings).toEqual([
+      { name: "Mode", value: "INLINE" }
+    ]);
+    expect(nodesById["Outer/items/Inner/items"].parentNode).toBe("Outer/items");
+    expect(nodesById["Outer/items/Inner/items/Work"].parentNode).toBe(
+      "Outer/items/Inner/items"
+    );
+    expect(nodesById["Outer/items"].style.width).toBeGreaterThan(
+      nodesById["Outer/items/Inner/items"].style.width
+    );
+  });
+
+  it("lays out Parallel branches like the top level, each in its own frame", () => {
+    const { nodes, edges } = parseStateMachine({
+      StartAt: "Fork",
+      States: {
+        Fork: {
+          Type: "Parallel",
+          Branches: [
+            {
+              StartAt: "Check",
+              States: {
+                Check: {
+                  Type: "Choice",
+                  Choices: [
+                    { Variable: "$.ok", BooleanEquals: true, Next: "Work" }
+                  ],
+                  Default: "Skip"
+                },
+                Work: {
+                  Type: "Task",
+                  Resource:
+                    "arn:aws:lambda:us-east-1:123456789012:function:work",
+                  Catch: [{ ErrorEquals: ["States.ALL"], Next: "Recover" }],
+                  End: true
+                },
+                Recover: { Type: "Pass", End: true },
+                Skip: { Type: "Succeed" }
+              }
+            },
+            {
+              StartAt: "Inner",
+              States: {
+                Inner: {
+                  Type: "Parallel",
+                  Branches: [
+                    {
+                      StartAt: "A",
+                      States: { A: { Type: "Pass", End: true } }
+                    },
+                    { StartAt: "B", States: { B: { Type: "Pass", End: true } } }
+                  ],
+                  Next: "Done"
+                },
+                Done: { Type: "Pass", End: true }
+              }
+            }
+          ],
+          Next: "After"
+        },
+        After: { Type: "Pass", End: true }
+      }
+    });
+    const nodesById = byId(nodes);
+
+    [
+      "Fork/branch-1/Check",
+      "Fork/branch-1/Work",
+      "Fork/branch-1/Recover",
+      "Fork/branch-1/Skip",
+      "Fork/branch-2/Inner/branch-1/A",
+      "Fork/branch-2/Inner/branch-2/B",
+      "Fork/branch-2/Done"
+    ].forEach(nodeId => expect(nodesById[nodeId]).toBeDefined());
+    expect(nodesById["Fork/branch-1"].data.label).toBe("Branch 1");
+    expect(nodesById["Fork/branch-2/Inner/branch-2"].parentNode).toBe(
+      "Fork/branch-2"
+    );
+
+    // Every edge connects drawn nodes, and both branches lead to After
+    edges.forEach(edge => {
+      expect(nodesById[edge.source]).toBeDefined();
+      expect(nodesById[edge.target]).toBeDefined();
+    });
+    expect(
+      edges.filter(edge => edge.target === "After").map(edge => edge.source)
+    ).toEqual(["Fork/branch-1", "Fork/branch-2"]);
+  });
+
+  const RETRY_LOOP = {
+    StartAt: "Submit job",
+    States: {
+      "Submit job": {
+        Type: "Task",
+        Resource: "arn:aws:lambda:us-east-1:123456789012:function:submit",
+        Catch: [{ ErrorEquals: ["States.ALL"], Next: "Failed" }],
+        Next: "Wait"
+      },
+      Wait: { Type: "Wait", Seconds: 5, Next: "Check the status of the job" },
+      "Check the status of the job": {
+        Type: "Task",
+        Resource: "arn:aws:lambda:us-east-1:123456789012:function:status",
+        Next: "Finished?"
+      },
+      "Finished?": {
+        Type: "Choice",
+        Choices: [
+          { Variable: "$.status", StringEquals: "DONE", Next: "Succeeded" },
+          { Variable: "$.status", StringEquals: "FAILED", Next: "Failed" }
+        ],
+        Default: "Wait"
+      },
+      Succeeded: { Type: "Succeed" },
+      Failed: { Type: "Fail" }
+    }
+  };
+
+  it("routes loops back to an earlier state around the nodes in between", () => {
+    const { nodes, edges } = parseStateMachine(RETRY_LOOP);
+    const nodesById = byId(nodes);
+    const edge = edges.find(edge => edge.id === "Finished?-default-Wait");
+    expect(edge.sourceHandle).toBe("loop-out");
+    expect(edge.targetHandle).toBe("loop-in");
+    expect(nodesById["Finished?"].data.loopOut).toBe(true);
+    expect(nodesById.Wait.data.loopIn).toBe(true);
+    expect(nodesById.Wait.position.y).toBeLessThan(
+      nodesById["Finished?"].position.y
+    );
+
+    const catchEdge = edges.find(edge => edge.target === "Failed");
+    expect(catchEdge.sourceHandle).toBe("catch");
+    expect(catchEdge.targetHandle).toBe("in");
+  });
+
+  it("sizes nodes by their labels without overlapping them", () => {
+    ["TB", "LR"].forEach(direction => {
+      const { nodes } = parseStateMachine(RETRY_LOOP, { direction });
+      const nodesById = byId(nodes);
+      expect(
+        nodesById["Check the status of the job"].style.width
+      ).toBeGreaterThan(nodesById.Wait.style.width);
+
+      nodes.forEach((a, i) =>
+        nodes.slice(i + 1).forEach(b => {
+          const apart =
+            a.position.x + a.style.width <= b.position.x ||
+            b.position.x + b.style.width <= a.position.x ||
+            a.position.y + 48 <= b.position.y ||
+            b.position.y + 48 <= a.position.y;
+          expect(apart).toBe(true);
+        })
+      );
+    });
+  });
+
+  it("lays out left to right on request", () => {
+    const { nodes } = parseStateMachine(RETRY_LOOP, { direction: "LR" });
+    const nodesById = byId(nodes);
+    expect(nodesById["Submit job"].data.direction).toBe("LR");
+    expect(nodesById["__START__"].position.x).toBeLessThan(
+      nodesById["Submit job"].position.x
+    );
+    expect(nodesById.Wait.position.x).toBeLessThan(
+      nodesById["Finished?"].position.x
+    );
+  });
+
+  it("lists the Retry policies of retrying states, with the defaults", () => {
+    const { nodes } = parseStateMachine({
+      StartAt: "Call",
+      States: {
+        Call: {
+          Type: "Task",
+          Resource: "arn:aws:lambda:us-east-1:123456789012:function:call",
+          Retry: [
+            {
+              ErrorEquals: ["States.Timeout", "Lambda.ServiceException"],
+              IntervalSeconds: 2,
+              MaxDelaySeconds: 30,
+              JitterStrategy: "FULL"
+            },
+            { ErrorEquals: ["States.ALL"], MaxAttempts: 0 }
+          ],
+          Next: "Done"
+        },
+        Done: { Type: "Succeed" }
+      }
+    });
+    const nodesById = byId(nodes);
+    expect(nodesById.Call.data.retriers).toEqual([
+      {
+        errors: "States.Timeout, Lambda.ServiceException",
+        settings: [
+          { name: "IntervalSeconds", value: "2" },
+          { name: "MaxAttempts", value: "3 (default)" },
+          { name: "BackoffRate", value: "2 (default)" },
+          { name: "MaxDelaySeconds", value: "30" },
+          { name: "JitterStrategy", value: "FULL" }
+        ]
+      },
+      {
+        errors: "States.ALL",
+        settings: [
+          { name: "IntervalSeconds", value: "1 (default)" },
+          { name: "MaxAttempts", value: "0" },
+          { name: "BackoffRate", value: "2 (default)" }
+        ]
+      }
+    ]);
+    expect(nodesById.Done.data.retriers).toEqual([]);
+  });
+
+  it("draws the Catch edges of Parallel and Map states, labelled with their errors", () => {
+    const { edges } = parseStateMachine({
+      StartAt: "Fork",
+      States: {
+        Fork: {
+          Type: "Parallel",
+          Branches: [
+            { StartAt: "A", States: { A: { Type: "Pass", End: true } } }
+          ],
+          Catch: [
+            {
+              ErrorEquals: ["States.Timeout", "Lambda.ServiceException"],
+              ResultPath: "$.error",
+              Next: "Each"
+            }
+          ],
+          Next: "Each"
+        },
+        Each: {
+          Type: "Map",
+          ItemProcessor: {
+            StartAt: "B",
+            States: { B: { Type: "Pass", End: true } }
+          },
+          Catch: [{ ErrorEquals: ["States.ALL"], Next: "Failed" }],
+          End: true
+        },
+        Failed: { Type: "Fail" }
+      }
+    });
+    const catchEdges = edges.filter(edge => edge.sourceHandle === "catch");
+    expect(
+      catchEdges.map(edge => [edge.source, edge.target, edge.label])
+    ).toEqual([
+      ["Fork", "Each", "States.Timeout, Lambda.ServiceException → $.error"],
+      ["Each", "Failed", "States.ALL"]
+    ]);
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Browser-side access to the dashboard server's /api routes.
+ * Every request carries the connection profile the client was created for,
+ * so a page never talks to a different runner than the one selected in
+ * ConnectionStatus.
+ */
+
+export const OPERATIONS = {
+  createActivity: "create-activity",
+  createStateMachine: "create-state-machine",
+  deleteActivity: "delete-activity",
+  deleteStateMachine: "delete-state-machine",
+  describeActivity: "describe-activity",
+  describeExecution: "describe-execution",
+  describeStateMachine: "describe-state-machine",
+  getActivityTask: "get-activity-task",
+  getExecutionHistory: "get-execution-history",
+  listActivities: "list-activities",
+  listExecutions: "list-executions",
+  listStateMachines: "list-state-machines",
+  listTagsForResource: "list-tags-for-resource",
+  sendTaskFailure: "send-task-failure",
+  sendTaskHeartbeat: "send-task-heartbeat",
+  sendTaskSuccess: "send-task-success",
+  startExecution: "start-execution",
+  stopExecution: "stop-execution",
+  tagResource: "tag-resource",
+  untagResource: "untag-resource",
+  updateStateMachine: "update-state-machine"
+};
+
+/**
+ * Error raised for any failed API call. Mirrors the server's error envelope:
+ * { error: { code, message, status, retryable, awsErrorName } }
+ */
+export class ApiError extends Error {
+  constructor({ code, message, status, retryable, awsErrorName }) {
+    super(message);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status;
+    this.retryable = !!retryable;
+    this.awsErrorName = awsErrorName || null;
+  }
+}
+
+function toApiError(res, data) {
+  if (data && data.error && data.error.code) {
+    return new ApiError(data.error);
+  }
+  // Not an answer from the dashboard server, e.g. the dev proxy failing
+  return new ApiError({
+    code: "BadResponse",
+    message: `Unexpected response from the dashboard server (HTTP ${res.status})`,
+    status: res.status,
+    retryable: res.status >= 500
+  });
+}
+
+/**
+ * Call /api/<path> (POST unless another method is given) and resolve with
+ * the parsed response body. Rejects with an ApiError when the call fails
+ * for any reason.
+ */
+export function request(path, body, method = "POST") {
+  const init = { method };
+  if (body !== undefined) {
+    init.headers = { "Content-Type": "application/json" };
+    init.body = JSON.stringify(body);
+  }
+  return fetch(`/api/${path}`, init).then(
+    res =>
+      res
+        .json()
+        .catch(() => null)
+        .then(data => {
+          if (!res.ok || data === null) {
+            throw toApiError(res, data);
+          }
+          return data;
+        }),
+    err => {
+      throw new ApiError({
+        code: "ServerUnreachable",
+        message: `Unable to reach the dashboard server: ${err.message}`,
+        status: 0,
+        retryable: true
+      });
+    }
+  );
+}
+
+/**
+ * Create a client bound to a connection profile. It has one method per
+ * Step Functions operation, each taking the SDK parameters for that call.
+ *
+ * List and history calls also accept { paginate: true } to have the server
+ * follow nextToken, or { paginate: { maxItems } } to stop after maxItems.
+ * A paginated response has truncated set and keeps the nextToken to pass
+ * back as a parameter when there are more results.
+ *
+ * Read calls may be answered from the server's short-lived response cache;
+ * pass { cache: false } to always ask the runner.
+ *
+ * replayAuditEntry(id) sends a call from the audit log again against this
+ * profile and resolves with the new log entry.
+ *
+ * batch(items) runs many calls in one request. items are
+ * { operation, param } pairs (operation being a key of OPERATIONS); it
+ * resolves with one { data } or { error: ApiError } per item, in order.
+ *
+ * checkRegistry() lists the state machines and activities created through
+ * the dashboard that the runner no longer has; restoreRegistry() creates
+ * them again and forgetRegistry({ stateMachines, activities }) stops
+ * offering to.
+ *
+ * listArchivedExecutions({ stateMachineArn }) and
+ * getArchivedExecution({ executionArn }) read the server's archive of
+ * finished executions, which outlives runner restarts.
+ */
+export function createClient(profile) {
+  const client = { profile };
+  Object.keys(OPERATIONS).forEach(operation => {
+    client[operation] = (param = {}, options = {}) =>
+      request(OPERATIONS[operation], {
+        param,
+        profile,
+        paginate: options.paginate,
+        cache: options.cache
+      });
+  });
+  client.watch = (params, handlers) => watch(profile, params, handlers);
+  client.batch = (items, options = {}) =>
+    request("batch", {
+      items,
+      profile,
+      concurrency: options.concurrency
+    }).then(data =>
+      data.results.map(result =>
+        result.error ? { error: new ApiError(result.error) } : result
+      )
+    );
+  client.replayAuditEntry = id =>
+    request(`audit-log/${id}/replay`, { profile });
+  client.checkRegistry = () => request("registry/check", { profile });
+  client.restoreRegistry = () => request("registry/restore", { profile });
+  client.listArchivedExecutions = (param = {}) =>
+    request("archive/list-executions", { profile, param });
+  client.getArchivedExecution = param =>
+    request("archive/get-execution", { profile, param });
+  client.forgetRegistry = names =>
+    request("registry/forget", { profile, ...names });
+  return client;
+}
+
+/**
+ * The server's log of proxied calls, newest first. filter takes operation,
+ * status ("success" or "error"), endpoint, search and limit.
+ */
+export function listAuditLog(filter = {}) {
+  const query = new URLSearchParams();
+  Object.keys(filter).forEach(key => {
+    if (filter[key]) {
+      query.set(key, filter[key]);
+    }
+  });
+  return request(`audit-log?${query}`, undefined, "GET");
+}
+
+export function getAuditEntry(id) {
+  return request(`audit-log/${id}`, undefined, "GET");
+}
+
+export function clearAuditLog() {
+  return request("audit-log", undefined, "DELETE");
+}
+
+/**
+ * The Step Functions Local mock config the server keeps, with test cases
+ * that executions select by starting "<stateMachineArn>#<test case>".
+ */
+export function getMockConfig() {
+  return request("mock-config", undefined, "GET");
+}
+
+export function saveMockConfig(document) {
+  return request("mock-config", document, "PUT");
+}
+
+// Downloads the saved mock config file
+export const MOCK_CONFIG_EXPORT_URL = "/api/mock-config/export";
+
+/**
+ * The status of the server's *.asl.json directory sync, and a way to run
+ * it right away instead of waiting for a file change.
+ */
+export function getAslSyncStatus() {
+  return request("asl-sync", undefined, "GET");
+}
+
+export function syncAslDirectory() {
+  return request("asl-sync", {});
+}
+
+/**
+ * Subscribe to live updates from /api/stream/executions.
+ *
+ * params takes stateMachineArn to follow its executions, executionArn to
+ * follow its history (from afterEventId on), or both. handlers are keyed by
+ * event type: onExecution(execution), onHistory({ executionArn, events }),
+ * onComplete({ executionArn }) and onError(apiError).
+ *
+ * The profile goes to the server in a POST for a stream token, so its
+ * credentials stay out of the stream URL.
+ *
+ * Returns a function that closes the stream. Without EventSource support
+ * (e.g. under jsdom) nothing is opened and the pages stay on manual refresh.
+ */
+export function watch(profile, params, handlers) {
+  if (typeof EventSource === "undefined") {
+    return () => {};
+  }
+
+  let source = null;
+  let closed = false;
+  const onError = handlers.onError || (() => {});
+
+  request("stream/token", { profile }).then(({ token }) => {
+    if (closed) {
+      return;
+    }
+    const query = new URLSearchParams({ token });
+    Object.keys(params).forEach(key => {
+      if (params[key] !== undefined && params[key] !== null) {
+        query.set(key, params[key]);
+      }
+    });
+
+    source = new EventSource(`/api/stream/executions?${query}`);
+    const listen = (event, handler) => {
+      if (handler) {
+        source.addEventListener(event, e => handler(JSON.parse(e.data)));
+      }
+    };
+    listen("execution", handlers.onExecution);
+    listen("history", handlers.onHistory);
+    listen("complete", handlers.onComplete);
+    listen("apiError", data => onError(new ApiError(data)));
+  }, onError);
+
+  return () => {
+    closed = true;
+    if (source) {
+      source.close();
+    }
+  };
+}
+
+export default createClient;
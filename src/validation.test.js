@@ -0,0 +1,110 @@
+import { checkParams, checkRequest, validate } from "../backend/validation";
+import { PARAM_SCHEMAS } from "../backend/schemas";
+import APIType from "../util/APIType";
+
+const stateMachineArn =
+  "arn:aws:states:us-east-1:123456789012:stateMachine:checked";
+
+const problemsOf = fn => {
+  try {
+    fn();
+    return [];
+  } catch (err) {
+    expect(err).toMatchObject({ code: "ValidationError", statusCode: 400 });
+    return err.message.split("; ");
+  }
+};
+
+it("has a schema for every operation", () => {
+  Object.keys(APIType).forEach(key =>
+    expect(PARAM_SCHEMAS[APIType[key]]).toBeDefined()
+  );
+});
+
+describe("checkParams", () => {
+  it("accepts a valid param", () => {
+    expect(
+      problemsOf(() =>
+        checkParams(APIType.START_EXECUTION, {
+          stateMachineArn,
+          input: '{"ok":true}'
+        })
+      )
+    ).toEqual([]);
+  });
+
+  it("names every bad field", () => {
+    expect(
+      problemsOf(() =>
+        checkParams(APIType.CREATE_STATE_MACHINE, {
+          name: "",
+          definition: "{",
+          type: "SLOW",
+          tags: [{ key: "team" }]
+        })
+      )
+    ).toEqual([
+      "param.roleArn is required",
+      "param.name must not be empty",
+      "param.definition must be valid JSON",
+      "param.type must be one of STANDARD, EXPRESS",
+      "param.tags[0].value is required"
+    ]);
+  });
+
+  it("checks types, ranges and payload sizes", () => {
+    expect(
+      problemsOf(() =>
+        checkParams(APIType.LIST_EXECUTIONS, {
+          stateMachineArn: 42,
+          maxResults: 1001
+        })
+      )
+    ).toEqual([
+      "param.stateMachineArn must be a string",
+      "param.maxResults must be at most 1000"
+    ]);
+    expect(
+      problemsOf(() =>
+        checkParams(APIType.SEND_TASK_SUCCESS, {
+          taskToken: "token",
+          output: JSON.stringify("x".repeat(256 * 1024))
+        })
+      )
+    ).toEqual(["param.output must be at most 256 KB"]);
+  });
+});
+
+describe("checkRequest", () => {
+  it("checks the profile and paginate option", () => {
+    expect(
+      problemsOf(() =>
+        checkRequest(
+          { mode: "cloud", credentials: { source: "static", accessKeyId: 1 } },
+          { maxItems: 0 }
+        )
+      )
+    ).toEqual([
+      "profile.mode must be one of runner, emulator",
+      "profile.credentials.accessKeyId must be a string",
+      "paginate.maxItems must be at least 1"
+    ]);
+  });
+
+  it("takes paginate as a boolean or an object", () => {
+    expect(problemsOf(() => checkRequest({}, true))).toEqual([]);
+    expect(problemsOf(() => checkRequest({}, "all"))).toEqual([
+      "paginate must be a boolean or an object"
+    ]);
+  });
+});
+
+it("treats null values as absent", () => {
+  expect(
+    validate(
+      PARAM_SCHEMAS[APIType.START_EXECUTION],
+      { stateMachineArn, name: null },
+      "param"
+    )
+  ).toEqual([]);
+});